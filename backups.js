@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { getRunId } = require('./utils');
+
+const BACKUP_DIR = 'backups';
+
+// Run ids can come from SYNC_RUN_ID, so keep them to safe file names
+function getBackupFile(outputDir, runId) {
+  return path.join(outputDir, BACKUP_DIR, `${String(runId).replace(/[^\w.-]/g, '_')}.jsonl`);
+}
+
+function readEntries(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+}
+
+// Record the state of everything a mutating step is about to change in
+// <outputDir>/backups/<runId>.jsonl. Each entry is appended before the change is made,
+// so a run that crashes halfway still leaves the before state of what it changed.
+// Only the first state of a product or item in a run is kept: that is the one to restore.
+function startBackup(step, outputDir) {
+  const runId = getRunId();
+  const file = getBackupFile(outputDir, runId);
+  const saved = new Set();
+  
+  if (fs.existsSync(file)) {
+    readEntries(file).forEach(entry => saved.add(`${entry.type}:${entry.key}`));
+  }
+  
+  const append = (type, key, data) => {
+    if (saved.has(`${type}:${key}`)) {
+      return;
+    }
+    
+    if (!fs.existsSync(file)) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({
+        type: 'run',
+        key: runId,
+        runId,
+        profile: config.profile,
+        storeHash: config.bigcommerce.storeHash,
+        companyId: config.avalara.companyId,
+        createdAt: new Date().toISOString()
+      }) + '\n');
+    }
+    
+    fs.appendFileSync(file, JSON.stringify({ type, key, step, savedAt: new Date().toISOString(), ...data }) + '\n');
+    saved.add(`${type}:${key}`);
+  };
+  
+  return {
+    file,
+    runId,
+    // Every custom field of a BigCommerce product before one is added or deleted
+    saveProductCustomFields: (productId, customFields) =>
+      append('product', String(productId), { productId: String(productId), customFields }),
+    // An Avalara item before it is updated
+    saveAvalaraItem: (item) =>
+      append('item', item.itemCode, { item }),
+    // An Avalara item before a tag is added to it
+    saveTaggedAvalaraItem: (item, tagName) =>
+      append('item', item.itemCode, { item, addedTag: tagName }),
+    // An Avalara item that doesn't exist yet and is about to be created
+    saveCreatedAvalaraItem: (itemCode) =>
+      append('item', itemCode, { item: null, created: true })
+  };
+}
+
+// The before state recorded for a run: its store and company, and the products and items
+function readBackup(outputDir, runId) {
+  const file = getBackupFile(outputDir, runId);
+  
+  if (!fs.existsSync(file)) {
+    const available = listBackups(outputDir).slice(0, 5).map(backup => backup.runId);
+    throw new Error(`No backup found for run ${runId} in ${path.dirname(file)}. ${available.length > 0 ? `Latest backups: ${available.join(', ')}` : 'No mutating run has been recorded yet.'}`);
+  }
+  
+  const entries = readEntries(file);
+  
+  return {
+    file,
+    run: entries.find(entry => entry.type === 'run'),
+    products: entries.filter(entry => entry.type === 'product'),
+    items: entries.filter(entry => entry.type === 'item')
+  };
+}
+
+// Backups in an output directory, most recent first
+function listBackups(outputDir) {
+  const dir = path.join(outputDir, BACKUP_DIR);
+  
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.jsonl'))
+    .map(name => readEntries(path.join(dir, name)).find(entry => entry.type === 'run'))
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+module.exports = {
+  startBackup,
+  readBackup,
+  listBackups
+};
@@ -0,0 +1,387 @@
+#!/usr/bin/env node
+const path = require('path');
+const { createCsvWriterUtil, ensureOutputDir, log, configureLogging, startRun, getRunId, getCliOption, getSyncModeOption, getProductSelection } = require('../utils');
+const { acquireLock } = require('../scheduler');
+
+const SELECTION_FLAGS = ['sku', 'product-id', 'category-id', 'brand-id', 'limit'];
+const FETCH_FLAGS = ['incremental', 'full'];
+const UPDATE_FLAGS = ['strategy', 'concurrency', 'resume', 'dry-run'];
+const SYNC_ALL_FLAGS = [...FETCH_FLAGS, ...SELECTION_FLAGS, ...UPDATE_FLAGS, 'all-profiles', 'guard'];
+const GLOBAL_FLAGS = ['output-dir', 'profile', 'log-format'];
+const LOG_FORMATS = ['text', 'json'];
+
+// Scripts are required when a command runs so --help works without a configured .env
+const COMMANDS = {
+  'fetch-avalara': {
+    description: 'Fetch all items from Avalara',
+    flags: FETCH_FLAGS,
+    run: (options) => require('../scripts/fetch-avalara-items').writeAvalaraSnapshot(options)
+  },
+  'fetch-bc': {
+    description: 'Fetch the products and variants in the catalog scope from BigCommerce',
+    flags: [...FETCH_FLAGS, ...SELECTION_FLAGS],
+    run: (options) => require('../scripts/fetch-bc-products').writeBigCommerceSnapshot(options)
+  },
+  'reconcile': {
+    description: 'Compare BigCommerce products with Avalara items',
+    flags: SELECTION_FLAGS,
+    run: (options) => require('../scripts/reconcile-products').reconcileProducts(options)
+  },
+  'update': {
+    description: 'Sync the products found by reconcile',
+    flags: [...UPDATE_FLAGS, ...SELECTION_FLAGS, 'input'],
+    run: (options) => require('../scripts/update-products').updateProducts(options)
+  },
+  'verify': {
+    description: 'Poll Avalara until the synced products arrive and report the latency',
+    flags: ['once', 'interval', 'deadline', 'input'],
+    run: (options) => require('../scripts/verify-sync').verifySync(options)
+  },
+  'classify': {
+    description: 'Write the itemGroup and category proposed by reconcile to Avalara',
+    flags: ['dry-run', 'input'],
+    run: (options) => require('../scripts/apply-classifications').applyClassifications(options)
+  },
+  'rollback': {
+    description: 'Restore the products and items changed by a run to their backed up state',
+    flags: ['run-id', 'dry-run'],
+    run: (options) => require('../scripts/rollback-run').rollbackRun(options)
+  },
+  'export-cross-border': {
+    description: 'Write the customs broker export with HS codes per destination country',
+    flags: ['countries'],
+    run: (options) => require('../scripts/export-cross-border').exportCrossBorder(options)
+  },
+  'sync-all': {
+    description: 'Run fetch-avalara, fetch-bc, reconcile and update in sequence',
+    flags: SYNC_ALL_FLAGS,
+    run: (options) => withSyncLock(options, async () => {
+      if (options.allProfiles) {
+        return syncAllProfiles(options);
+      }
+      
+      const avalaraFetch = await COMMANDS['fetch-avalara'].run(options);
+      const bcFetch = await COMMANDS['fetch-bc'].run(options);
+      const reconciliation = await COMMANDS.reconcile.run(options);
+      const update = await runUpdateStep(reconciliation, options);
+      
+      return { avalaraItems: avalaraFetch.items, bcProducts: bcFetch.skus, reconciliation, update };
+    })
+  },
+  'daemon': {
+    description: 'Run a guarded sync-all on a cron schedule until stopped',
+    flags: [...SYNC_ALL_FLAGS, 'schedule', 'run-now'],
+    run: (options) => runSyncDaemon(options)
+  },
+  'history': {
+    description: 'List recent fetch and reconcile runs',
+    flags: ['type', 'limit'],
+    run: (options) => require('../scripts/list-runs').listRunHistory(options)
+  },
+  'diff': {
+    description: 'Compare the products flagged by two reconciliations',
+    flags: ['from', 'to'],
+    run: (options) => require('../scripts/diff-runs').diffRuns(options)
+  }
+};
+
+const PROFILE_SUMMARY_HEADERS = [
+  'profile',
+  'store_hash',
+  'company_id',
+  'status',
+  'avalara_items',
+  'bc_skus',
+  'products_to_update',
+  'updated',
+  'skipped',
+  'errors',
+  'orphans',
+  'error_message'
+];
+
+// Output directories a sync-all writes to: its profile's, or with --all-profiles the
+// default one that gets the summary and every profile's. --output-dir overrides the profiles.
+function getSyncOutputDirs(options) {
+  const { applyProfile, getProfiles } = require('../profiles');
+  
+  if (!options.allProfiles) {
+    return [ensureOutputDir(options.outputDir || applyProfile(options.profile)?.outputDir)];
+  }
+  
+  const outputDirs = [ensureOutputDir(), ...Object.values(getProfiles()).map(profile => ensureOutputDir(options.outputDir || profile.outputDir))];
+  return outputDirs.filter((outputDir, i) => outputDirs.findIndex(other => path.resolve(other) === path.resolve(outputDir)) === i);
+}
+
+// sync-all holds the lock of every output directory it writes to for the whole run, so
+// scheduled and manual runs of a profile never overlap while other profiles run freely
+async function withSyncLock(options, run) {
+  const releases = [];
+  
+  try {
+    getSyncOutputDirs(options).forEach(outputDir => releases.push(acquireLock(outputDir, { runId: getRunId() })));
+    return await run();
+  } finally {
+    releases.forEach(release => release());
+  }
+}
+
+// A guarded run leaves the update out when the reconciliation counts look anomalous
+async function runUpdateStep(reconciliation, options) {
+  if (options.guard) {
+    const anomalies = require('../scripts/sync-daemon').checkReconciliation(reconciliation, options);
+    
+    if (anomalies.length > 0) {
+      log('Update skipped: the reconciliation looks anomalous, usually because a fetch was truncated. Check the fetched CSV files and run update by hand if the counts are right.', 'error');
+      return { guarded: true, anomalies };
+    }
+  }
+  
+  return COMMANDS.update.run(options);
+}
+
+// Stop after the current run on SIGINT or SIGTERM; a second signal ends the process
+async function runSyncDaemon(options) {
+  const controller = new AbortController();
+  const stop = () => {
+    log('Stopping the sync daemon after the current run...');
+    controller.abort();
+  };
+  
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+  
+  try {
+    return await require('../scripts/sync-daemon').runDaemon({
+      schedule: options.schedule,
+      runNow: options.runNow,
+      signal: controller.signal,
+      runSync: () => COMMANDS['sync-all'].run({ ...options, guard: true })
+    });
+  } finally {
+    process.off('SIGINT', stop);
+    process.off('SIGTERM', stop);
+  }
+}
+
+// Run sync-all for every profile. Every profile is fetched before any is reconciled, so
+// stores sharing an Avalara company can tell its orphaned items apart. A failing profile
+// doesn't stop the others; the results are rolled up in output/profiles-summary.csv.
+async function syncAllProfiles(options) {
+  const { getProfiles } = require('../profiles');
+  const profiles = Object.values(getProfiles());
+  
+  if (profiles.length === 0) {
+    throw new Error('No profiles defined. Set SYNC_PROFILES_FILE to use --all-profiles.');
+  }
+  
+  const rows = profiles.map(profile => ({
+    profile: profile.name,
+    store_hash: profile.bigcommerce.storeHash,
+    company_id: profile.avalara.companyId,
+    status: 'success',
+    error_message: ''
+  }));
+  
+  const runForProfile = async (row, step) => {
+    if (row.status === 'error') {
+      return;
+    }
+    
+    log(`=== Profile ${row.profile}: store ${row.store_hash} → Avalara company ${row.company_id} ===`);
+    
+    try {
+      await step({ ...options, allProfiles: false, profile: row.profile });
+    } catch (error) {
+      log(`Profile ${row.profile} failed: ${error.message}`, 'error');
+      row.status = 'error';
+      row.error_message = error.message;
+    }
+  };
+  
+  for (const row of rows) {
+    await runForProfile(row, async (profileOptions) => {
+      row.avalara_items = (await COMMANDS['fetch-avalara'].run(profileOptions)).items;
+      row.bc_skus = (await COMMANDS['fetch-bc'].run(profileOptions)).skus;
+    });
+  }
+  
+  for (const row of rows) {
+    await runForProfile(row, async (profileOptions) => {
+      const reconciliation = await COMMANDS.reconcile.run(profileOptions);
+      row.products_to_update = reconciliation.productsToUpdate;
+      row.orphans = reconciliation.orphans;
+      
+      const update = await runUpdateStep(reconciliation, profileOptions);
+      if (update.guarded) {
+        row.status = 'guarded';
+        row.error_message = update.anomalies.join('; ');
+        return;
+      }
+      
+      row.updated = update.success ?? update.wouldUpdate ?? update.updated;
+      row.skipped = update.skipped;
+      row.errors = update.errors;
+    });
+  }
+  
+  const summaryFile = `${ensureOutputDir()}/profiles-summary.csv`;
+  await createCsvWriterUtil(summaryFile, PROFILE_SUMMARY_HEADERS).writeRecords(rows);
+  
+  const total = (column) => rows.reduce((sum, row) => sum + (Number(row[column]) || 0), 0);
+  const failed = rows.filter(row => row.status === 'error');
+  
+  log(`Summary across ${rows.length} profiles:`);
+  rows.forEach(row => {
+    if (row.status === 'error') {
+      log(`  - ${row.profile}: failed (${row.error_message})`);
+    } else if (row.status === 'guarded') {
+      log(`  - ${row.profile}: ${row.products_to_update} to update, update skipped (${row.error_message})`);
+    } else {
+      log(`  - ${row.profile}: ${row.products_to_update} to update, ${row.updated} updated, ${row.errors} errors`);
+    }
+  });
+  log(`  - Total BigCommerce SKUs: ${total('bc_skus')}`);
+  log(`  - Total products to update: ${total('products_to_update')}`);
+  log(`  - Total updated: ${total('updated')}`);
+  log(`  - Total errors: ${total('errors')}`);
+  log(`Profile summary written to: ${summaryFile}`);
+  
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} of ${rows.length} profiles failed: ${failed.map(row => row.profile).join(', ')}`);
+  }
+  
+  return rows;
+}
+
+const USAGE = `Usage: bc-avalara-sync <command> [options]
+
+Commands:
+${Object.entries(COMMANDS).map(([name, command]) => `  ${name.padEnd(15)} ${command.description}`).join('\n')}
+
+Product selection (fetch-bc, reconcile, update, sync-all):
+  --sku <sku,...>             Only these product or variant SKUs
+  --product-id <id,...>       Only these BigCommerce product ids
+  --category-id <id,...>      Only products in any of these categories
+  --brand-id <id,...>         Only products of these brands
+  --limit <n>                 At most n products
+
+Profiles:
+  --profile <name>            Use a store/company profile from SYNC_PROFILES_FILE
+  --all-profiles              Run sync-all for every profile and roll up the results
+
+Scheduling (sync-all, daemon):
+  --guard                     Skip the update when the reconciliation looks anomalous (always on for daemon)
+  --schedule <cron>           Cron expression for daemon runs, in local time (default: SYNC_SCHEDULE or "0 2 * * *")
+  --run-now                   Start the daemon with a run instead of waiting for the first scheduled one
+
+Verification (verify):
+  --once                      Check once instead of polling until every SKU is settled
+  --interval <minutes>        Minutes between checks (default: VERIFY_POLL_INTERVAL_MINUTES or 30)
+  --deadline <hours>          Hours a synced SKU gets to arrive (default: VERIFY_DEADLINE_HOURS or 48)
+
+Rollback (rollback):
+  --run-id <run-id>           Run to undo, as printed by update, cleanup and classify
+  --dry-run                   List what would be restored without changing anything
+
+Cross-border (export-cross-border):
+  --countries <code,...>      Destination countries (default: CROSS_BORDER_COUNTRIES)
+
+Run history (history, diff):
+  --type <type>               Only runs of this type: fetch-avalara, fetch-bc or reconcile
+  --limit <n>                 Number of runs to list (default: 20)
+  --from <run-id>             Earlier reconciliation (default: the one before --to)
+  --to <run-id>               Later reconciliation (default: the latest)
+
+Options:
+  --output-dir <dir>          Directory for CSV files and reports (default: ./output, or the profile's)
+  --input <file>              Products to update CSV for update and classify (default: <output-dir>/products-to-update.csv),
+                              or the sync log for verify (default: <output-dir>/product-sync-log.csv)
+  --incremental | --full      Fetch mode for fetch-avalara and fetch-bc
+  --strategy <name>           Update strategy: custom-field or direct
+  --concurrency <n>           Products updated in parallel
+  --resume                    Continue an interrupted update
+  --dry-run                   Write an update plan instead of changing products or items
+  --log-format <format>       text or json lines (default: LOG_FORMAT or text)
+  --help                      Show this message
+`;
+
+// Reject flags the command doesn't use so a typo can't silently widen a run
+function findUnknownFlags(argv, allowedFlags) {
+  return argv
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => arg.substring(2).split('=')[0])
+    .filter(flag => !allowedFlags.includes(flag));
+}
+
+async function runCli(argv = process.argv.slice(2)) {
+  const [commandName, ...args] = argv;
+  const command = COMMANDS[commandName];
+  
+  if (!commandName || commandName === '--help' || args.includes('--help')) {
+    console.log(USAGE);
+    return;
+  }
+  
+  if (!command) {
+    throw new Error(`Unknown command: ${commandName}. Run bc-avalara-sync --help for the list of commands.`);
+  }
+  
+  const unknownFlags = findUnknownFlags(args, [...command.flags, ...GLOBAL_FLAGS]);
+  if (unknownFlags.length > 0) {
+    throw new Error(`Unknown option for ${commandName}: ${unknownFlags.map(flag => `--${flag}`).join(', ')}`);
+  }
+  
+  const allProfiles = args.includes('--all-profiles');
+  if (allProfiles && (getCliOption('profile', args) || getCliOption('output-dir', args))) {
+    throw new Error('--all-profiles runs every profile in its own output directory and cannot be combined with --profile or --output-dir');
+  }
+  
+  const logFormat = getCliOption('log-format', args);
+  if (logFormat && !LOG_FORMATS.includes(logFormat)) {
+    throw new Error(`Unknown log format: ${logFormat}. Expected one of: ${LOG_FORMATS.join(', ')}`);
+  }
+  
+  // Every step of this invocation shares one run id in the logs and run reports
+  configureLogging({ format: logFormat || null });
+  startRun();
+  
+  return command.run({
+    mode: getSyncModeOption(args),
+    outputDir: getCliOption('output-dir', args),
+    input: getCliOption('input', args),
+    selection: getProductSelection(args),
+    strategy: getCliOption('strategy', args),
+    concurrency: getCliOption('concurrency', args),
+    resume: args.includes('--resume'),
+    dryRun: args.includes('--dry-run'),
+    profile: getCliOption('profile', args),
+    type: getCliOption('type', args),
+    limit: getCliOption('limit', args),
+    from: getCliOption('from', args),
+    to: getCliOption('to', args),
+    countries: getCliOption('countries', args),
+    once: args.includes('--once'),
+    interval: getCliOption('interval', args),
+    deadline: getCliOption('deadline', args),
+    runId: getCliOption('run-id', args),
+    guard: args.includes('--guard'),
+    schedule: getCliOption('schedule', args),
+    runNow: args.includes('--run-now'),
+    allProfiles
+  });
+}
+
+// Run the CLI if called directly
+if (require.main === module) {
+  runCli()
+    .then(() => {
+      process.exit(0);
+    })
+    .catch((error) => {
+      log(`bc-avalara-sync failed: ${error.message}`, 'error');
+      process.exit(1);
+    });
+}
+
+module.exports = { runCli };
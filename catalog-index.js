@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const INDEX_FILE = 'reconcile-index.db';
+const CHANNEL_INDEX_FILE = 'channel-assignments.db';
+
+const SCHEMA = `
+  CREATE TABLE avalara_items (
+    key TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  
+  CREATE TABLE skus (
+    source TEXT NOT NULL,
+    key TEXT NOT NULL,
+    sku TEXT NOT NULL,
+    id TEXT,
+    PRIMARY KEY (source, key, sku)
+  );
+  
+  CREATE TABLE bigcommerce_keys (
+    key TEXT PRIMARY KEY
+  ) WITHOUT ROWID;
+  
+  CREATE TABLE product_ids (
+    list TEXT NOT NULL,
+    id TEXT NOT NULL,
+    PRIMARY KEY (list, id)
+  ) WITHOUT ROWID;
+`;
+
+const CHANNEL_SCHEMA = `
+  CREATE TABLE channel_assignments (
+    product_id TEXT NOT NULL,
+    channel_id TEXT NOT NULL
+  );
+  
+  CREATE INDEX channel_assignments_product ON channel_assignments (product_id);
+`;
+
+// A scratch database in <outputDir>/<name>, replacing one left behind by an interrupted run
+function openScratchDatabase(outputDir, name, schema) {
+  const file = path.resolve(outputDir, name);
+  fs.rmSync(file, { force: true });
+  
+  const db = new Database(file);
+  // Nothing in it outlives the run, so skip the journal and syncing to disk
+  db.pragma('journal_mode = OFF');
+  db.pragma('synchronous = OFF');
+  db.exec(schema);
+  
+  return {
+    db,
+    close() {
+      db.close();
+      fs.rmSync(file, { force: true });
+    }
+  };
+}
+
+// Scratch database the reconciliation matches the catalog against, so neither side has to
+// be held in memory: Avalara items by normalized SKU, the SKUs of both sides for collision
+// checks, the normalized SKUs BigCommerce knows and sets of product ids. It lives in
+// <outputDir>/reconcile-index.db until close() and is rebuilt by every reconciliation.
+//
+// Rows keep the order they were first added in, so results come out in the same order
+// as the CSV files they were read from.
+function openCatalogIndex(outputDir, normalizeSku) {
+  const { db, close } = openScratchDatabase(outputDir, INDEX_FILE, SCHEMA);
+  
+  // A later item with the same normalized SKU replaces an earlier one but keeps its place
+  const upsertItem = db.prepare(`
+    INSERT INTO avalara_items (key, data) VALUES (?, ?)
+    ON CONFLICT (key) DO UPDATE SET data = excluded.data
+  `);
+  const upsertSku = db.prepare(`
+    INSERT INTO skus (source, key, sku, id) VALUES (?, ?, ?, ?)
+    ON CONFLICT (source, key, sku) DO UPDATE SET id = excluded.id
+  `);
+  const insertKey = db.prepare('INSERT OR IGNORE INTO bigcommerce_keys (key) VALUES (?)');
+  const insertProductId = db.prepare('INSERT OR IGNORE INTO product_ids (list, id) VALUES (?, ?)');
+  const getItem = db.prepare('SELECT data FROM avalara_items WHERE key = ?');
+  
+  const addSku = (source, sku, id) => {
+    const key = normalizeSku(sku || '');
+    if (key) {
+      upsertSku.run(source, key, sku || '', String(id));
+    }
+  };
+  
+  // Rows of bc-products.csv or bc-out-of-scope.csv: their SKUs exist in the store, and
+  // products in no channel are counted
+  const addProductRows = (products, list) => {
+    products.forEach(product => {
+      insertKey.run(normalizeSku(product.sku));
+      if (list) {
+        insertProductId.run(list, String(product.id));
+      }
+      if (product.channel_ids === '') {
+        insertProductId.run('unassigned', String(product.id));
+      }
+    });
+  };
+  
+  return {
+    // Rows of avalara-items.csv
+    addAvalaraItems: db.transaction(items => {
+      items.forEach(item => {
+        const key = normalizeSku(item.itemCode);
+        if (key) {
+          upsertItem.run(key, JSON.stringify(item));
+        }
+        addSku('avalara', item.itemCode, item.id);
+      });
+    }),
+    
+    // Rows of bc-products.csv
+    addBigCommerceProducts: db.transaction(products => {
+      products.forEach(product => {
+        addSku('bigcommerce', product.sku, product.variant_id ? `${product.id}/${product.variant_id}` : product.id);
+      });
+      addProductRows(products);
+    }),
+    
+    // Rows of bc-out-of-scope.csv
+    addOutOfScopeProducts: db.transaction(products => addProductRows(products, 'out_of_scope')),
+    
+    // Rows of another profile's snapshot sharing the Avalara company, which only count as known SKUs
+    addSharedCompanyProducts: db.transaction(products => {
+      products.forEach(product => insertKey.run(normalizeSku(product.sku)));
+    }),
+    
+    getAvalaraItem(key) {
+      const row = key ? getItem.get(key) : undefined;
+      return row ? JSON.parse(row.data) : undefined;
+    },
+    
+    countAvalaraItems() {
+      return db.prepare('SELECT COUNT(*) AS count FROM avalara_items').get().count;
+    },
+    
+    // Distinct product ids out of scope ('out_of_scope') or in no channel ('unassigned')
+    countProductIds(list) {
+      return db.prepare('SELECT COUNT(*) AS count FROM product_ids WHERE list = ?').get(list).count;
+    },
+    
+    // Keys that two or more distinct SKUs of a source normalize to, with the id each SKU was last seen with
+    getSkuCollisions(source) {
+      const rows = db.prepare(`
+        SELECT skus.key, skus.sku, skus.id
+        FROM skus
+        JOIN (
+          SELECT key, MIN(rowid) AS first_rowid FROM skus
+          WHERE source = @source
+          GROUP BY key
+          HAVING COUNT(*) > 1
+        ) shared ON shared.key = skus.key
+        WHERE skus.source = @source
+        ORDER BY shared.first_rowid, skus.rowid
+      `).all({ source });
+      
+      const collisions = [];
+      rows.forEach(row => {
+        let collision = collisions[collisions.length - 1];
+        if (!collision || collision.normalized_sku !== row.key) {
+          collision = { normalized_sku: row.key, source, skus: [], ids: [] };
+          collisions.push(collision);
+        }
+        collision.skus.push(row.sku);
+        collision.ids.push(row.id);
+      });
+      
+      return collisions.map(collision => ({
+        ...collision,
+        skus: collision.skus.join(' | '),
+        ids: collision.ids.join(' | '),
+        count: collision.skus.length
+      }));
+    },
+    
+    // Avalara items whose normalized SKU BigCommerce doesn't know, read one at a time
+    * iterateOrphans() {
+      const rows = db.prepare(`
+        SELECT data FROM avalara_items
+        WHERE key NOT IN (SELECT key FROM bigcommerce_keys)
+        ORDER BY rowid
+      `).iterate();
+      
+      for (const row of rows) {
+        yield JSON.parse(row.data);
+      }
+    },
+    
+    close
+  };
+}
+
+// Channel assignments of the whole catalog, which come in one list of their own, so a full
+// fetch can look up the channels of each page of products without holding them all in
+// memory. It lives in <outputDir>/channel-assignments.db until close().
+function openChannelIndex(outputDir) {
+  const { db, close } = openScratchDatabase(outputDir, CHANNEL_INDEX_FILE, CHANNEL_SCHEMA);
+  const insertAssignment = db.prepare('INSERT INTO channel_assignments (product_id, channel_id) VALUES (?, ?)');
+  const getAssignments = db.prepare(`
+    SELECT product_id, channel_id FROM channel_assignments
+    WHERE product_id IN (SELECT value FROM json_each(?))
+    ORDER BY rowid
+  `);
+  
+  return {
+    addAssignments: db.transaction(assignments => {
+      assignments.forEach(assignment => insertAssignment.run(String(assignment.product_id), String(assignment.channel_id)));
+    }),
+    
+    // Channel ids by product id for the given products, in the order they were listed
+    getChannelIds(productIds) {
+      const channelsByProduct = new Map();
+      getAssignments.all(JSON.stringify(productIds.map(String))).forEach(({ product_id: productId, channel_id: channelId }) => {
+        channelsByProduct.set(productId, [...(channelsByProduct.get(productId) || []), channelId]);
+      });
+      return channelsByProduct;
+    },
+    
+    close
+  };
+}
+
+module.exports = { openCatalogIndex, openChannelIndex };
@@ -1,4 +1,59 @@
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+// SKU normalization rules applied to both sides of the reconciliation match.
+// Defaults to the original trim + lowercase matching.
+function loadSkuNormalizationRules() {
+  const rulesFile = process.env.SKU_NORMALIZATION_RULES_FILE;
+  
+  if (!rulesFile) {
+    return [
+      { type: 'trim' },
+      { type: 'case', to: 'lower' }
+    ];
+  }
+  
+  return JSON.parse(fs.readFileSync(path.resolve(rulesFile), 'utf8'));
+}
+
+// Rules deriving the Avalara itemGroup and category from BigCommerce data.
+// Without a rules file nothing is classified.
+function loadClassificationRules() {
+  const rulesFile = process.env.CLASSIFICATION_RULES_FILE;
+  
+  if (!rulesFile) {
+    return [];
+  }
+  
+  return JSON.parse(fs.readFileSync(path.resolve(rulesFile), 'utf8'));
+}
+
+// BigCommerce tax class (by name or id) to Avalara tax code, for products
+// that carry no product tax code of their own
+function loadTaxClassMapping() {
+  const mappingFile = process.env.TAX_CLASS_MAPPING_FILE;
+  
+  if (!mappingFile) {
+    return {};
+  }
+  
+  return JSON.parse(fs.readFileSync(path.resolve(mappingFile), 'utf8'));
+}
+
+// Comma separated environment lists, e.g. "1, 2" -> ['1', '2']
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+// Numeric environment settings, where an explicit 0 is kept rather than replaced by the default
+function parseNumber(value, defaultValue) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : defaultValue;
+}
 
 const config = {
   bigcommerce: {
@@ -6,7 +61,7 @@ const config = {
     accessToken: process.env.BC_ACCESS_TOKEN,
     clientId: process.env.BC_CLIENT_ID,
     clientSecret: process.env.BC_CLIENT_SECRET,
-    baseUrl: `https://api.bigcommerce.com/stores/${process.env.BC_STORE_HASH}`,
+    baseUrl: process.env.BC_API_BASE_URL || `https://api.bigcommerce.com/stores/${process.env.BC_STORE_HASH}`,
     headers: {
       'X-Auth-Token': process.env.BC_ACCESS_TOKEN,
       'Content-Type': 'application/json',
@@ -22,24 +77,71 @@ const config = {
       'Content-Type': 'application/json'
     }
   },
+  retry: {
+    maxRetries: parseInt(process.env.API_MAX_RETRIES, 10) || 5,
+    baseDelayMs: parseInt(process.env.API_RETRY_BASE_DELAY_MS, 10) || 1000,
+    maxDelayMs: parseInt(process.env.API_RETRY_MAX_DELAY_MS, 10) || 60000
+  },
+  skuNormalization: loadSkuNormalizationRules(),
+  classificationRules: loadClassificationRules(),
+  taxClassMapping: loadTaxClassMapping(),
   sync: {
-    fieldName: process.env.AVALARA_SYNC_FIELD_NAME || 'avalara_sync'
+    fieldName: process.env.AVALARA_SYNC_FIELD_NAME || 'avalara_sync',
+    // 'custom-field' triggers the BigCommerce webhook, 'direct' writes items to Avalara
+    strategy: process.env.AVALARA_SYNC_STRATEGY || 'custom-field',
+    // 'full' re-downloads both catalogs, 'incremental' fetches changes since the last run
+    mode: process.env.SYNC_MODE || 'full',
+    // Incremental fetches can't see deletions, so after this many in a row the next one runs full (0: never)
+    fullFetchEvery: process.env.SYNC_FULL_FETCH_EVERY ? parseInt(process.env.SYNC_FULL_FETCH_EVERY, 10) : 10,
+    concurrency: parseInt(process.env.UPDATE_CONCURRENCY, 10) || 4,
+    orphanTag: process.env.AVALARA_ORPHAN_TAG || 'bc-orphan',
+    defaults: {
+      itemGroup: process.env.AVALARA_DEFAULT_ITEM_GROUP || '',
+      category: process.env.AVALARA_DEFAULT_CATEGORY || '',
+      taxCode: process.env.AVALARA_DEFAULT_TAX_CODE || 'P0000000'
+    }
+  },
+  verify: {
+    // How often `verify` looks the triggered SKUs up in Avalara, and how long they get to arrive
+    intervalMinutes: parseFloat(process.env.VERIFY_POLL_INTERVAL_MINUTES) || 30,
+    deadlineHours: parseFloat(process.env.VERIFY_DEADLINE_HOURS) || 48
+  },
+  daemon: {
+    // When `daemon` runs sync-all: a cron expression (minute hour day-of-month month day-of-week)
+    // in the server's local time
+    schedule: process.env.SYNC_SCHEDULE || '0 2 * * *',
+    // Guarded runs skip the update when, compared with the previous full reconciliation, the
+    // share of the catalog missing from Avalara grows by more than this many percentage points
+    maxMissingIncreasePercent: parseNumber(process.env.SYNC_GUARD_MISSING_PERCENT, 10),
+    // or when the BigCommerce or Avalara catalog shrinks by more than this percentage
+    maxShrinkPercent: parseNumber(process.env.SYNC_GUARD_SHRINK_PERCENT, 10)
+  },
+  crossBorder: {
+    // Destination countries every item needs an HS code for, e.g. CA,GB,AU
+    countries: parseList(process.env.CROSS_BORDER_COUNTRIES).map(country => country.toUpperCase())
+  },
+  // Which BigCommerce products the sync covers. Empty lists don't filter.
+  catalogScope: {
+    channelIds: parseList(process.env.BC_CHANNEL_IDS),
+    // 'visible', 'hidden' or 'all'
+    visibility: process.env.BC_VISIBILITY || 'visible',
+    // any of 'available', 'disabled' and 'preorder'
+    availability: parseList(process.env.BC_AVAILABILITY),
+    // any of 'physical' and 'digital'
+    productTypes: parseList(process.env.BC_PRODUCT_TYPES),
+    // 'all', 'in_stock' or 'out_of_stock'
+    inventory: process.env.BC_INVENTORY_STATUS || 'all'
+  },
+  // Name of the profile selected with --profile, null for the store and company above
+  profile: null,
+  webhook: {
+    port: parseInt(process.env.WEBHOOK_PORT, 10) || 3000,
+    path: process.env.WEBHOOK_PATH || '/webhooks/bigcommerce'
   }
 };
 
-// Validate required environment variables
-const requiredVars = [
-  'BC_STORE_HASH',
-  'BC_ACCESS_TOKEN',
-  'AVALARA_TOKEN',
-  'AVALARA_COMPANY_ID'
-];
-
-const missingVars = requiredVars.filter(varName => !process.env[varName]);
-if (missingVars.length > 0) {
-  console.error('Missing required environment variables:', missingVars.join(', '));
-  console.error('Please copy env.example to .env and fill in the required values.');
-  process.exit(1);
-}
+// Required environment variables are checked when a step applies the environment's store
+// and company (applyProfile in profiles.js), so a missing .env fails the step like any other
+// error and the CLI and scripts print the message instead of a stack trace
 
 module.exports = config; 
\ No newline at end of file
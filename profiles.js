@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// Settings every account needs, as [section, key, environment variable]
+const REQUIRED_SETTINGS = [
+  ['bigcommerce', 'storeHash', 'BC_STORE_HASH'],
+  ['bigcommerce', 'accessToken', 'BC_ACCESS_TOKEN'],
+  ['avalara', 'token', 'AVALARA_TOKEN'],
+  ['avalara', 'companyId', 'AVALARA_COMPANY_ID']
+];
+
+// The store and company configured directly in the environment
+const defaultAccount = {
+  bigcommerce: config.bigcommerce,
+  avalara: config.avalara,
+  catalogScope: config.catalogScope
+};
+
+let profiles = null;
+
+// Replace ${VAR} references so tokens can stay in .env instead of the profiles file
+function interpolateEnv(value, profileName) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  
+  return value.replace(/\$\{(\w+)\}/g, (reference, name) => {
+    if (process.env[name] === undefined) {
+      throw new Error(`Profile "${profileName}" references ${reference}, which is not set`);
+    }
+    return process.env[name];
+  });
+}
+
+function resolveSection(section = {}, profileName) {
+  return Object.fromEntries(
+    Object.entries(section).map(([key, value]) => [key, interpolateEnv(value, profileName)])
+  );
+}
+
+// Build the bigcommerce, avalara and catalog scope config sections for one profile. Anything
+// the profile leaves out (client id, a shared Avalara token...) comes from the environment.
+function buildProfile(name, definition) {
+  const bigcommerce = resolveSection(definition.bigcommerce, name);
+  const avalara = resolveSection(definition.avalara, name);
+  
+  const storeHash = bigcommerce.storeHash || process.env.BC_STORE_HASH;
+  const accessToken = bigcommerce.accessToken || process.env.BC_ACCESS_TOKEN;
+  const token = avalara.token || process.env.AVALARA_TOKEN;
+  
+  const profile = {
+    name,
+    outputDir: definition.outputDir || `./output/${name}`,
+    bigcommerce: {
+      storeHash,
+      accessToken,
+      clientId: bigcommerce.clientId || process.env.BC_CLIENT_ID,
+      clientSecret: bigcommerce.clientSecret || process.env.BC_CLIENT_SECRET,
+      baseUrl: bigcommerce.baseUrl || process.env.BC_API_BASE_URL || `https://api.bigcommerce.com/stores/${storeHash}`,
+      headers: {
+        'X-Auth-Token': accessToken,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      }
+    },
+    avalara: {
+      token,
+      companyId: avalara.companyId || process.env.AVALARA_COMPANY_ID,
+      baseUrl: avalara.baseUrl || config.avalara.baseUrl,
+      headers: {
+        'Authorization': `Basic ${token}`,
+        'Content-Type': 'application/json'
+      }
+    },
+    // Channel ids differ per store, so each profile can narrow the catalog on its own
+    catalogScope: { ...config.catalogScope, ...definition.catalogScope }
+  };
+  
+  const missing = REQUIRED_SETTINGS
+    .filter(([section, key]) => !profile[section][key])
+    .map(([section, key]) => `${section}.${key}`);
+  
+  if (missing.length > 0) {
+    throw new Error(`Profile "${name}" is missing: ${missing.join(', ')}`);
+  }
+  
+  return profile;
+}
+
+// Named store/company pairs from SYNC_PROFILES_FILE, keyed by profile name
+function getProfiles() {
+  if (profiles) {
+    return profiles;
+  }
+  
+  const profilesFile = process.env.SYNC_PROFILES_FILE;
+  profiles = {};
+  
+  if (!profilesFile) {
+    return profiles;
+  }
+  
+  const definitions = JSON.parse(fs.readFileSync(path.resolve(profilesFile), 'utf8'));
+  const outputDirs = new Map();
+  
+  for (const [name, definition] of Object.entries(definitions)) {
+    if (!/^[\w-]+$/.test(name)) {
+      throw new Error(`Invalid profile name "${name}". Use letters, digits, "-" and "_".`);
+    }
+    
+    const profile = buildProfile(name, definition);
+    
+    // Snapshots of two stores in one directory would be reconciled against each other
+    const outputDir = path.resolve(profile.outputDir);
+    if (outputDirs.has(outputDir)) {
+      throw new Error(`Profiles "${outputDirs.get(outputDir)}" and "${name}" share the output directory ${profile.outputDir}`);
+    }
+    outputDirs.set(outputDir, name);
+    
+    profiles[name] = profile;
+  }
+  
+  return profiles;
+}
+
+// Point config at a profile's store and company, or at the environment's when no
+// name is given. Returns the active profile, or null for the environment account.
+function applyProfile(name) {
+  if (!name) {
+    const missingVars = REQUIRED_SETTINGS
+      .filter(([, , varName]) => !process.env[varName])
+      .map(([, , varName]) => varName);
+    
+    if (missingVars.length > 0) {
+      throw new Error(`Missing required environment variables: ${missingVars.join(', ')}. Please copy env.example to .env and fill in the required values, or choose a profile with --profile.`);
+    }
+    
+    config.bigcommerce = defaultAccount.bigcommerce;
+    config.avalara = defaultAccount.avalara;
+    config.catalogScope = defaultAccount.catalogScope;
+    config.profile = null;
+    return null;
+  }
+  
+  const profile = getProfiles()[name];
+  if (!profile) {
+    const names = Object.keys(getProfiles());
+    throw new Error(`Unknown profile: ${name}. ${names.length > 0 ? `Defined profiles: ${names.join(', ')}` : 'Set SYNC_PROFILES_FILE to define profiles.'}`);
+  }
+  
+  config.bigcommerce = profile.bigcommerce;
+  config.avalara = profile.avalara;
+  config.catalogScope = profile.catalogScope;
+  config.profile = name;
+  return profile;
+}
+
+// Other profiles whose store feeds the same Avalara company
+function getProfilesSharingCompany(companyId, exceptName) {
+  return Object.values(getProfiles()).filter(profile =>
+    profile.name !== exceptName && String(profile.avalara.companyId) === String(companyId)
+  );
+}
+
+module.exports = { getProfiles, applyProfile, getProfilesSharingCompany };
@@ -0,0 +1,216 @@
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const HISTORY_FILE = 'history.db';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,
+    status TEXT NOT NULL,
+    started_at TEXT NOT NULL,
+    finished_at TEXT NOT NULL,
+    mode TEXT,
+    partial INTEGER NOT NULL DEFAULT 0,
+    profile TEXT,
+    store_hash TEXT,
+    company_id TEXT,
+    summary TEXT,
+    error_message TEXT
+  );
+  
+  CREATE TABLE IF NOT EXISTS reconcile_results (
+    run_id INTEGER NOT NULL REFERENCES runs(id),
+    sku TEXT NOT NULL,
+    product_id TEXT,
+    variant_id TEXT,
+    name TEXT,
+    exists_in_avalara TEXT,
+    missing_fields TEXT,
+    drift_fields TEXT,
+    reason TEXT
+  );
+  
+  CREATE INDEX IF NOT EXISTS reconcile_results_run_sku ON reconcile_results (run_id, sku);
+  CREATE INDEX IF NOT EXISTS reconcile_results_sku ON reconcile_results (sku, run_id);
+  
+  -- Fetched snapshots used to be kept with every fetch run, and were never read
+  DROP TABLE IF EXISTS snapshot_rows;
+`;
+
+const databases = new Map();
+
+// One history database per output directory, so every profile keeps its own audit trail
+function openHistory(outputDir = './output') {
+  const file = path.resolve(outputDir, HISTORY_FILE);
+  
+  if (!databases.has(file)) {
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+    databases.set(file, db);
+  }
+  
+  return databases.get(file);
+}
+
+function closeHistory() {
+  databases.forEach(db => db.close());
+  databases.clear();
+}
+
+// Rows of runs still being recorded. Temporary tables belong to the connection and are
+// dropped with it, so rows of an interrupted run never reach the history.
+const STAGING_SCHEMA = `
+  CREATE TEMP TABLE IF NOT EXISTS staged_reconcile_results (
+    recording_id INTEGER NOT NULL,
+    sku TEXT NOT NULL,
+    product_id TEXT,
+    variant_id TEXT,
+    name TEXT,
+    exists_in_avalara TEXT,
+    missing_fields TEXT,
+    drift_fields TEXT,
+    reason TEXT
+  );
+`;
+
+let nextRecordingId = 1;
+
+// Record a run, e.g. a reconcile writing the products to update a batch at a time. Rows
+// added with addRows() are staged and stored with the run in one transaction by finish(),
+// which returns the run id; discard() drops them. `type` is fetch-avalara, fetch-bc or
+// reconcile; only reconciliations have rows, the products they flagged, while fetches
+// are kept as their summary.
+function startRunRecording(outputDir, type) {
+  const db = openHistory(outputDir);
+  db.exec(STAGING_SCHEMA);
+  
+  const recordingId = nextRecordingId++;
+  
+  const stageResult = db.prepare(`
+    INSERT INTO staged_reconcile_results (recording_id, sku, product_id, variant_id, name, exists_in_avalara, missing_fields, drift_fields, reason)
+    VALUES (@recordingId, @sku, @product_id, @variant_id, @name, @exists_in_avalara, @missing_fields, @drift_fields, @reason)
+  `);
+  const insertRun = db.prepare(`
+    INSERT INTO runs (type, status, started_at, finished_at, mode, partial, profile, store_hash, company_id, summary, error_message)
+    VALUES (@type, @status, @startedAt, @finishedAt, @mode, @partial, @profile, @storeHash, @companyId, @summary, @errorMessage)
+  `);
+  const copyStagedRows = db.prepare(`
+    INSERT INTO reconcile_results (run_id, sku, product_id, variant_id, name, exists_in_avalara, missing_fields, drift_fields, reason)
+    SELECT ?, sku, product_id, variant_id, name, exists_in_avalara, missing_fields, drift_fields, reason
+    FROM staged_reconcile_results WHERE recording_id = ? ORDER BY rowid
+  `);
+  const deleteStagedRows = db.prepare('DELETE FROM staged_reconcile_results WHERE recording_id = ?');
+  
+  const addRows = db.transaction(rows => {
+    rows.forEach(row => {
+      stageResult.run({
+        recordingId,
+        sku: row.sku,
+        product_id: row.product_id,
+        variant_id: row.variant_id || null,
+        name: row.name,
+        exists_in_avalara: row.exists_in_avalara,
+        missing_fields: row.missing_fields || null,
+        drift_fields: row.drift_fields || null,
+        reason: row.reason
+      });
+    });
+  });
+  
+  const finish = db.transaction(run => {
+    const { lastInsertRowid: runId } = insertRun.run({
+      type,
+      status: run.error ? 'error' : 'success',
+      startedAt: run.startedAt,
+      finishedAt: new Date().toISOString(),
+      mode: run.mode || null,
+      partial: run.partial ? 1 : 0,
+      profile: run.profile || null,
+      storeHash: run.storeHash ? String(run.storeHash) : null,
+      companyId: run.companyId ? String(run.companyId) : null,
+      summary: run.summary ? JSON.stringify(run.summary) : null,
+      errorMessage: run.error ? run.error.message : null
+    });
+    
+    // A failed run keeps no rows
+    if (!run.error) {
+      copyStagedRows.run(runId, recordingId);
+    }
+    deleteStagedRows.run(recordingId);
+    
+    return Number(runId);
+  });
+  
+  return {
+    addRows,
+    finish,
+    discard: () => deleteStagedRows.run(recordingId)
+  };
+}
+
+function parseRun(run) {
+  return run && { ...run, partial: Boolean(run.partial), summary: run.summary ? JSON.parse(run.summary) : null };
+}
+
+// Most recent runs first, optionally of one type
+function listRuns(outputDir, { type, limit = 20 } = {}) {
+  const runs = openHistory(outputDir).prepare(`
+    SELECT * FROM runs
+    WHERE @type IS NULL OR type = @type
+    ORDER BY id DESC
+    LIMIT @limit
+  `).all({ type: type || null, limit });
+  
+  return runs.map(parseRun);
+}
+
+function getRun(outputDir, runId) {
+  return parseRun(openHistory(outputDir).prepare('SELECT * FROM runs WHERE id = ?').get(runId));
+}
+
+// The latest successful reconciliation of the whole catalog, optionally before a given run
+function getLatestReconcileRun(outputDir, beforeRunId = Number.MAX_SAFE_INTEGER) {
+  return parseRun(openHistory(outputDir).prepare(`
+    SELECT * FROM runs
+    WHERE type = 'reconcile' AND status = 'success' AND partial = 0 AND id < ?
+    ORDER BY id DESC
+    LIMIT 1
+  `).get(beforeRunId));
+}
+
+function getReconcileResults(outputDir, runId) {
+  return openHistory(outputDir).prepare('SELECT * FROM reconcile_results WHERE run_id = ? ORDER BY sku').all(runId);
+}
+
+// For every SKU flagged in a run, the first run of its current unbroken streak of
+// flagged full reconciliations, i.e. since when it has been waiting to be fixed
+function getFirstFlaggedRuns(outputDir, runId) {
+  const rows = openHistory(outputDir).prepare(`
+    SELECT current.sku, MIN(flagged.run_id) AS first_run_id
+    FROM reconcile_results current
+    JOIN reconcile_results flagged ON flagged.sku = current.sku AND flagged.run_id <= current.run_id
+    JOIN runs flagged_run ON flagged_run.id = flagged.run_id AND flagged_run.partial = 0 AND flagged_run.status = 'success'
+    WHERE current.run_id = @runId
+      AND flagged.run_id > COALESCE((
+        SELECT MAX(clean.id) FROM runs clean
+        WHERE clean.type = 'reconcile' AND clean.status = 'success' AND clean.partial = 0 AND clean.id < @runId
+          AND NOT EXISTS (SELECT 1 FROM reconcile_results r WHERE r.run_id = clean.id AND r.sku = current.sku)
+      ), 0)
+    GROUP BY current.sku
+  `).all({ runId });
+  
+  return new Map(rows.map(row => [row.sku, row.first_run_id]));
+}
+
+module.exports = {
+  openHistory,
+  closeHistory,
+  startRunRecording,
+  listRuns,
+  getRun,
+  getLatestReconcileRun,
+  getReconcileResults,
+  getFirstFlaggedRuns
+};
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { log, getRunId, configureLogging, classifyError } = require('./utils');
+
+const REPORT_FILE = 'run-report.json';
+
+// Merge a finished step into <outputDir>/run-report.json. The steps of one run, such as
+// those of a sync-all, share a report; the first step of a new run replaces it.
+function writeRunReport(outputDir, stepReport) {
+  const reportFile = path.join(outputDir, REPORT_FILE);
+  const runId = getRunId();
+  let report = null;
+  
+  if (fs.existsSync(reportFile)) {
+    const previous = JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+    report = previous.runId === runId ? previous : null;
+  }
+  
+  report = report || { runId, profile: config.profile, startedAt: stepReport.startedAt, steps: [] };
+  report.steps = report.steps.filter(step => step.step !== stepReport.step).concat(stepReport);
+  report.finishedAt = stepReport.finishedAt;
+  report.status = report.steps.some(step => step.status === 'error') ? 'error' : 'success';
+  
+  // Error counts by type across every step of the run
+  const byType = {};
+  report.steps.forEach(step => {
+    Object.entries(step.errors.byType).forEach(([type, count]) => {
+      byType[type] = (byType[type] || 0) + count;
+    });
+  });
+  report.errors = { total: Object.values(byType).reduce((sum, count) => sum + count, 0), byType };
+  
+  fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+  log(`Run report written to: ${reportFile}`);
+  
+  return report;
+}
+
+// Track one step of the current run. Log entries carry the step name from here on,
+// and finish() or fail() writes its counts and errors by type to the run report.
+function startStepReport(step, outputDir) {
+  configureLogging({ step });
+  
+  const startedAt = new Date();
+  const errors = {};
+  
+  const recordError = (errorType) => {
+    errors[errorType] = (errors[errorType] || 0) + 1;
+  };
+  
+  const buildStepReport = (status, counts, extra) => {
+    const finishedAt = new Date();
+    return {
+      step,
+      status,
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      counts,
+      errors: {
+        total: Object.values(errors).reduce((sum, count) => sum + count, 0),
+        byType: { ...errors }
+      },
+      ...extra
+    };
+  };
+  
+  return {
+    recordError,
+    finish: (counts = {}, extra = {}) => writeRunReport(outputDir, buildStepReport('success', counts, extra)),
+    fail: (error, counts = {}) => {
+      const type = classifyError(error);
+      recordError(type);
+      return writeRunReport(outputDir, buildStepReport('error', counts, { error: { type, message: error.message } }));
+    }
+  };
+}
+
+module.exports = {
+  startStepReport,
+  writeRunReport
+};
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LOCK_FILE = 'sync.lock';
+
+// Fields of a cron expression, in order, with their allowed range
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Latest a schedule is searched for its next run, so an expression like "0 0 30 2 *" fails
+const MAX_SEARCH_YEARS = 5;
+
+function parseCronField(value, { name, min, max }, expression) {
+  const values = new Set();
+  
+  for (const part of value.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron expression "${expression}": cannot read ${name} "${part}"`);
+    }
+    
+    const [, range, start, end, step] = match;
+    const from = range === '*' ? min : parseInt(start, 10);
+    const to = range === '*' ? max : end !== undefined ? parseInt(end, 10) : step ? max : from;
+    const increment = step ? parseInt(step, 10) : 1;
+    
+    if (from < min || to > max || from > to || increment < 1) {
+      throw new Error(`Invalid cron expression "${expression}": ${name} "${part}" is outside ${min}-${max}`);
+    }
+    
+    for (let i = from; i <= to; i += increment) {
+      values.add(i);
+    }
+  }
+  
+  return values;
+}
+
+// Parse a five-field cron expression: minute hour day-of-month month day-of-week.
+// Fields take *, numbers, ranges (1-5), lists (1,15) and steps (*/15, 8-18/2).
+// Day of week 0 and 7 are both Sunday.
+function parseCronExpression(expression) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields (minute hour day-of-month month day-of-week)`);
+  }
+  
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i], expression));
+  
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+  
+  return {
+    expression,
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // As in cron, a day matches either restricted day field when both are restricted
+    anyDayOfMonth: fields[2] === '*',
+    anyDayOfWeek: fields[4] === '*'
+  };
+}
+
+function matchesDay(schedule, date) {
+  const dayOfMonth = schedule.daysOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.daysOfWeek.has(date.getDay());
+  
+  if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+// The first minute after `from` that matches the schedule, in local time
+function getNextRun(schedule, from = new Date()) {
+  const parsed = typeof schedule === 'string' ? parseCronExpression(schedule) : schedule;
+  const limit = new Date(from);
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+  
+  const next = new Date(from);
+  next.setSeconds(0, 0);
+  next.setMinutes(next.getMinutes() + 1);
+  
+  while (next <= limit) {
+    if (!parsed.months.has(next.getMonth() + 1)) {
+      next.setMonth(next.getMonth() + 1, 1);
+      next.setHours(0, 0);
+    } else if (!matchesDay(parsed, next)) {
+      next.setDate(next.getDate() + 1);
+      next.setHours(0, 0);
+    } else if (!parsed.hours.has(next.getHours())) {
+      next.setHours(next.getHours() + 1, 0);
+    } else if (!parsed.minutes.has(next.getMinutes())) {
+      next.setMinutes(next.getMinutes() + 1);
+    } else {
+      return next;
+    }
+  }
+  
+  throw new Error(`Cron expression "${parsed.expression}" never matches`);
+}
+
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+// Take <outputDir>/sync.lock so two syncs of one output directory never overlap. The lock
+// is created atomically and records who holds it; a lock left behind by a process that is no
+// longer running on this host is taken over. Returns a function that releases the lock.
+function acquireLock(outputDir, details = {}) {
+  const file = path.join(outputDir, LOCK_FILE);
+  const holder = { pid: process.pid, host: os.hostname(), startedAt: new Date().toISOString(), ...details };
+  
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(file, JSON.stringify(holder, null, 2), { flag: 'wx' });
+      return () => {
+        // Only remove the lock if it is still ours
+        if (fs.existsSync(file) && readLock(outputDir)?.pid === holder.pid) {
+          fs.unlinkSync(file);
+        }
+      };
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+    
+    const current = readLock(outputDir);
+    const stale = current && current.host === holder.host && !isProcessRunning(current.pid);
+    
+    if (current && !stale) {
+      throw new Error(`Another sync holds ${file} (pid ${current.pid} on ${current.host}, run ${current.runId || 'unknown'}, since ${current.startedAt}). If it is no longer running, delete the lock file.`);
+    }
+    
+    // Stale or unreadable, e.g. left by a process killed mid-write
+    fs.rmSync(file, { force: true });
+  }
+  
+  throw new Error(`Could not take the sync lock ${file}`);
+}
+
+function readLock(outputDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(outputDir, LOCK_FILE), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  parseCronExpression,
+  getNextRun,
+  acquireLock,
+  readLock
+};
@@ -0,0 +1,206 @@
+const axios = require('axios');
+const fs = require('fs');
+const config = require('../config');
+const { applyProfile } = require('../profiles');
+const { startStepReport } = require('../run-report');
+const { startBackup } = require('../backups');
+const { createCsvWriterUtil, readCSVBatches, ensureOutputDir, log, sleep, withRetry, classifyError, getCliOption, assertSnapshotAccount } = require('../utils');
+
+// Fill the empty itemGroup and category of an Avalara item with the proposed values.
+// Values already set in Avalara are never overwritten. Returns the fields set, or that
+// would be set in a dry run.
+async function applyClassification(avalaraClient, product, { dryRun = false, backup = null } = {}) {
+  const itemEndpoint = `/api/v2/companies/${config.avalara.companyId}/items/${product.avalara_item_id}`;
+  const response = await withRetry(() => avalaraClient.get(itemEndpoint), config.retry);
+  const existingItem = response.data;
+  
+  const patch = {};
+  if (!existingItem.itemGroup && product.proposed_item_group) {
+    patch.itemGroup = product.proposed_item_group;
+  }
+  if (!existingItem.category && product.proposed_category) {
+    patch.category = product.proposed_category;
+  }
+  
+  if (Object.keys(patch).length === 0 || dryRun) {
+    return Object.keys(patch);
+  }
+  
+  backup.saveAvalaraItem(existingItem);
+  await withRetry(() => avalaraClient.put(itemEndpoint, { ...existingItem, ...patch }), config.retry);
+  return Object.keys(patch);
+}
+
+async function applyClassifications(options = {}) {
+  const dryRun = Boolean(options.dryRun);
+  const profile = applyProfile(options.profile);
+  const outputDir = ensureOutputDir(options.outputDir || (profile && profile.outputDir));
+  const productsToUpdateFile = options.input || `${outputDir}/products-to-update.csv`;
+  const logFile = `${outputDir}/classification-log.csv`;
+  const report = startStepReport('classify', outputDir);
+  const backup = dryRun ? null : startBackup('classify', outputDir);
+  
+  log(`Starting classification ${dryRun ? 'dry run' : 'update'}...`);
+  
+  // Check if input file exists
+  if (!fs.existsSync(productsToUpdateFile)) {
+    throw new Error(`Products to update file not found: ${productsToUpdateFile}. Please run reconcile-products.js first.`);
+  }
+  
+  // Item ids are only meaningful in the company they were reconciled for
+  assertSnapshotAccount('avalara', config.avalara.companyId, outputDir);
+  
+  try {
+    log('Reading proposed classifications...');
+    const proposals = [];
+    for await (const products of readCSVBatches(productsToUpdateFile)) {
+      proposals.push(...products.filter(product => product.proposed_item_group || product.proposed_category));
+    }
+    
+    // Items that don't exist yet are created with their classification by the direct strategy
+    const unregistered = proposals.filter(product => product.exists_in_avalara !== 'yes');
+    
+    // Several SKUs can match one item after normalization; classify each item once
+    const itemsById = new Map();
+    proposals
+      .filter(product => product.exists_in_avalara === 'yes' && product.avalara_item_id)
+      .forEach(product => {
+        if (!itemsById.has(product.avalara_item_id)) {
+          itemsById.set(product.avalara_item_id, product);
+        }
+      });
+    const items = [...itemsById.values()];
+    
+    log(`Found ${items.length} Avalara items with a proposed classification`);
+    
+    if (unregistered.length > 0) {
+      log(`${unregistered.length} classified products are not registered in Avalara yet. Run update-products.js --strategy=direct to create them with their classification.`);
+    }
+    
+    const avalaraClient = axios.create({
+      baseURL: config.avalara.baseUrl,
+      headers: config.avalara.headers,
+      timeout: 30000
+    });
+    
+    const csvWriter = createCsvWriterUtil(logFile, [
+      'avalara_item_id',
+      'sku',
+      'item_group',
+      'category',
+      'classification_rule',
+      'status',
+      'timestamp',
+      'error_message',
+      'error_type'
+    ]);
+    
+    const classificationLog = [];
+    let successCount = 0;
+    let skippedCount = 0;
+    let errorCount = 0;
+    
+    for (let i = 0; i < items.length; i++) {
+      const product = items[i];
+      const entry = {
+        avalara_item_id: product.avalara_item_id,
+        sku: product.sku,
+        item_group: product.proposed_item_group,
+        category: product.proposed_category,
+        classification_rule: product.classification_rule,
+        status: 'success',
+        timestamp: new Date().toISOString(),
+        error_message: '',
+        error_type: ''
+      };
+      const fields = { productId: product.product_id, sku: product.sku };
+      
+      log(`Processing item ${i + 1}/${items.length}: ${product.sku}`, 'info', fields);
+      
+      try {
+        // A dry run looks each item up too, so items classified or deleted since the
+        // reconciliation aren't counted
+        const updatedFields = await applyClassification(avalaraClient, product, { dryRun, backup });
+        
+        if (updatedFields.length === 0) {
+          log(`  Skipped: itemGroup and category are already set in Avalara`, 'info', fields);
+          classificationLog.push({ ...entry, status: 'skipped' });
+          skippedCount++;
+        } else if (dryRun) {
+          const proposed = { itemGroup: product.proposed_item_group, category: product.proposed_category };
+          log(`  Plan: Would set ${updatedFields.map(field => `${field} "${proposed[field]}"`).join(' and ')}`, 'info', fields);
+          classificationLog.push({ ...entry, status: 'planned' });
+          successCount++;
+        } else {
+          log(`  Success: Updated Avalara item ${product.avalara_item_id} (${updatedFields.join(', ')})`, 'info', fields);
+          classificationLog.push(entry);
+          successCount++;
+        }
+        
+        // Rate limiting - wait 100ms between items
+        await sleep(100);
+      
+      } catch (error) {
+        const errorMessage = error.response
+          ? `${error.response.status}: ${error.response.data?.error?.message || error.message}`
+          : error.message;
+        
+        const errorType = classifyError(error);
+        log(`  Error: ${errorMessage}`, 'error', fields);
+        classificationLog.push({ ...entry, status: 'error', error_message: errorMessage, error_type: errorType });
+        report.recordError(errorType);
+        errorCount++;
+      }
+    }
+    
+    await csvWriter.writeRecords(classificationLog);
+    
+    log(`Classification ${dryRun ? 'dry run' : 'update'} completed`);
+    log(`Results written to: ${logFile}`);
+    log(`Summary:`);
+    log(`  - Items ${dryRun ? 'that would be classified' : 'classified'}: ${successCount}`);
+    log(`  - Skipped: ${skippedCount}`);
+    log(`  - Errors: ${errorCount}`);
+    log(`  - Classified products not registered in Avalara: ${unregistered.length}`);
+    if (backup && fs.existsSync(backup.file)) {
+      log(`Previous state of the classified items backed up to: ${backup.file}`);
+      log(`Undo this run with: bc-avalara-sync rollback --run-id ${backup.runId}`);
+    }
+    
+    const result = {
+      total: items.length,
+      success: successCount,
+      skipped: skippedCount,
+      errors: errorCount,
+      unregistered: unregistered.length
+    };
+    report.finish({ ...result, dryRun }, { backupFile: backup && fs.existsSync(backup.file) ? backup.file : null });
+    
+    return result;
+  
+  } catch (error) {
+    log(`Error applying classifications: ${error.message}`, 'error');
+    report.fail(error);
+    throw error;
+  }
+}
+
+// Run the script if called directly
+if (require.main === module) {
+  applyClassifications({
+    dryRun: process.argv.includes('--dry-run'),
+    input: getCliOption('input'),
+    outputDir: getCliOption('output-dir'),
+    profile: getCliOption('profile')
+  })
+    .then(() => {
+      log('Classification update completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      log(`Classification update failed: ${error.message}`, 'error');
+      process.exit(1);
+    });
+}
+
+module.exports = { applyClassifications };
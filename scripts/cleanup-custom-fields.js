@@ -0,0 +1,267 @@
+const axios = require('axios');
+const fs = require('fs');
+const config = require('../config');
+const { applyProfile } = require('../profiles');
+const { startStepReport } = require('../run-report');
+const { startBackup } = require('../backups');
+const { createCsvWriterUtil, readCSVBatches, ensureOutputDir, log, sleep, withRetry, classifyError, applyRateLimiter, createSkuNormalizer, getCliOption, assertSnapshotAccount } = require('../utils');
+const { getExistingCustomFields } = require('./update-products');
+
+async function deleteCustomField(bcClient, productId, customFieldId) {
+  await withRetry(() => bcClient.delete(`/v3/catalog/products/${productId}/custom-fields/${customFieldId}`), config.retry);
+}
+
+// Returns the fields still missing for a SKU, or null when it is not in Avalara at all
+function getMissingAvalaraFields(avalaraMap, normalizeSku, sku) {
+  const avalaraItem = avalaraMap.get(normalizeSku(sku));
+  
+  if (!avalaraItem) {
+    return null;
+  }
+  
+  const missingFields = [];
+  
+  if (!avalaraItem.itemGroup || avalaraItem.itemGroup.trim() === '') {
+    missingFields.push('itemGroup');
+  }
+  
+  if (!avalaraItem.category || avalaraItem.category.trim() === '') {
+    missingFields.push('category');
+  }
+  
+  return missingFields;
+}
+
+async function cleanupCustomFields(options = {}) {
+  const profile = applyProfile(options.profile);
+  const outputDir = ensureOutputDir(options.outputDir || (profile && profile.outputDir));
+  const syncLogFile = `${outputDir}/product-sync-log.csv`;
+  const avalaraFile = `${outputDir}/avalara-items.csv`;
+  const cleanupLogFile = `${outputDir}/custom-field-cleanup-log.csv`;
+  const pendingFile = `${outputDir}/cleanup-pending.csv`;
+  const report = startStepReport('cleanup', outputDir);
+  const backup = startBackup('cleanup', outputDir);
+  
+  log('Starting custom field cleanup...');
+  
+  // Check if input files exist
+  if (!fs.existsSync(syncLogFile)) {
+    throw new Error(`Product sync log not found: ${syncLogFile}. Please run update-products.js first.`);
+  }
+  
+  if (!fs.existsSync(avalaraFile)) {
+    throw new Error(`Avalara items file not found: ${avalaraFile}. Please run fetch-avalara-items.js first.`);
+  }
+  
+  // Sync status must be confirmed against items fetched after the update run
+  if (fs.statSync(avalaraFile).mtime < fs.statSync(syncLogFile).mtime) {
+    throw new Error(`Avalara items file is older than ${syncLogFile}. Please run fetch-avalara-items.js first.`);
+  }
+  
+  assertSnapshotAccount('bigcommerce', config.bigcommerce.storeHash, outputDir);
+  assertSnapshotAccount('avalara', config.avalara.companyId, outputDir);
+  
+  try {
+    // Products that carry the sync field, with every SKU logged against them
+    log('Reading product sync log...');
+    const productSkus = new Map();
+    for await (const syncLog of readCSVBatches(syncLogFile)) {
+      syncLog
+        .filter(entry =>
+          entry.custom_field_added === 'yes' ||
+          entry.error_message === 'Custom field already exists'
+        )
+        .forEach(entry => {
+          if (!productSkus.has(entry.product_id)) {
+            productSkus.set(entry.product_id, []);
+          }
+          productSkus.get(entry.product_id).push(entry.sku);
+        });
+    }
+    
+    // Match SKUs with the same normalization rules as reconciliation
+    log('Reading Avalara items...');
+    const normalizeSku = createSkuNormalizer(config.skuNormalization);
+    const avalaraMap = new Map();
+    for await (const avalaraItems of readCSVBatches(avalaraFile)) {
+      avalaraItems.forEach(item => {
+        const key = normalizeSku(item.itemCode);
+        if (key) {
+          avalaraMap.set(key, item);
+        }
+      });
+    }
+    
+    log(`Found ${productSkus.size} products with the ${config.sync.fieldName} custom field`);
+    
+    if (productSkus.size === 0) {
+      log('No custom fields to clean up.');
+      report.finish({ deleted: 0, notFound: 0, pending: 0, errors: 0 });
+      return { deleted: 0, notFound: 0, pending: 0, errors: 0 };
+    }
+    
+    const bcClient = applyRateLimiter(axios.create({
+      baseURL: config.bigcommerce.baseUrl,
+      headers: config.bigcommerce.headers,
+      timeout: 30000
+    }));
+    
+    const cleanupLogWriter = createCsvWriterUtil(cleanupLogFile, [
+      'product_id',
+      'skus',
+      'custom_field_id',
+      'status',
+      'timestamp',
+      'error_message'
+    ]);
+    
+    const pendingWriter = createCsvWriterUtil(pendingFile, [
+      'product_id',
+      'sku',
+      'exists_in_avalara',
+      'missing_fields',
+      'reason'
+    ]);
+    
+    const cleanupLog = [];
+    const pending = [];
+    let deletedCount = 0;
+    let notFoundCount = 0;
+    let errorCount = 0;
+    let index = 0;
+    
+    for (const [productId, skus] of productSkus) {
+      index++;
+      const timestamp = new Date().toISOString();
+      
+      log(`Processing product ${index}/${productSkus.size}: ${productId} (${skus.join(', ')})`, 'info', { productId, sku: skus.join(', ') });
+      
+      // Every SKU of the product must be complete before the field can go
+      const unsynced = skus
+        .map(sku => ({ sku, missingFields: getMissingAvalaraFields(avalaraMap, normalizeSku, sku) }))
+        .filter(result => result.missingFields === null || result.missingFields.length > 0);
+      
+      if (unsynced.length > 0) {
+        log(`  Leaving field in place: ${unsynced.length} SKUs not yet complete in Avalara`);
+        unsynced.forEach(result => {
+          pending.push({
+            product_id: productId,
+            sku: result.sku,
+            exists_in_avalara: result.missingFields === null ? 'no' : 'yes',
+            missing_fields: result.missingFields ? result.missingFields.join(', ') : '',
+            reason: result.missingFields === null
+              ? 'Product not registered in Avalara'
+              : `Missing required fields: ${result.missingFields.join(', ')}`
+          });
+        });
+        continue;
+      }
+      
+      try {
+        const existingFields = await getExistingCustomFields(bcClient, productId);
+        const syncField = existingFields.find(field => field.name === config.sync.fieldName);
+        
+        if (!syncField) {
+          log(`  Skipping: ${config.sync.fieldName} custom field not found`);
+          cleanupLog.push({
+            product_id: productId,
+            skus: skus.join(', '),
+            custom_field_id: '',
+            status: 'not_found',
+            timestamp,
+            error_message: ''
+          });
+          notFoundCount++;
+          continue;
+        }
+        
+        backup.saveProductCustomFields(productId, existingFields);
+        await deleteCustomField(bcClient, productId, syncField.id);
+        
+        log(`  Deleted: ${config.sync.fieldName} custom field ${syncField.id}`);
+        
+        cleanupLog.push({
+          product_id: productId,
+          skus: skus.join(', '),
+          custom_field_id: syncField.id,
+          status: 'deleted',
+          timestamp,
+          error_message: ''
+        });
+        deletedCount++;
+        
+        // Rate limiting - wait 100ms between requests
+        await sleep(100);
+      
+      } catch (error) {
+        const errorMessage = error.response
+          ? `${error.response.status}: ${error.response.data?.message || error.message}`
+          : error.message;
+        
+        log(`  Error: ${errorMessage}`, 'error', { productId, sku: skus.join(', ') });
+        report.recordError(classifyError(error));
+        
+        cleanupLog.push({
+          product_id: productId,
+          skus: skus.join(', '),
+          custom_field_id: '',
+          status: 'error',
+          timestamp,
+          error_message: errorMessage
+        });
+        errorCount++;
+      }
+    }
+    
+    await cleanupLogWriter.writeRecords(cleanupLog);
+    await pendingWriter.writeRecords(pending);
+    
+    const pendingProducts = new Set(pending.map(entry => entry.product_id)).size;
+    
+    log(`Custom field cleanup completed`);
+    log(`Deletions written to: ${cleanupLogFile}`);
+    log(`Unsynced products written to: ${pendingFile}`);
+    log(`Summary:`);
+    log(`  - Custom fields deleted: ${deletedCount}`);
+    log(`  - Custom fields already gone: ${notFoundCount}`);
+    log(`  - Products not yet synced (left untouched): ${pendingProducts}`);
+    log(`  - Errors: ${errorCount}`);
+    if (fs.existsSync(backup.file)) {
+      log(`Previous custom fields backed up to: ${backup.file}`);
+      log(`Undo this run with: bc-avalara-sync rollback --run-id ${backup.runId}`);
+    }
+    
+    const result = {
+      deleted: deletedCount,
+      notFound: notFoundCount,
+      pending: pendingProducts,
+      errors: errorCount
+    };
+    report.finish(result, { backupFile: fs.existsSync(backup.file) ? backup.file : null });
+    
+    return result;
+  
+  } catch (error) {
+    log(`Error during custom field cleanup: ${error.message}`, 'error');
+    report.fail(error);
+    throw error;
+  }
+}
+
+// Run the script if called directly
+if (require.main === module) {
+  cleanupCustomFields({
+    outputDir: getCliOption('output-dir'),
+    profile: getCliOption('profile')
+  })
+    .then(() => {
+      log('Custom field cleanup completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      log(`Custom field cleanup failed: ${error.message}`, 'error');
+      process.exit(1);
+    });
+}
+
+module.exports = { cleanupCustomFields };
@@ -0,0 +1,145 @@
+const { applyProfile } = require('../profiles');
+const { getRun, getLatestReconcileRun, getReconcileResults, getFirstFlaggedRuns } = require('../run-history');
+const { createCsvWriterUtil, ensureOutputDir, log, getCliOption } = require('../utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getReconcileRun(outputDir, runId) {
+  const run = getRun(outputDir, runId);
+  
+  if (!run) {
+    throw new Error(`Run ${runId} not found in the run history of ${outputDir}`);
+  }
+  if (run.type !== 'reconcile' || run.status !== 'success') {
+    throw new Error(`Run ${runId} is a ${run.status === 'success' ? run.type : `failed ${run.type}`} run, not a reconciliation`);
+  }
+  
+  return run;
+}
+
+// Compare the products flagged by two reconciliations: newly missing, fixed since,
+// and still missing together with how long they have been flagged
+async function diffRuns(options = {}) {
+  const profile = applyProfile(options.profile);
+  const outputDir = ensureOutputDir(options.outputDir || (profile && profile.outputDir));
+  const outputFile = `${outputDir}/reconciliation-diff.csv`;
+  
+  // Default to the two latest reconciliations of the whole catalog
+  const toRun = options.to ? getReconcileRun(outputDir, options.to) : getLatestReconcileRun(outputDir);
+  const fromRun = toRun && (options.from ? getReconcileRun(outputDir, options.from) : getLatestReconcileRun(outputDir, toRun.id));
+  
+  if (!toRun || !fromRun) {
+    throw new Error(`The run history of ${outputDir} needs two full reconciliations to diff. Run reconcile-products.js first.`);
+  }
+  
+  try {
+    log(`Comparing reconciliation run ${fromRun.id} (${fromRun.started_at}) with run ${toRun.id} (${toRun.started_at})...`);
+    
+    [fromRun, toRun]
+      .filter(run => run.partial)
+      .forEach(run => log(`Warning: run ${run.id} only reconciled selected products, products outside the selection show up as fixed or newly missing`, 'error'));
+    
+    const before = new Map(getReconcileResults(outputDir, fromRun.id).map(result => [result.sku, result]));
+    const after = new Map(getReconcileResults(outputDir, toRun.id).map(result => [result.sku, result]));
+    const firstFlaggedRuns = getFirstFlaggedRuns(outputDir, toRun.id);
+    const runsById = new Map();
+    
+    const describe = (change, result, previous) => {
+      const firstRunId = change === 'fixed' ? null : firstFlaggedRuns.get(result.sku) || toRun.id;
+      if (firstRunId && !runsById.has(firstRunId)) {
+        runsById.set(firstRunId, getRun(outputDir, firstRunId));
+      }
+      const firstRun = firstRunId ? runsById.get(firstRunId) : null;
+      
+      return {
+        change,
+        sku: result.sku,
+        product_id: result.product_id,
+        variant_id: result.variant_id || '',
+        name: result.name,
+        reason: change === 'fixed' ? '' : result.reason,
+        previous_reason: previous ? previous.reason : '',
+        first_flagged_run: firstRun ? firstRun.id : '',
+        first_flagged_at: firstRun ? firstRun.started_at : '',
+        age_days: firstRun ? ((new Date(toRun.started_at) - new Date(firstRun.started_at)) / DAY_MS).toFixed(1) : ''
+      };
+    };
+    
+    const newlyMissing = [];
+    const stillMissing = [];
+    after.forEach((result, sku) => {
+      if (before.has(sku)) {
+        stillMissing.push(describe('still_missing', result, before.get(sku)));
+      } else {
+        newlyMissing.push(describe('newly_missing', result));
+      }
+    });
+    
+    const fixed = [];
+    before.forEach((result, sku) => {
+      if (!after.has(sku)) {
+        fixed.push(describe('fixed', result, result));
+      }
+    });
+    
+    // Oldest problems first, they are the ones the tax team asks about
+    stillMissing.sort((a, b) => b.age_days - a.age_days);
+    
+    const csvWriter = createCsvWriterUtil(outputFile, [
+      'change',
+      'sku',
+      'product_id',
+      'variant_id',
+      'name',
+      'reason',
+      'previous_reason',
+      'first_flagged_run',
+      'first_flagged_at',
+      'age_days'
+    ]);
+    await csvWriter.writeRecords([...newlyMissing, ...fixed, ...stillMissing]);
+    
+    log(`Diff written to: ${outputFile}`);
+    log(`Summary:`);
+    log(`  - Products to update in run ${fromRun.id}: ${before.size}`);
+    log(`  - Products to update in run ${toRun.id}: ${after.size}`);
+    log(`  - Newly missing or incomplete: ${newlyMissing.length}`);
+    log(`  - Fixed (or no longer in the catalog): ${fixed.length}`);
+    log(`  - Still missing or incomplete: ${stillMissing.length}`);
+    if (stillMissing.length > 0) {
+      log(`  - Oldest still flagged: ${stillMissing[0].sku} since run ${stillMissing[0].first_flagged_run} (${stillMissing[0].age_days} days)`);
+    }
+    
+    return {
+      fromRunId: fromRun.id,
+      toRunId: toRun.id,
+      newlyMissing: newlyMissing.length,
+      fixed: fixed.length,
+      stillMissing: stillMissing.length
+    };
+    
+  } catch (error) {
+    log(`Error diffing runs: ${error.message}`, 'error');
+    throw error;
+  }
+}
+
+// Run the script if called directly
+if (require.main === module) {
+  diffRuns({
+    from: getCliOption('from'),
+    to: getCliOption('to'),
+    outputDir: getCliOption('output-dir'),
+    profile: getCliOption('profile')
+  })
+    .then(() => {
+      log('Run diff completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      log(`Run diff failed: ${error.message}`, 'error');
+      process.exit(1);
+    });
+}
+
+module.exports = { diffRuns };
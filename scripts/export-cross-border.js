@@ -0,0 +1,167 @@
+const fs = require('fs');
+const config = require('../config');
+const { applyProfile } = require('../profiles');
+const { startStepReport } = require('../run-report');
+const { createBatchedCsvWriter, readCSVBatches, ensureOutputDir, log, createSkuNormalizer, parseNamedValues, extractHSCode, getCliOption, assertSnapshotAccount } = require('../utils');
+
+// Avalara item parameters the broker asks for, by the names they are commonly stored under
+const ORIGIN_PARAMETERS = ['countryoforigin', 'countryofmanufacture', 'origincountry'];
+const WEIGHT_PARAMETERS = ['netweight', 'weight', 'grossweight'];
+
+function findParameter(parameters, names) {
+  const parameter = parameters.find(entry => names.includes(entry.name.replace(/[\s_-]/g, '').toLowerCase()));
+  return parameter ? parameter.value : '';
+}
+
+// One row per BigCommerce SKU and destination country with the customs data our broker
+// needs: HS code, description, origin, weight and value
+async function exportCrossBorder(options = {}) {
+  const profile = applyProfile(options.profile);
+  const outputDir = ensureOutputDir(options.outputDir || (profile && profile.outputDir));
+  const avalaraFile = `${outputDir}/avalara-items.csv`;
+  const bcFile = `${outputDir}/bc-products.csv`;
+  const outputFile = `${outputDir}/cross-border-export.csv`;
+  const normalizeSku = createSkuNormalizer(config.skuNormalization);
+  const countries = options.countries
+    ? options.countries.split(',').map(country => country.trim().toUpperCase()).filter(Boolean)
+    : config.crossBorder.countries;
+  const report = startStepReport('export-cross-border', outputDir);
+  
+  if (countries.length === 0) {
+    throw new Error('No destination countries given. Set CROSS_BORDER_COUNTRIES or pass --countries=CA,GB.');
+  }
+  
+  log(`Starting cross-border export for ${countries.join(', ')}...`);
+  
+  // Check if input files exist
+  if (!fs.existsSync(avalaraFile)) {
+    throw new Error(`Avalara items file not found: ${avalaraFile}. Please run fetch-avalara-items.js first.`);
+  }
+  
+  if (!fs.existsSync(bcFile)) {
+    throw new Error(`BigCommerce products file not found: ${bcFile}. Please run fetch-bc-products.js first.`);
+  }
+  
+  assertSnapshotAccount('bigcommerce', config.bigcommerce.storeHash, outputDir);
+  assertSnapshotAccount('avalara', config.avalara.companyId, outputDir);
+  
+  try {
+    log('Reading Avalara items and BigCommerce products...');
+    const avalaraMap = new Map();
+    for await (const avalaraItems of readCSVBatches(avalaraFile)) {
+      avalaraItems.forEach(item => {
+        const key = normalizeSku(item.itemCode);
+        if (key) {
+          avalaraMap.set(key, item);
+        }
+      });
+    }
+    
+    // Rows are written a batch of BigCommerce products at a time
+    const csvWriter = createBatchedCsvWriter(outputFile, [
+      'sku',
+      'product_id',
+      'variant_id',
+      'description',
+      'destination_country',
+      'hs_code',
+      'country_of_origin',
+      'weight',
+      'unit_value',
+      'upc',
+      'avalara_item_code',
+      'tax_code',
+      'ready',
+      'issue'
+    ]);
+    
+    const missingByCountry = Object.fromEntries(countries.map(country => [country, 0]));
+    let skus = 0;
+    let ready = 0;
+    
+    for await (const bcProducts of readCSVBatches(bcFile)) {
+      const rows = [];
+      skus += bcProducts.length;
+      
+      bcProducts.forEach(product => {
+        const item = avalaraMap.get(normalizeSku(product.sku));
+        const parameters = item ? parseNamedValues(item.parameters) : [];
+        
+        countries.forEach(country => {
+          const hsCode = item ? extractHSCode(item, country) : '';
+          const issue = !item
+            ? 'Not registered in Avalara'
+            : (hsCode ? '' : `No HS code for ${country}`);
+          
+          if (issue) {
+            missingByCountry[country]++;
+          }
+          
+          rows.push({
+            sku: product.sku,
+            product_id: product.id,
+            variant_id: product.variant_id || '',
+            description: item && item.description ? item.description : product.name,
+            destination_country: country,
+            hs_code: hsCode,
+            country_of_origin: findParameter(parameters, ORIGIN_PARAMETERS),
+            weight: findParameter(parameters, WEIGHT_PARAMETERS),
+            unit_value: product.price,
+            upc: product.upc || (item ? item.upc : ''),
+            avalara_item_code: item ? item.itemCode : '',
+            tax_code: item ? item.taxCode : product.tax_code,
+            ready: issue ? 'no' : 'yes',
+            issue
+          });
+        });
+      });
+      
+      ready += rows.filter(row => row.ready === 'yes').length;
+      await csvWriter.write(rows);
+    }
+    await csvWriter.end();
+    
+    log(`Cross-border export completed`);
+    log(`Results written to: ${outputFile}`);
+    log(`Summary:`);
+    log(`  - BigCommerce SKUs: ${skus}`);
+    log(`  - Rows ready for the broker: ${ready} of ${csvWriter.count}`);
+    countries.forEach(country => {
+      log(`  - SKUs without an HS code for ${country}: ${missingByCountry[country]}`);
+    });
+    
+    const result = {
+      skus,
+      rows: csvWriter.count,
+      ready,
+      missingByCountry
+    };
+    report.finish(result);
+    
+    return result;
+  
+  } catch (error) {
+    log(`Error during cross-border export: ${error.message}`, 'error');
+    report.fail(error);
+    throw error;
+  }
+}
+
+// Run the script if called directly
+if (require.main === module) {
+  exportCrossBorder({
+    countries: getCliOption('countries'),
+    outputDir: getCliOption('output-dir'),
+    profile: getCliOption('profile')
+  })
+    .then(() => {
+      log('Cross-border export completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      log(`Cross-border export failed: ${error.message}`, 'error');
+      process.exit(1);
+    });
+}
+
+module.exports = { exportCrossBorder };
@@ -1,19 +1,122 @@
 const axios = require('axios');
+const fs = require('fs');
 const config = require('../config');
-const { createCsvWriterUtil, ensureOutputDir, paginateAvalara, log, extractHSCode } = require('../utils');
+const { applyProfile } = require('../profiles');
+const { startRunRecording } = require('../run-history');
+const { startStepReport } = require('../run-report');
+const { createBatchedCsvWriter, readCSVBatches, createRowSpool, ensureOutputDir, iterateAvalaraPages, log, formatNamedValues, getWatermark, setWatermark, isFullFetchDue, getSyncModeOption, getCliOption, setSnapshotAccount, assertSnapshotAccount } = require('../utils');
 
-async function fetchAvalaraItems() {
-  const outputDir = ensureOutputDir();
+const ITEM_COLUMNS = [
+  'id',
+  'itemCode',
+  'itemGroup',
+  'category',
+  'description',
+  'taxCode',
+  'upc',
+  'hs_codes',
+  'parameters'
+];
+
+// avalara-items.csv row for an item
+function buildItemRow(item) {
+  return {
+    id: item.id || '',
+    itemCode: item.itemCode || '',
+    itemGroup: item.itemGroup || '',
+    category: item.category || '',
+    description: item.description || '',
+    taxCode: item.taxCode || '',
+    upc: item.upc || '',
+    // Cross-border HS codes by destination country, e.g. "CA: 6109100010; GB: 6109100010"
+    hs_codes: formatNamedValues((item.classifications || [])
+      .filter(classification => /^[A-Z]{2}$/i.test(classification.systemCode || ''))
+      .map(classification => ({ name: classification.systemCode.toUpperCase(), value: classification.productCode }))),
+    parameters: formatNamedValues((item.parameters || [])
+      .map(parameter => ({ name: parameter.name, value: parameter.unit ? `${parameter.value} ${parameter.unit}` : parameter.value })))
+  };
+}
+
+// Cache the AvaTax tax code definitions so reconciliation can validate item and
+// product tax codes. The list is global rather than per company and always fetched in full.
+// Returns the number of definitions written.
+async function fetchTaxCodeDefinitions(avalaraClient, outputFile) {
+  const tempFile = `${outputFile}.tmp`;
+  const csvWriter = createBatchedCsvWriter(tempFile, [
+    'taxCode',
+    'taxCodeTypeId',
+    'description',
+    'parentTaxCode',
+    'isActive'
+  ]);
+  
+  try {
+    for await (const taxCodes of iterateAvalaraPages(avalaraClient, '/api/v2/definitions/taxcodes', {}, config.retry)) {
+      await csvWriter.write(taxCodes.map(taxCode => ({
+        taxCode: taxCode.taxCode || '',
+        taxCodeTypeId: taxCode.taxCodeTypeId || '',
+        description: taxCode.description || '',
+        parentTaxCode: taxCode.parentTaxCode || '',
+        isActive: taxCode.isActive === false ? 'false' : 'true'
+      })));
+    }
+    await csvWriter.end();
+    fs.renameSync(tempFile, outputFile);
+  } finally {
+    fs.rmSync(tempFile, { force: true });
+  }
+  
+  return csvWriter.count;
+}
+
+// Fetch the items into avalara-items.csv a page at a time and return summary counts, so
+// memory use doesn't grow with the catalog. `onRows` gets each batch of snapshot rows.
+async function writeAvalaraSnapshot(options = {}, onRows = () => {}) {
+  const profile = applyProfile(options.profile);
+  const outputDir = ensureOutputDir(options.outputDir || (profile && profile.outputDir));
   const outputFile = `${outputDir}/avalara-items.csv`;
+  const taxCodesFile = `${outputDir}/avalara-tax-codes.csv`;
+  const runStartedAt = new Date().toISOString();
+  const run = { type: 'fetch-avalara', startedAt: runStartedAt, profile: config.profile, companyId: config.avalara.companyId };
+  const report = startStepReport('fetch-avalara', outputDir);
   
-  log('Starting Avalara items fetch...');
+  // Incremental runs need a previous snapshot and watermark, otherwise fall back to a full fetch
+  const requestedIncremental = (options.mode || config.sync.mode) === 'incremental';
+  const fullFetchDue = requestedIncremental && isFullFetchDue('avalara', config.sync.fullFetchEvery, outputDir);
+  const since = requestedIncremental && !fullFetchDue ? getWatermark('avalara', outputDir) : null;
+  const incremental = Boolean(since) && fs.existsSync(outputFile);
   
-  // Create CSV writer
-  const csvWriter = createCsvWriterUtil(outputFile, [
-    'itemCode',
-    'itemGroup',
-    'category'
-  ]);
+  if (fullFetchDue) {
+    log(`${config.sync.fullFetchEvery} incremental fetches since the last full one, running a full fetch to drop deleted items`);
+  } else if (requestedIncremental && !incremental) {
+    log('No previous Avalara snapshot or watermark found, running a full fetch');
+  }
+  
+  // Changes are only ever merged into a snapshot of the same company
+  if (incremental) {
+    assertSnapshotAccount('avalara', config.avalara.companyId, outputDir);
+  }
+  
+  log(`Starting Avalara items fetch (${incremental ? `incremental since ${since}` : 'full'})...`);
+  
+  // The snapshot is written to a temporary file and only replaces the cached one once
+  // every page has been fetched. Changed items of an incremental run are spooled to disk
+  // until the unchanged items of the cached snapshot have been copied ahead of them.
+  const tempFile = `${outputFile}.tmp`;
+  const csvWriter = createBatchedCsvWriter(tempFile, ITEM_COLUMNS);
+  const changedItems = incremental ? createRowSpool(`${outputDir}/avalara-items.changed.jsonl`) : null;
+  const recording = startRunRecording(outputDir, 'fetch-avalara');
+  const counts = { changed: 0, itemsWithGroup: 0, itemsWithCategory: 0, itemsWithHSCodes: 0 };
+  
+  const writeSnapshotItems = async (items) => {
+    await csvWriter.write(items);
+    onRows(items);
+    items.forEach(item => {
+      counts.itemsWithGroup += item.itemGroup ? 1 : 0;
+      counts.itemsWithCategory += item.category ? 1 : 0;
+      counts.itemsWithHSCodes += item.hs_codes ? 1 : 0;
+    });
+  };
   
   try {
     // Create axios instance for Avalara
@@ -23,38 +126,78 @@ async function fetchAvalaraItems() {
       timeout: 30000
     });
     
-    // Fetch all items from Avalara
-    log('Fetching all items from Avalara...');
-    const items = await paginateAvalara(
+    // Fetch all items from Avalara, or only those modified since the watermark, a page at a time
+    log(incremental ? 'Fetching changed items from Avalara...' : 'Fetching all items from Avalara...');
+    const changedIds = new Set();
+    const pages = iterateAvalaraPages(
       avalaraClient,
-      `/api/v2/companies/${config.avalara.companyId}/items`
+      `/api/v2/companies/${config.avalara.companyId}/items`,
+      {
+        $include: 'Classifications,Parameters',
+        ...(incremental ? { $filter: `modifiedDate gt '${since}'` } : {})
+      },
+      config.retry
     );
     
-    log(`Retrieved ${items.length} items from Avalara`);
+    for await (const items of pages) {
+      const processedItems = items.map(buildItemRow);
+      counts.changed += processedItems.length;
+      
+      if (incremental) {
+        processedItems.forEach(item => changedIds.add(String(item.id)));
+        changedItems.add(processedItems);
+      } else {
+        await writeSnapshotItems(processedItems);
+      }
+    }
+    
+    log(`Retrieved ${counts.changed} items from Avalara`);
     
-    // Process items
-    log('Processing items...');
-    const processedItems = items.map(item => ({
-      itemCode: item.itemCode || '',
-      itemGroup: item.itemGroup || '',
-      category: item.category || ''
-    }));
+    // Merge changed items into the cached snapshot by item id
+    if (incremental) {
+      let cachedCount = 0;
+      for await (const cachedItems of readCSVBatches(outputFile)) {
+        cachedCount += cachedItems.length;
+        await writeSnapshotItems(cachedItems.filter(item => !changedIds.has(String(item.id))));
+      }
+      for await (const processedItems of changedItems.batches()) {
+        await writeSnapshotItems(processedItems);
+      }
+      
+      log(`Merged ${changedIds.size} changed items into snapshot of ${cachedCount} items`);
+    }
+    
+    await csvWriter.end();
+    fs.renameSync(tempFile, outputFile);
     
-    // Write to CSV
-    await csvWriter.writeRecords(processedItems);
+    log('Fetching tax code definitions from Avalara...');
+    const taxCodes = await fetchTaxCodeDefinitions(avalaraClient, taxCodesFile);
+    log(`Cached ${taxCodes} tax code definitions in ${taxCodesFile}`);
     
-    log(`Successfully wrote ${processedItems.length} items to ${outputFile}`);
+    setWatermark('avalara', runStartedAt, incremental ? 'incremental' : 'full', outputDir);
+    setSnapshotAccount('avalara', config.avalara.companyId, outputDir);
+    
+    log(`Successfully wrote ${csvWriter.count} items to ${outputFile}`);
     
     // Summary statistics
-    const itemsWithGroup = processedItems.filter(item => item.itemGroup).length;
-    const itemsWithCategory = processedItems.filter(item => item.category).length;
+    const { itemsWithGroup, itemsWithCategory, itemsWithHSCodes } = counts;
+    log(`Summary: ${itemsWithGroup} items have item groups, ${itemsWithCategory} have categories, ${itemsWithHSCodes} have HS codes`);
     
-    log(`Summary: ${itemsWithGroup} items have item groups, ${itemsWithCategory} have categories`);
+    const summary = { items: csvWriter.count, changed: counts.changed, itemsWithGroup, itemsWithCategory, itemsWithHSCodes, taxCodes };
+    const runId = recording.finish({
+      ...run,
+      mode: incremental ? 'incremental' : 'full',
+      summary
+    });
+    log(`Recorded run ${runId} in the run history`);
+    report.finish(summary, { historyRunId: runId });
     
-    return processedItems;
+    return summary;
     
   } catch (error) {
     log(`Error fetching Avalara items: ${error.message}`, 'error');
+    recording.finish({ ...run, mode: incremental ? 'incremental' : 'full', error });
+    report.fail(error);
     
     if (error.response) {
       log(`Response status: ${error.response.status}`, 'error');
@@ -62,12 +205,28 @@ async function fetchAvalaraItems() {
     }
     
     throw error;
+  } finally {
+    fs.rmSync(tempFile, { force: true });
+    if (changedItems) {
+      changedItems.remove();
+    }
   }
 }
 
+// Fetch the items and return the rows of avalara-items.csv, holding the whole catalog in memory
+async function fetchAvalaraItems(options = {}) {
+  const items = [];
+  await writeAvalaraSnapshot(options, rows => items.push(...rows));
+  return items;
+}
+
 // Run the script if called directly
 if (require.main === module) {
-  fetchAvalaraItems()
+  writeAvalaraSnapshot({
+    mode: getSyncModeOption(),
+    outputDir: getCliOption('output-dir'),
+    profile: getCliOption('profile')
+  })
     .then(() => {
       log('Avalara items fetch completed successfully');
       process.exit(0);
@@ -78,4 +237,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { fetchAvalaraItems }; 
\ No newline at end of file
+module.exports = { fetchAvalaraItems, writeAvalaraSnapshot }; 
\ No newline at end of file
@@ -1,70 +1,602 @@
 const axios = require('axios');
+const fs = require('fs');
 const config = require('../config');
-const { createCsvWriterUtil, ensureOutputDir, paginateBigCommerce, log, isValidSKU } = require('../utils');
+const { applyProfile } = require('../profiles');
+const { startRunRecording } = require('../run-history');
+const { startStepReport } = require('../run-report');
+const { openChannelIndex } = require('../catalog-index');
+const { createBatchedCsvWriter, readCSVBatches, createRowSpool, ensureOutputDir, iterateBigCommercePages, paginateBigCommerce, log, isValidSKU, applyRateLimiter, getWatermark, setWatermark, isFullFetchDue, getSyncModeOption, getCliOption, getProductSelection, hasProductSelection, createSelectionFilter, setSnapshotAccount, assertSnapshotAccount, isPartialSnapshot, setSnapshotScope, getSnapshotScope, describeCatalogScope } = require('../utils');
 
-async function fetchBigCommerceProducts() {
-  const outputDir = ensureOutputDir();
+// Variants that carry their own option values. The base variant of a product
+// without options shares the product SKU and is already covered by the product row.
+function getSellableVariants(product) {
+  return (product.variants || []).filter(variant =>
+    variant.option_values &&
+    variant.option_values.length > 0 &&
+    variant.sku !== product.sku
+  );
+}
+
+// Format variant option values as "Color: Red; Size: L"
+function formatOptionValues(optionValues = []) {
+  return optionValues
+    .map(option => `${option.option_display_name}: ${option.label}`)
+    .join('; ');
+}
+
+// Format custom fields as "material: cotton; origin: US", leaving out the sync trigger field
+function formatCustomFields(customFields = []) {
+  return customFields
+    .filter(field => field.name !== config.sync.fieldName)
+    .map(field => `${field.name}: ${field.value}`)
+    .join('; ');
+}
+
+// Allowed catalog scope values, see config.catalogScope
+const SCOPE_VALUES = {
+  visibility: ['visible', 'hidden', 'all'],
+  availability: ['available', 'disabled', 'preorder'],
+  productTypes: ['physical', 'digital'],
+  inventory: ['all', 'in_stock', 'out_of_stock']
+};
+
+// The scope as recorded in sync-state.json, with channel ids as strings
+function normalizeCatalogScope(scope) {
+  Object.entries(SCOPE_VALUES).forEach(([key, allowed]) => {
+    const values = [].concat(scope[key] || []);
+    const invalid = values.filter(value => !allowed.includes(value));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid catalog scope ${key}: ${invalid.join(', ')}. Use ${allowed.join(', ')}.`);
+    }
+  });
+  
+  return {
+    channelIds: [].concat(scope.channelIds || []).map(String),
+    visibility: scope.visibility,
+    availability: [].concat(scope.availability || []),
+    productTypes: [].concat(scope.productTypes || []),
+    inventory: scope.inventory
+  };
+}
+
+function isSameScope(a, b) {
+  return describeCatalogScope(a) === describeCatalogScope(b);
+}
+
+// 'in_stock', 'out_of_stock' or 'not_tracked'. Variants carry their own level when
+// the product tracks inventory per variant.
+function getInventoryStatus(product, variant = null) {
+  if (!product.inventory_tracking || product.inventory_tracking === 'none') {
+    return 'not_tracked';
+  }
+  
+  const level = variant && product.inventory_tracking === 'variant' ? variant.inventory_level : product.inventory_level;
+  return level > 0 ? 'in_stock' : 'out_of_stock';
+}
+
+// Why a product falls outside the catalog scope, or '' when it is in scope.
+// Products without inventory tracking can always be sold, so they count as in stock.
+function getScopeExclusion(product, scope, channelIds = []) {
+  const hidden = product.is_visible === false;
+  const availability = product.availability || 'available';
+  const inventory = getInventoryStatus(product);
+  
+  if (scope.visibility === 'visible' && hidden) {
+    return 'hidden';
+  }
+  if (scope.visibility === 'hidden' && !hidden) {
+    return 'visible';
+  }
+  if (scope.availability.length > 0 && !scope.availability.includes(availability)) {
+    return `availability ${availability}`;
+  }
+  if (scope.productTypes.length > 0 && !scope.productTypes.includes(product.type)) {
+    return `type ${product.type || 'unknown'}`;
+  }
+  if (scope.inventory === 'in_stock' && inventory === 'out_of_stock') {
+    return 'out of stock';
+  }
+  if (scope.inventory === 'out_of_stock' && inventory !== 'out_of_stock') {
+    return inventory === 'in_stock' ? 'in stock' : 'inventory not tracked';
+  }
+  if (scope.channelIds.length > 0 && !channelIds.some(id => scope.channelIds.includes(id))) {
+    return channelIds.length > 0 ? `not in channel ${scope.channelIds.join(', ')}` : 'not assigned to any channel';
+  }
+  
+  return '';
+}
+
+// Product list filters for the catalog scope criteria the API can apply: visibility, and
+// availability and type when the scope allows a single value. Inventory, channels and
+// multi-value criteria are checked on each fetched product.
+function getScopeParams(scope) {
+  const params = {};
+  
+  if (scope.visibility === 'visible' || scope.visibility === 'hidden') {
+    params.is_visible = scope.visibility === 'visible';
+  }
+  if (scope.availability.length === 1) {
+    params.availability = scope.availability[0];
+  }
+  if (scope.productTypes.length === 1) {
+    params.type = scope.productTypes[0];
+  }
+  
+  return params;
+}
+
+// One product list filter per value the scope filters leave out, so the products they
+// exclude can still be listed as out of scope
+function getExcludedScopeParams(scopeParams) {
+  const excluded = [];
+  
+  if (scopeParams.is_visible !== undefined) {
+    excluded.push({ is_visible: !scopeParams.is_visible });
+  }
+  if (scopeParams.availability) {
+    SCOPE_VALUES.availability
+      .filter(value => value !== scopeParams.availability)
+      .forEach(value => excluded.push({ availability: value }));
+  }
+  if (scopeParams.type) {
+    SCOPE_VALUES.productTypes
+      .filter(value => value !== scopeParams.type)
+      .forEach(value => excluded.push({ type: value }));
+  }
+  
+  return excluded;
+}
+
+// Product fields getScopeExclusion() and buildOutOfScopeRows() need
+const OUT_OF_SCOPE_FIELDS = 'id,name,sku,is_visible,availability,type,inventory_tracking,inventory_level';
+
+// bc-out-of-scope.csv rows for a product and its variant SKUs
+function buildOutOfScopeRows(product, channelIds, reason) {
+  return buildProductRows(product).map(row => ({
+    id: row.id,
+    variant_id: row.variant_id,
+    sku: row.sku,
+    name: row.name,
+    channel_ids: channelIds.join(';'),
+    reason
+  }));
+}
+
+// Channel ids by product id for the given products
+async function fetchChannelAssignments(bcClient, productIds) {
+  const batches = [];
+  for (let i = 0; i < productIds.length; i += 50) {
+    batches.push({ 'product_id:in': productIds.slice(i, i + 50).join(',') });
+  }
+  
+  const channelsByProduct = new Map();
+  for (const params of batches) {
+    const assignments = await paginateBigCommerce(bcClient, '/v3/catalog/products/channel-assignments', params, config.retry);
+    assignments.forEach(assignment => {
+      const productId = String(assignment.product_id);
+      channelsByProduct.set(productId, [...(channelsByProduct.get(productId) || []), String(assignment.channel_id)]);
+    });
+  }
+  
+  return channelsByProduct;
+}
+
+// The assignments of the whole catalog, written to an on-disk index page by page
+async function indexChannelAssignments(bcClient, outputDir) {
+  const index = openChannelIndex(outputDir);
+  
+  try {
+    for await (const assignments of iterateBigCommercePages(bcClient, '/v3/catalog/products/channel-assignments', {}, config.retry)) {
+      index.addAssignments(assignments);
+    }
+  } catch (error) {
+    index.close();
+    throw error;
+  }
+  
+  return index;
+}
+
+// Category paths ("Apparel > Shirts") by category id and brand names by brand id,
+// used by the classification rules, and tax class names by tax class id
+async function fetchCatalogNames(bcClient) {
+  const categories = await paginateBigCommerce(bcClient, '/v3/catalog/categories', { include_fields: 'id,parent_id,name' }, config.retry);
+  const brands = await paginateBigCommerce(bcClient, '/v3/catalog/brands', { include_fields: 'id,name' }, config.retry);
+  const taxClasses = await paginateBigCommerce(bcClient, '/v2/tax_classes', {}, config.retry);
+  
+  const categoriesById = new Map(categories.map(category => [String(category.id), category]));
+  const categoryPaths = new Map();
+  
+  const getPath = (category, seen = new Set()) => {
+    const parent = categoriesById.get(String(category.parent_id));
+    // Guard against a corrupt tree referring back to itself
+    if (!parent || seen.has(parent.id)) {
+      return category.name;
+    }
+    seen.add(category.id);
+    return `${getPath(parent, seen)} > ${category.name}`;
+  };
+  
+  categories.forEach(category => categoryPaths.set(String(category.id), getPath(category)));
+  
+  return {
+    categoryPaths,
+    brandNames: new Map(brands.map(brand => [String(brand.id), brand.name])),
+    taxClassNames: new Map(taxClasses.map(taxClass => [String(taxClass.id), taxClass.name]))
+  };
+}
+
+// bc-products.csv rows for a product: the product itself plus one per variant SKU.
+// Category paths, the brand name and the tax class name are filled in when the catalog
+// names are given, the channels and scope description when the catalog scope is.
+function buildProductRows(product, catalogNames = {}, scopeColumns = {}) {
+  const categoryIds = (product.categories || []).map(String);
+  const catalogColumns = {
+    category_paths: catalogNames.categoryPaths
+      ? categoryIds.map(id => catalogNames.categoryPaths.get(id)).filter(Boolean).join(';')
+      : '',
+    brand_name: (catalogNames.brandNames && catalogNames.brandNames.get(String(product.brand_id))) || '',
+    product_type: product.type || '',
+    custom_fields: formatCustomFields(product.custom_fields),
+    tax_class_id: product.tax_class_id ?? '',
+    tax_class_name: (catalogNames.taxClassNames && catalogNames.taxClassNames.get(String(product.tax_class_id))) || '',
+    is_visible: product.is_visible === false ? 'no' : 'yes',
+    availability: product.availability || 'available',
+    channel_ids: (scopeColumns.channelIds || []).join(';'),
+    catalog_scope: scopeColumns.scope ? describeCatalogScope(scopeColumns.scope) : ''
+  };
+  
+  const rows = [{
+    id: product.id || '',
+    variant_id: '',
+    sku: product.sku || '',
+    name: product.name || '',
+    option_values: '',
+    tax_code: product.product_tax_code || '',
+    upc: product.upc || product.gtin || '',
+    price: product.price ?? '',
+    categories: (product.categories || []).join(';'),
+    brand_id: product.brand_id || '',
+    inventory_status: getInventoryStatus(product),
+    ...catalogColumns
+  }];
+  
+  getSellableVariants(product).forEach(variant => {
+    rows.push({
+      id: product.id || '',
+      variant_id: variant.id || '',
+      sku: variant.sku || '',
+      name: product.name || '',
+      option_values: formatOptionValues(variant.option_values),
+      tax_code: product.product_tax_code || '',
+      upc: variant.upc || variant.gtin || '',
+      price: variant.price ?? product.price ?? '',
+      categories: (product.categories || []).join(';'),
+      brand_id: product.brand_id || '',
+      inventory_status: getInventoryStatus(product, variant),
+      ...catalogColumns
+    });
+  });
+  
+  return rows;
+}
+
+// API filters for a product selection. SKUs may belong to variants and more
+// than one brand can't be requested at once, so those are matched locally.
+function getSelectionParams(selection) {
+  const params = {};
+  
+  if (selection.productIds && selection.productIds.length > 0) {
+    params['id:in'] = selection.productIds.join(',');
+  }
+  
+  if (selection.categoryIds && selection.categoryIds.length > 0) {
+    params['categories:in'] = selection.categoryIds.join(',');
+  }
+  
+  if (selection.brandIds && selection.brandIds.length === 1) {
+    params.brand_id = selection.brandIds[0];
+  }
+  
+  return params;
+}
+
+// Products with at least one row the selection filter keeps. The filter carries the
+// selection limit over from one page of products to the next.
+function selectProducts(products, selectRow) {
+  return products.filter(product => buildProductRows(product).some(selectRow));
+}
+
+// Fetch the products into bc-products.csv a page at a time and return summary counts, so
+// memory use doesn't grow with the catalog. `onRows` gets each batch of snapshot rows.
+async function writeBigCommerceSnapshot(options = {}, onRows = () => {}) {
+  const profile = applyProfile(options.profile);
+  const outputDir = ensureOutputDir(options.outputDir || (profile && profile.outputDir));
   const outputFile = `${outputDir}/bc-products.csv`;
+  const runStartedAt = new Date().toISOString();
+  const selection = options.selection || {};
+  const outOfScopeFile = `${outputDir}/bc-out-of-scope.csv`;
+  const selecting = hasProductSelection(selection);
+  const scope = normalizeCatalogScope(config.catalogScope);
+  const report = startStepReport('fetch-bc', outputDir);
+  
+  // A snapshot fetched with another scope can't be merged into; snapshots from before
+  // scopes were recorded hold the visible products of every channel
+  const snapshotScope = getSnapshotScope('bigcommerce', outputDir) || normalizeCatalogScope({ visibility: 'visible', inventory: 'all' });
+  const scopeChanged = fs.existsSync(outputFile) && !isSameScope(snapshotScope, scope);
+  const snapshotExists = fs.existsSync(outputFile) && !scopeChanged;
+  
+  if (scopeChanged) {
+    log(`Catalog scope changed from "${describeCatalogScope(snapshotScope)}", fetching a new snapshot`);
+  }
+  
+  // Incremental runs need a previous snapshot and watermark, otherwise fall back to a full fetch
+  const requestedIncremental = (options.mode || config.sync.mode) === 'incremental';
+  const fullFetchDue = requestedIncremental && !selecting && isFullFetchDue('bigcommerce', config.sync.fullFetchEvery, outputDir);
+  const since = requestedIncremental && !fullFetchDue ? getWatermark('bigcommerce', outputDir) : null;
+  const incremental = Boolean(since) && snapshotExists;
+  
+  // Filtered fetches refresh the selected products in an existing snapshot
+  const merge = incremental || (selecting && snapshotExists);
+  
+  if (fullFetchDue) {
+    log(`${config.sync.fullFetchEvery} incremental fetches since the last full one, running a full fetch to drop deleted products`);
+  } else if (requestedIncremental && !incremental) {
+    log('No previous BigCommerce snapshot or watermark found, running a full fetch');
+  }
+  
+  // Changes are only ever merged into a snapshot of the same store
+  if (merge) {
+    assertSnapshotAccount('bigcommerce', config.bigcommerce.storeHash, outputDir);
+  }
+  
+  const run = {
+    type: 'fetch-bc',
+    startedAt: runStartedAt,
+    mode: incremental ? 'incremental' : (selecting ? 'selection' : 'full'),
+    profile: config.profile,
+    storeHash: config.bigcommerce.storeHash
+  };
   
-  log('Starting BigCommerce products fetch...');
+  log(`Starting BigCommerce products fetch (${incremental ? `incremental since ${since}` : 'full'}${selecting ? ', selected products only' : ''})...`);
+  log(`Catalog scope: ${describeCatalogScope(scope)}`);
   
-  // Create CSV writer
-  const csvWriter = createCsvWriterUtil(outputFile, [
+  // The snapshot is written to temporary files that only replace the cached ones once
+  // every page has been fetched. Changed products of a merge are spooled to disk until
+  // the unchanged rows of the cached snapshot have been copied ahead of them.
+  const tempFile = `${outputFile}.tmp`;
+  const outOfScopeTempFile = `${outOfScopeFile}.tmp`;
+  const csvWriter = createBatchedCsvWriter(tempFile, [
     'id',
+    'variant_id',
     'sku',
-    'name'
+    'name',
+    'option_values',
+    'tax_code',
+    'upc',
+    'price',
+    'categories',
+    'brand_id',
+    'category_paths',
+    'brand_name',
+    'product_type',
+    'custom_fields',
+    'tax_class_id',
+    'tax_class_name',
+    'inventory_status',
+    'is_visible',
+    'availability',
+    'channel_ids',
+    'catalog_scope'
   ]);
+  const outOfScopeWriter = createBatchedCsvWriter(outOfScopeTempFile, [
+    'id',
+    'variant_id',
+    'sku',
+    'name',
+    'channel_ids',
+    'reason'
+  ]);
+  const changedProducts = merge ? createRowSpool(`${outputDir}/bc-products.changed.jsonl`) : null;
+  const changedOutOfScope = merge ? createRowSpool(`${outputDir}/bc-out-of-scope.changed.jsonl`) : null;
+  const recording = startRunRecording(outputDir, 'fetch-bc');
+  const counts = { fetched: 0, selected: 0, inScope: 0, unassigned: 0, variants: 0, changed: 0, invalidSkus: 0, validVariants: 0 };
+  let catalogChannels = null;
+  
+  const writeSnapshotProducts = async (rows) => {
+    await csvWriter.write(rows);
+    onRows(rows);
+    counts.validVariants += rows.filter(product => product.variant_id).length;
+  };
   
   try {
     // Create axios instance for BigCommerce
-    const bcClient = axios.create({
+    const bcClient = applyRateLimiter(axios.create({
       baseURL: config.bigcommerce.baseUrl,
       headers: config.bigcommerce.headers,
       timeout: 30000
-    });
-    
-    // Fetch all active products from BigCommerce
-    log('Fetching active products from BigCommerce...');
-    const products = await paginateBigCommerce(
-      bcClient,
-      '/v3/catalog/products',
-      {
-        is_visible: true
-      }
-    );
+    }));
     
-    log(`Retrieved ${products.length} products from BigCommerce`);
+    log('Fetching category, brand and tax class names...');
+    const catalogNames = await fetchCatalogNames(bcClient);
+    log(`Retrieved ${catalogNames.categoryPaths.size} categories, ${catalogNames.brandNames.size} brands and ${catalogNames.taxClassNames.size} tax classes`);
     
-    // Process and format products
-    const processedProducts = products.map(product => ({
-      id: product.id || '',
-      sku: product.sku || '',
-      name: product.name || ''
-    }));
+    // A full fetch leaves the products the API can filter out of the catalog scope, and
+    // applies the rest of the scope locally. Runs merging into the snapshot fetch every
+    // changed or selected product, so products that left the scope can be dropped.
+    log(incremental ? 'Fetching changed products from BigCommerce...' : 'Fetching products from BigCommerce...');
+    const scopeParams = merge || selecting ? {} : getScopeParams(scope);
+    const params = {
+      ...(incremental ? { 'date_modified:min': since } : {}),
+      ...getSelectionParams(selection),
+      ...scopeParams,
+      include: 'variants,custom_fields'
+    };
     
-    // Filter out products without valid SKUs
-    const validProducts = processedProducts.filter(product => isValidSKU(product.sku));
-    const invalidProducts = processedProducts.filter(product => !isValidSKU(product.sku));
+    // The limit can only be applied while paging when every other criterion is an API filter
+    const localCriteria = (selection.skus && selection.skus.length > 0) || (selection.brandIds && selection.brandIds.length > 1);
+    const maxResults = selection.limit && !localCriteria ? selection.limit : Infinity;
+    const selectRow = createSelectionFilter(selection);
+    const changedIds = new Set();
     
-    if (invalidProducts.length > 0) {
-      log(`Warning: ${invalidProducts.length} products found without valid SKUs`, 'error');
+    // Each page is scoped, expanded into rows and written before the next one is fetched
+    for await (const fetchedProducts of iterateBigCommercePages(bcClient, '/v3/catalog/products', params, config.retry, maxResults)) {
+      const selectedProducts = selecting ? selectProducts(fetchedProducts, selectRow) : fetchedProducts;
+      counts.fetched += fetchedProducts.length;
+      counts.selected += selectedProducts.length;
+      
+      // The assignments of the whole catalog come in one list, indexed on disk with the first
+      // page. Those of changed or selected products are fetched for each page.
+      if (!merge && !selecting && !catalogChannels) {
+        log('Fetching channel assignments...');
+        catalogChannels = await indexChannelAssignments(bcClient, outputDir);
+      }
+      const selectedIds = selectedProducts.map(product => product.id);
+      const channelsByProduct = catalogChannels
+        ? catalogChannels.getChannelIds(selectedIds)
+        : await fetchChannelAssignments(bcClient, selectedIds);
+      const getChannelIds = (product) => channelsByProduct.get(String(product.id)) || [];
+      
+      const products = [];
+      const outOfScopeProducts = [];
+      selectedProducts.forEach(product => {
+        const reason = getScopeExclusion(product, scope, getChannelIds(product));
+        if (reason) {
+          outOfScopeProducts.push(...buildOutOfScopeRows(product, getChannelIds(product), reason));
+        } else {
+          products.push(product);
+        }
+      });
+      
+      counts.inScope += products.length;
+      counts.unassigned += selectedProducts.filter(product => getChannelIds(product).length === 0).length;
+      
+      // Process and format products, one row per product plus one per variant SKU
+      const processedProducts = products.flatMap(product => buildProductRows(product, catalogNames, { channelIds: getChannelIds(product), scope }));
+      counts.variants += processedProducts.filter(product => product.variant_id).length;
+      
+      // Filter out products without valid SKUs
+      const validProducts = processedProducts.filter(product => isValidSKU(product.sku));
+      const invalidProducts = processedProducts.filter(product => !isValidSKU(product.sku));
+      
       invalidProducts.forEach(product => {
-        log(`Product ID ${product.id} (${product.name}) has invalid SKU: "${product.sku}"`, 'error');
+        const label = product.variant_id ? `Variant ID ${product.variant_id} of product ${product.id}` : `Product ID ${product.id}`;
+        log(`${label} (${product.name}) has invalid SKU: "${product.sku}"`, 'error', { productId: product.id, sku: product.sku });
+        report.recordError('invalid_sku');
       });
+      counts.invalidSkus += invalidProducts.length;
+      counts.changed += validProducts.length;
+      
+      if (merge) {
+        selectedProducts.forEach(product => changedIds.add(String(product.id)));
+        changedProducts.add(validProducts);
+        changedOutOfScope.add(outOfScopeProducts);
+      } else {
+        await writeSnapshotProducts(validProducts);
+        await outOfScopeWriter.write(outOfScopeProducts);
+      }
+    }
+    
+    // The products the scope filters left out are listed with just the fields that say why.
+    // A product several filters exclude is listed once.
+    const excludedIds = new Set();
+    for (const excludedParams of getExcludedScopeParams(scopeParams)) {
+      const excludedPages = iterateBigCommercePages(bcClient, '/v3/catalog/products', {
+        ...excludedParams,
+        include: 'variants',
+        include_fields: OUT_OF_SCOPE_FIELDS
+      }, config.retry);
+      
+      for await (const excludedProducts of excludedPages) {
+        const newlyExcluded = excludedProducts.filter(product => !excludedIds.has(product.id));
+        newlyExcluded.forEach(product => excludedIds.add(product.id));
+        counts.fetched += newlyExcluded.length;
+        counts.selected += newlyExcluded.length;
+        
+        const channelsByProduct = catalogChannels.getChannelIds(newlyExcluded.map(product => product.id));
+        const getChannelIds = (product) => channelsByProduct.get(String(product.id)) || [];
+        counts.unassigned += newlyExcluded.filter(product => getChannelIds(product).length === 0).length;
+        
+        await outOfScopeWriter.write(newlyExcluded.flatMap(product =>
+          buildOutOfScopeRows(product, getChannelIds(product), getScopeExclusion(product, scope, getChannelIds(product)))
+        ));
+      }
     }
     
-    // Write to CSV
-    await csvWriter.writeRecords(validProducts);
+    log(`Retrieved ${counts.fetched} products from BigCommerce${selecting ? `, ${counts.selected} selected` : ''}`);
+    log(`${counts.inScope} products in scope, ${counts.selected - counts.inScope} out of scope, ${counts.unassigned} not assigned to any channel`);
+    log(`Expanded ${counts.variants} variant SKUs from ${counts.inScope} products`);
     
-    log(`Successfully wrote ${validProducts.length} valid products to ${outputFile}`);
+    if (counts.invalidSkus > 0) {
+      log(`Warning: ${counts.invalidSkus} products found without valid SKUs`, 'error');
+    }
+    
+    // Merge changed products into the cached snapshot, replacing every row of a changed product
+    if (merge) {
+      let cachedCount = 0;
+      for await (const cachedProducts of readCSVBatches(outputFile)) {
+        cachedCount += cachedProducts.length;
+        await writeSnapshotProducts(cachedProducts.filter(product => !changedIds.has(String(product.id))));
+      }
+      for await (const rows of changedProducts.batches()) {
+        await writeSnapshotProducts(rows);
+      }
+      
+      if (fs.existsSync(outOfScopeFile)) {
+        for await (const cachedOutOfScope of readCSVBatches(outOfScopeFile)) {
+          await outOfScopeWriter.write(cachedOutOfScope.filter(product => !changedIds.has(String(product.id))));
+        }
+      }
+      for await (const rows of changedOutOfScope.batches()) {
+        await outOfScopeWriter.write(rows);
+      }
+      
+      log(`Merged ${changedIds.size} changed products into snapshot of ${cachedCount} rows`);
+    }
+    
+    await csvWriter.end();
+    await outOfScopeWriter.end();
+    fs.renameSync(tempFile, outputFile);
+    fs.renameSync(outOfScopeTempFile, outOfScopeFile);
+    
+    // A filtered fetch doesn't cover the whole catalog, so it never advances the watermark.
+    // Without a previous snapshot its output is marked partial instead.
+    if (!selecting) {
+      setWatermark('bigcommerce', runStartedAt, incremental ? 'incremental' : 'full', outputDir);
+    } else if (!snapshotExists) {
+      setWatermark('bigcommerce', null, 'selection', outputDir);
+    }
+    setSnapshotAccount('bigcommerce', config.bigcommerce.storeHash, outputDir);
+    setSnapshotScope('bigcommerce', scope, outputDir);
+    
+    log(`Successfully wrote ${csvWriter.count} valid products to ${outputFile}`);
+    log(`Products outside the catalog scope written to: ${outOfScopeFile}`);
     
     // Summary statistics
-    log(`Summary: ${validProducts.length} valid products with SKUs`);
+    log(`Summary: ${csvWriter.count - counts.validVariants} valid products and ${counts.validVariants} valid variants with SKUs`);
+    
+    const summary = {
+      skus: csvWriter.count,
+      variants: counts.validVariants,
+      changed: counts.changed,
+      invalidSkus: counts.invalidSkus,
+      outOfScope: outOfScopeWriter.count,
+      scope: describeCatalogScope(scope)
+    };
+    const runId = recording.finish({
+      ...run,
+      partial: isPartialSnapshot('bigcommerce', outputDir),
+      summary
+    });
+    log(`Recorded run ${runId} in the run history`);
+    report.finish(summary, { historyRunId: runId });
     
-    return validProducts;
+    return summary;
     
   } catch (error) {
     log(`Error fetching BigCommerce products: ${error.message}`, 'error');
+    recording.finish({ ...run, error });
+    report.fail(error);
     
     if (error.response) {
       log(`Response status: ${error.response.status}`, 'error');
@@ -72,12 +604,31 @@ async function fetchBigCommerceProducts() {
     }
     
     throw error;
+  } finally {
+    [tempFile, outOfScopeTempFile].forEach(file => fs.rmSync(file, { force: true }));
+    [changedProducts, changedOutOfScope].forEach(spool => spool && spool.remove());
+    if (catalogChannels) {
+      catalogChannels.close();
+    }
   }
 }
 
+// Fetch the products and return the rows of bc-products.csv, one per product and variant
+// SKU, holding the whole catalog in memory
+async function fetchBigCommerceProducts(options = {}) {
+  const products = [];
+  await writeBigCommerceSnapshot(options, rows => products.push(...rows));
+  return products;
+}
+
 // Run the script if called directly
 if (require.main === module) {
-  fetchBigCommerceProducts()
+  writeBigCommerceSnapshot({
+    mode: getSyncModeOption(),
+    outputDir: getCliOption('output-dir'),
+    selection: getProductSelection(),
+    profile: getCliOption('profile')
+  })
     .then(() => {
       log('BigCommerce products fetch completed successfully');
       process.exit(0);
@@ -88,4 +639,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { fetchBigCommerceProducts }; 
\ No newline at end of file
+module.exports = { fetchBigCommerceProducts, writeBigCommerceSnapshot, buildProductRows, normalizeCatalogScope, getScopeExclusion, fetchChannelAssignments }; 
\ No newline at end of file
@@ -0,0 +1,79 @@
+const { applyProfile } = require('../profiles');
+const { listRuns } = require('../run-history');
+const { ensureOutputDir, log, getCliOption } = require('../utils');
+
+const RUN_TYPES = ['fetch-avalara', 'fetch-bc', 'reconcile'];
+
+function describeRun(run) {
+  if (run.status === 'error') {
+    return `failed: ${run.error_message}`;
+  }
+  
+  const summary = run.summary || {};
+  
+  switch (run.type) {
+    case 'fetch-avalara':
+      return `${summary.items} items (${summary.changed} fetched)`;
+    case 'fetch-bc':
+      return `${summary.skus} SKUs (${summary.changed} fetched)`;
+    default:
+      return `${summary.productsToUpdate} to update: ${summary.missingInAvalara} missing, ${summary.missingData} missing data, ${summary.withDrift} drifted; ${summary.orphans} orphans`;
+  }
+}
+
+// Recent runs, newest first, with the change in products to update between reconciliations
+async function listRunHistory(options = {}) {
+  const profile = applyProfile(options.profile);
+  const outputDir = ensureOutputDir(options.outputDir || (profile && profile.outputDir));
+  const limit = parseInt(options.limit, 10) || 20;
+  
+  if (options.type && !RUN_TYPES.includes(options.type)) {
+    throw new Error(`Unknown run type: ${options.type}. Expected one of: ${RUN_TYPES.join(', ')}`);
+  }
+  
+  const runs = listRuns(outputDir, { type: options.type, limit });
+  
+  if (runs.length === 0) {
+    log(`No runs recorded in ${outputDir} yet`);
+    return runs;
+  }
+  
+  log(`Last ${runs.length} runs in ${outputDir}:`);
+  
+  // Full reconciliations, newest first, to show the trend against the previous one
+  const reconciliations = runs.filter(run => run.type === 'reconcile' && run.status === 'success' && !run.partial);
+  
+  runs.forEach(run => {
+    const flags = [run.mode, run.partial ? 'partial' : null].filter(Boolean).join(', ');
+    let trend = '';
+    
+    const previous = reconciliations[reconciliations.indexOf(run) + 1];
+    if (reconciliations.includes(run) && previous) {
+      const change = run.summary.productsToUpdate - previous.summary.productsToUpdate;
+      trend = ` (${change > 0 ? '+' : ''}${change} since run ${previous.id})`;
+    }
+    
+    log(`  #${run.id} ${run.started_at} ${run.type}${flags ? ` [${flags}]` : ''}: ${describeRun(run)}${trend}`);
+  });
+  
+  return runs;
+}
+
+// Run the script if called directly
+if (require.main === module) {
+  listRunHistory({
+    type: getCliOption('type'),
+    limit: getCliOption('limit'),
+    outputDir: getCliOption('output-dir'),
+    profile: getCliOption('profile')
+  })
+    .then(() => {
+      process.exit(0);
+    })
+    .catch((error) => {
+      log(`Listing runs failed: ${error.message}`, 'error');
+      process.exit(1);
+    });
+}
+
+module.exports = { listRunHistory };
@@ -1,26 +1,126 @@
 const fs = require('fs');
-const csv = require('csv-parser');
 const config = require('../config');
-const { createCsvWriterUtil, ensureOutputDir, log } = require('../utils');
+const { openCatalogIndex } = require('../catalog-index');
+const { applyProfile, getProfilesSharingCompany } = require('../profiles');
+const { startRunRecording } = require('../run-history');
+const { startStepReport } = require('../run-report');
+const { createCsvWriterUtil, createBatchedCsvWriter, readCSVBatches, ensureOutputDir, log, buildItemDescription, createSkuNormalizer, createClassifier, extractHSCode, getMappedTaxCode, checkTaxCode, getCliOption, getProductSelection, hasProductSelection, createSelectionFilter, isPartialSnapshot, assertSnapshotAccount, getSnapshotScope, describeCatalogScope } = require('../utils');
 
-async function readCSVFile(filePath) {
-  return new Promise((resolve, reject) => {
-    const results = [];
-    fs.createReadStream(filePath)
-      .pipe(csv())
-      .on('data', (data) => results.push(data))
-      .on('end', () => resolve(results))
-      .on('error', (error) => reject(error));
-  });
+// The tax code a product should have in Avalara: its own, or the one mapped to its tax class
+function getBigCommerceTaxCode(product) {
+  return product.tax_code || getMappedTaxCode(product, config.taxClassMapping);
 }
 
-async function reconcileProducts() {
-  const outputDir = ensureOutputDir();
+// Fields compared between BigCommerce and Avalara. `column` is the prefix of the
+// before (Avalara) / after (BigCommerce) columns in products-to-update.csv.
+// Avalara items carry no price, so bc-products.csv price is not compared. Products
+// without a tax code of their own are compared with the code mapped to their tax class.
+const DRIFT_FIELDS = [
+  {
+    field: 'description',
+    column: 'description',
+    bigcommerce: product => buildItemDescription(product),
+    avalara: item => item.description,
+    normalize: value => value.trim()
+  },
+  {
+    field: 'taxCode',
+    column: 'tax_code',
+    bigcommerce: getBigCommerceTaxCode,
+    avalara: item => item.taxCode,
+    normalize: value => value.trim().toUpperCase()
+  },
+  {
+    field: 'upc',
+    column: 'upc',
+    bigcommerce: product => product.upc,
+    avalara: item => item.upc,
+    normalize: value => value.trim()
+  }
+];
+
+// Compare the fields BigCommerce has a value for and record before/after values on the result
+function findFieldDrift(product, avalaraItem, result) {
+  return DRIFT_FIELDS.filter(({ field, column, bigcommerce, avalara, normalize }) => {
+    const bcValue = bigcommerce(product) || '';
+    const avalaraValue = avalara(avalaraItem) || '';
+    
+    if (!bcValue.trim() || normalize(bcValue) === normalize(avalaraValue)) {
+      return false;
+    }
+    
+    result[`${column}_before`] = avalaraValue;
+    result[`${column}_after`] = bcValue;
+    return true;
+  }).map(({ field }) => field);
+}
+
+// Products the BigCommerce fetch left out of the catalog scope. They still exist in the
+// store, so their Avalara items aren't orphans.
+async function indexOutOfScopeProducts(outputDir, index) {
+  const outOfScopeFile = `${outputDir}/bc-out-of-scope.csv`;
+  if (!fs.existsSync(outOfScopeFile)) {
+    return;
+  }
+  
+  for await (const products of readCSVBatches(outOfScopeFile)) {
+    index.addOutOfScopeProducts(products);
+  }
+}
+
+// Add the BigCommerce rows of other profiles feeding the same Avalara company to the index.
+// Returns false when one of them has no complete snapshot and the company's orphans
+// can't be told apart.
+async function indexSharedCompanyProducts(profiles, index) {
+  for (const sharingProfile of profiles) {
+    const bcFile = `${sharingProfile.outputDir}/bc-products.csv`;
+    
+    if (!fs.existsSync(bcFile) || isPartialSnapshot('bigcommerce', sharingProfile.outputDir)) {
+      log(`Warning: profile ${sharingProfile.name} shares Avalara company ${sharingProfile.avalara.companyId} but has no complete BigCommerce snapshot`, 'error');
+      return false;
+    }
+    
+    assertSnapshotAccount('bigcommerce', sharingProfile.bigcommerce.storeHash, sharingProfile.outputDir);
+    
+    const outOfScopeFile = `${sharingProfile.outputDir}/bc-out-of-scope.csv`;
+    for (const file of [bcFile, outOfScopeFile].filter(fs.existsSync)) {
+      for await (const products of readCSVBatches(file)) {
+        index.addSharedCompanyProducts(products);
+      }
+    }
+  }
+  
+  return true;
+}
+
+async function reconcileProducts(options = {}) {
+  const profile = applyProfile(options.profile);
+  const outputDir = ensureOutputDir(options.outputDir || (profile && profile.outputDir));
   const avalaraFile = `${outputDir}/avalara-items.csv`;
   const bcFile = `${outputDir}/bc-products.csv`;
   const outputFile = `${outputDir}/products-to-update.csv`;
+  const orphansFile = `${outputDir}/avalara-orphans.csv`;
+  const collisionsFile = `${outputDir}/sku-collisions.csv`;
+  const unclassifiedFile = `${outputDir}/unclassified-products.csv`;
+  const missingHSCodesFile = `${outputDir}/missing-hs-codes.csv`;
+  const taxCodesFile = `${outputDir}/avalara-tax-codes.csv`;
+  const invalidTaxCodesFile = `${outputDir}/invalid-tax-codes.csv`;
+  const shippingCountries = config.crossBorder.countries;
+  const normalizeSku = createSkuNormalizer(config.skuNormalization);
+  const classify = createClassifier(config.classificationRules);
+  const selection = options.selection || {};
+  const selecting = hasProductSelection(selection);
+  const run = {
+    type: 'reconcile',
+    startedAt: new Date().toISOString(),
+    partial: selecting,
+    profile: config.profile,
+    storeHash: config.bigcommerce.storeHash,
+    companyId: config.avalara.companyId
+  };
+  const report = startStepReport('reconcile', outputDir);
   
-  log('Starting product reconciliation...');
+  log(`Starting product reconciliation${selecting ? ' for selected products' : ''}...`);
   
   // Check if input files exist
   if (!fs.existsSync(avalaraFile)) {
@@ -31,100 +131,418 @@ async function reconcileProducts() {
     throw new Error(`BigCommerce products file not found: ${bcFile}. Please run fetch-bc-products.js first.`);
   }
   
+  // Never match one store's SKUs against another company's items
+  assertSnapshotAccount('bigcommerce', config.bigcommerce.storeHash, outputDir);
+  assertSnapshotAccount('avalara', config.avalara.companyId, outputDir);
+  
+  // Avalara items are indexed on disk by normalized SKU and the BigCommerce snapshot
+  // is streamed against them, so memory use doesn't grow with the catalog
+  const index = openCatalogIndex(outputDir, normalizeSku);
+  const recording = startRunRecording(outputDir, 'reconcile');
+  
   try {
-    // Read CSV files
+    // Index the Avalara items and the SKUs of both snapshots
     log('Reading Avalara items...');
-    const avalaraItems = await readCSVFile(avalaraFile);
+    let totalAvalaraItems = 0;
+    for await (const items of readCSVBatches(avalaraFile)) {
+      totalAvalaraItems += items.length;
+      index.addAvalaraItems(items);
+    }
     
     log('Reading BigCommerce products...');
-    const bcProducts = await readCSVFile(bcFile);
-    
-    log(`Loaded ${avalaraItems.length} Avalara items and ${bcProducts.length} BigCommerce products`);
+    let totalProducts = 0;
+    let variantSkus = 0;
+    let selectedCount = 0;
+    const countSelected = createSelectionFilter(selection);
+    for await (const products of readCSVBatches(bcFile)) {
+      totalProducts += products.length;
+      variantSkus += products.filter(product => product.variant_id).length;
+      selectedCount += selecting ? products.filter(countSelected).length : products.length;
+      index.addBigCommerceProducts(products);
+    }
     
-    // Create lookup map for Avalara items by itemCode (SKU)
-    const avalaraMap = new Map();
-    avalaraItems.forEach(item => {
-      if (item.itemCode && item.itemCode.trim()) {
-        avalaraMap.set(item.itemCode.trim().toLowerCase(), item);
+    // Tax code definitions cached by the Avalara fetch
+    let taxCodeDefinitions = null;
+    if (fs.existsSync(taxCodesFile)) {
+      taxCodeDefinitions = new Map();
+      for await (const definitions of readCSVBatches(taxCodesFile)) {
+        definitions.forEach(definition => taxCodeDefinitions.set(definition.taxCode.toUpperCase(), definition));
       }
-    });
+    }
+    
+    if (!taxCodeDefinitions) {
+      log(`Warning: ${taxCodesFile} not found, tax codes were not validated. Run fetch-avalara-items.js first.`, 'error');
+    }
+    
+    log(`Loaded ${totalAvalaraItems} Avalara items and ${totalProducts} BigCommerce SKUs (${variantSkus} variants)`);
     
-    log(`Created lookup map with ${avalaraMap.size} Avalara items`);
+    // The scope the BigCommerce snapshot was fetched with, and what it left out
+    const catalogScope = getSnapshotScope('bigcommerce', outputDir);
+    const scopeDescription = catalogScope ? describeCatalogScope(catalogScope) : 'not recorded';
+    await indexOutOfScopeProducts(outputDir, index);
+    const outOfScopeCount = index.countProductIds('out_of_scope');
+    const unassignedCount = index.countProductIds('unassigned');
+    log(`Catalog scope: ${scopeDescription} (${outOfScopeCount} products out of scope)`);
+    
+    // Only the selected SKUs are compared; orphans are still checked against the whole snapshot
+    if (selecting) {
+      log(`Selected ${selectedCount} BigCommerce SKUs for reconciliation`);
+    }
+    
+    log(`Created lookup map with ${index.countAvalaraItems()} Avalara items`);
+    
+    // Distinct SKUs sharing a normalized key would silently match the wrong item
+    const collisions = [
+      ...index.getSkuCollisions('bigcommerce'),
+      ...index.getSkuCollisions('avalara')
+    ];
+    
+    const collisionsWriter = createCsvWriterUtil(collisionsFile, [
+      'normalized_sku',
+      'source',
+      'skus',
+      'ids',
+      'count'
+    ]);
+    await collisionsWriter.writeRecords(collisions);
     
-    // Create CSV writer for products to update
-    const csvWriter = createCsvWriterUtil(outputFile, [
+    if (collisions.length > 0) {
+      log(`Warning: ${collisions.length} normalized SKUs are shared by more than one SKU, see ${collisionsFile}`, 'error');
+    }
+    
+    // Result files are written a batch of BigCommerce products at a time
+    const csvWriter = createBatchedCsvWriter(outputFile, [
       'product_id',
+      'variant_id',
       'sku',
       'name',
+      'option_values',
+      'categories',
+      'brand_id',
       'exists_in_avalara',
       'is_missing_data',
       'missing_fields',
+      'avalara_item_id',
       'avalara_item_group',
       'avalara_category',
+      'proposed_item_group',
+      'proposed_category',
+      'classification_rule',
+      'has_drift',
+      'drift_fields',
+      ...DRIFT_FIELDS.flatMap(({ column }) => [`${column}_before`, `${column}_after`]),
       'reason'
     ]);
+    const unclassifiedWriter = createBatchedCsvWriter(unclassifiedFile, [
+      'product_id',
+      'variant_id',
+      'sku',
+      'name',
+      'category_paths',
+      'brand_name',
+      'product_type',
+      'custom_fields',
+      'exists_in_avalara',
+      'unclassified_fields'
+    ]);
+    const missingHSCodesWriter = createBatchedCsvWriter(missingHSCodesFile, [
+      'product_id',
+      'variant_id',
+      'sku',
+      'name',
+      'avalara_item_id',
+      'hs_codes',
+      'missing_countries'
+    ]);
+    const invalidTaxCodesWriter = createBatchedCsvWriter(invalidTaxCodesFile, [
+      'source',
+      'product_id',
+      'variant_id',
+      'sku',
+      'name',
+      'avalara_item_id',
+      'tax_class',
+      'tax_code',
+      'issue',
+      'tax_code_description'
+    ]);
     
+    // Rows found in the current batch, until they are written
     const productsToUpdate = [];
+    const unclassified = [];
+    const missingHSCodes = [];
+    const invalidTaxCodes = [];
+    const missingFieldCounts = {};
+    const driftFieldCounts = {};
+    let classified = 0;
     let missingInAvalara = 0;
     let missingData = 0;
+    let withDrift = 0;
     let complete = 0;
     
-    // Compare each BigCommerce product with Avalara
-    bcProducts.forEach(product => {
-      const sku = product.sku.trim().toLowerCase();
-      const avalaraItem = avalaraMap.get(sku);
+    const writeResults = async () => {
+      const results = productsToUpdate.splice(0);
+      recording.addRows(results);
+      await csvWriter.write(results);
+      await unclassifiedWriter.write(unclassified.splice(0));
+      await missingHSCodesWriter.write(missingHSCodes.splice(0));
+      await invalidTaxCodesWriter.write(invalidTaxCodes.splice(0));
+    };
+    
+    // Propose the missing itemGroup and category from the classification rules,
+    // and report the products no rule covers
+    const proposeClassification = (product, result, neededFields) => {
+      const proposal = classify(product);
+      const unclassifiedFields = neededFields.filter(field => !proposal[field]);
+      
+      if (neededFields.includes('itemGroup')) {
+        result.proposed_item_group = proposal.itemGroup;
+      }
+      if (neededFields.includes('category')) {
+        result.proposed_category = proposal.category;
+      }
+      result.classification_rule = [...new Set(neededFields.map(field => proposal[`${field}Rule`]).filter(Boolean))].join(', ');
       
-      const result = {
+      if (unclassifiedFields.length === 0) {
+        classified++;
+        return;
+      }
+      
+      unclassified.push({
         product_id: product.id,
+        variant_id: product.variant_id || '',
         sku: product.sku,
         name: product.name,
-        exists_in_avalara: avalaraItem ? 'yes' : 'no',
-        is_missing_data: 'no',
-        missing_fields: '',
-        avalara_item_group: avalaraItem ? avalaraItem.itemGroup : '',
-        avalara_category: avalaraItem ? avalaraItem.category : '',
-        reason: ''
-      };
+        category_paths: product.category_paths || '',
+        brand_name: product.brand_name || '',
+        product_type: product.product_type || '',
+        custom_fields: product.custom_fields || '',
+        exists_in_avalara: result.exists_in_avalara,
+        unclassified_fields: unclassifiedFields.join(', ')
+      });
+    };
+    
+    // Report tax codes AvaTax doesn't know or has retired, since transactions using
+    // them silently fall back to general tangible goods
+    const validateTaxCode = (taxCode, source, entry) => {
+      const issue = taxCode && taxCodeDefinitions ? checkTaxCode(taxCode, taxCodeDefinitions) : '';
+      if (!issue) {
+        return;
+      }
       
-      if (!avalaraItem) {
-        // Product not found in Avalara
-        result.reason = 'Product not registered in Avalara';
-        missingInAvalara++;
-        productsToUpdate.push(result);
-      } else {
-        // Product exists in Avalara, check for missing data
-        const missingFields = [];
+      const definition = taxCodeDefinitions.get(taxCode.trim().toUpperCase());
+      invalidTaxCodes.push({
+        source,
+        product_id: '',
+        variant_id: '',
+        sku: '',
+        name: '',
+        avalara_item_id: '',
+        tax_class: '',
+        ...entry,
+        tax_code: taxCode,
+        issue,
+        tax_code_description: definition ? definition.description : ''
+      });
+    };
+    
+    Object.entries(config.taxClassMapping).forEach(([taxClass, taxCode]) => {
+      validateTaxCode(taxCode, 'tax_class_mapping', { tax_class: taxClass });
+    });
+    
+    // Compare each BigCommerce product and variant SKU with Avalara
+    const selectProduct = createSelectionFilter(selection);
+    for await (const products of readCSVBatches(bcFile)) {
+      products.filter(product => !selecting || selectProduct(product)).forEach(product => {
+        const sku = normalizeSku(product.sku);
+        const avalaraItem = index.getAvalaraItem(sku);
+        
+        // Registered items need an HS code for every country we ship to
+        const missingCountries = avalaraItem
+          ? shippingCountries.filter(country => !extractHSCode(avalaraItem, country))
+          : [];
         
-        if (!avalaraItem.itemGroup || avalaraItem.itemGroup.trim() === '') {
-          missingFields.push('itemGroup');
+        if (missingCountries.length > 0) {
+          missingHSCodes.push({
+            product_id: product.id,
+            variant_id: product.variant_id || '',
+            sku: product.sku,
+            name: product.name,
+            avalara_item_id: avalaraItem.id,
+            hs_codes: avalaraItem.hs_codes || '',
+            missing_countries: missingCountries.join(', ')
+          });
         }
         
-        if (!avalaraItem.category || avalaraItem.category.trim() === '') {
-          missingFields.push('category');
+        // Codes differing between the two sides are reported as taxCode drift
+        const taxCodeEntry = {
+          product_id: product.id,
+          variant_id: product.variant_id || '',
+          sku: product.sku,
+          name: product.name,
+          avalara_item_id: avalaraItem ? avalaraItem.id : '',
+          tax_class: product.tax_class_name || product.tax_class_id || ''
+        };
+        validateTaxCode(product.tax_code, 'bigcommerce', taxCodeEntry);
+        if (avalaraItem) {
+          validateTaxCode(avalaraItem.taxCode, 'avalara', taxCodeEntry);
         }
         
-        if (missingFields.length > 0) {
-          result.is_missing_data = 'yes';
-          result.missing_fields = missingFields.join(', ');
-          result.reason = `Missing required fields: ${missingFields.join(', ')}`;
-          missingData++;
+        const result = {
+          product_id: product.id,
+          variant_id: product.variant_id || '',
+          sku: product.sku,
+          name: product.name,
+          option_values: product.option_values || '',
+          categories: product.categories || '',
+          brand_id: product.brand_id || '',
+          exists_in_avalara: avalaraItem ? 'yes' : 'no',
+          is_missing_data: 'no',
+          missing_fields: '',
+          avalara_item_id: avalaraItem ? avalaraItem.id : '',
+          avalara_item_group: avalaraItem ? avalaraItem.itemGroup : '',
+          avalara_category: avalaraItem ? avalaraItem.category : '',
+          proposed_item_group: '',
+          proposed_category: '',
+          classification_rule: '',
+          has_drift: 'no',
+          drift_fields: '',
+          reason: ''
+        };
+        
+        if (!avalaraItem) {
+          // Product not found in Avalara
+          result.reason = 'Product not registered in Avalara';
+          // The item is created with this code, so it is carried like a drifted value
+          result.tax_code_after = getBigCommerceTaxCode(product) || '';
+          missingInAvalara++;
+          proposeClassification(product, result, ['itemGroup', 'category']);
           productsToUpdate.push(result);
         } else {
-          complete++;
+          // Product exists in Avalara, check for missing data
+          const missingFields = [];
+          
+          if (!avalaraItem.itemGroup || avalaraItem.itemGroup.trim() === '') {
+            missingFields.push('itemGroup');
+          }
+          
+          if (!avalaraItem.category || avalaraItem.category.trim() === '') {
+            missingFields.push('category');
+          }
+          
+          // Check for values that differ between BigCommerce and Avalara
+          const driftFields = findFieldDrift(product, avalaraItem, result);
+          const reasons = [];
+          
+          if (missingFields.length > 0) {
+            result.is_missing_data = 'yes';
+            result.missing_fields = missingFields.join(', ');
+            reasons.push(`Missing required fields: ${missingFields.join(', ')}`);
+            missingData++;
+            missingFields.forEach(field => {
+              missingFieldCounts[field] = (missingFieldCounts[field] || 0) + 1;
+            });
+            proposeClassification(product, result, missingFields);
+          }
+          
+          if (driftFields.length > 0) {
+            result.has_drift = 'yes';
+            result.drift_fields = driftFields.join(', ');
+            reasons.push(`Field values differ: ${driftFields.join(', ')}`);
+            withDrift++;
+            driftFields.forEach(field => {
+              driftFieldCounts[field] = (driftFieldCounts[field] || 0) + 1;
+            });
+          }
+          
+          if (reasons.length > 0) {
+            result.reason = reasons.join('; ');
+            productsToUpdate.push(result);
+          } else {
+            complete++;
+          }
+        }
+      });
+      
+      await writeResults();
+    }
+    
+    // Tax class mapping issues are still pending when the snapshot has no rows
+    await writeResults();
+    await csvWriter.end();
+    await unclassifiedWriter.end();
+    await missingHSCodesWriter.end();
+    await invalidTaxCodesWriter.end();
+    
+    if (config.classificationRules.length === 0 && unclassifiedWriter.count > 0) {
+      log('No classification rules configured (CLASSIFICATION_RULES_FILE), so no itemGroup or category values were proposed');
+    }
+    
+    // Reverse check: Avalara items whose itemCode no longer exists in BigCommerce.
+    // A partial snapshot from a filtered fetch would report most of the catalog, and
+    // items of a company shared by several stores may belong to any of them.
+    const partialSnapshot = isPartialSnapshot('bigcommerce', outputDir);
+    const checkOrphans = !partialSnapshot &&
+      await indexSharedCompanyProducts(getProfilesSharingCompany(config.avalara.companyId, profile && profile.name), index);
+    
+    const orphansWriter = createBatchedCsvWriter(orphansFile, [
+      'avalara_item_id',
+      'item_code',
+      'item_group',
+      'category',
+      'reason'
+    ]);
+    
+    if (checkOrphans) {
+      let orphans = [];
+      for (const item of index.iterateOrphans()) {
+        orphans.push({
+          avalara_item_id: item.id,
+          item_code: item.itemCode,
+          item_group: item.itemGroup,
+          category: item.category,
+          reason: 'No matching BigCommerce product or variant SKU'
+        });
+        if (orphans.length >= 1000) {
+          await orphansWriter.write(orphans);
+          orphans = [];
         }
       }
-    });
+      await orphansWriter.write(orphans);
+    }
+    await orphansWriter.end();
     
-    // Write results to CSV
-    await csvWriter.writeRecords(productsToUpdate);
+    if (partialSnapshot) {
+      log(`Warning: ${bcFile} only holds the products of a filtered fetch, orphaned Avalara items were not checked`, 'error');
+    } else if (!checkOrphans) {
+      log('Warning: orphaned Avalara items were not checked, fetch BigCommerce products for every profile sharing the company first', 'error');
+    }
     
     log(`Reconciliation completed successfully`);
     log(`Results written to: ${outputFile}`);
     log(`Summary:`);
+    log(`  - Catalog scope: ${scopeDescription}`);
+    log(`  - BigCommerce products out of scope: ${outOfScopeCount}`);
+    log(`  - BigCommerce products in no channel: ${unassignedCount}`);
     log(`  - Products missing from Avalara: ${missingInAvalara}`);
     log(`  - Products with missing data: ${missingData}`);
+    log(`  - Products with field drift: ${withDrift}`);
     log(`  - Products complete in Avalara: ${complete}`);
-    log(`  - Total products to update: ${productsToUpdate.length}`);
+    log(`  - Total products to update: ${csvWriter.count}`);
+    log(`  - Avalara items with no BigCommerce product: ${orphansWriter.count}`);
+    log(`  - SKU collisions after normalization: ${collisions.length}`);
+    log(`  - Products classified by rules: ${classified}`);
+    log(`  - Products no rule classified: ${unclassifiedWriter.count}`);
+    if (shippingCountries.length > 0) {
+      log(`  - Products missing an HS code for ${shippingCountries.join(', ')}: ${missingHSCodesWriter.count}`);
+    }
+    log(`  - Unknown or retired tax codes: ${invalidTaxCodesWriter.count}`);
+    log(`Orphaned Avalara items written to: ${orphansFile}`);
+    log(`Unclassified products written to: ${unclassifiedFile}`);
+    if (shippingCountries.length > 0) {
+      log(`Products missing HS codes written to: ${missingHSCodesFile}`);
+    }
+    log(`Invalid tax codes written to: ${invalidTaxCodesFile}`);
     
     // Create summary report
     const summaryFile = `${outputDir}/reconciliation-summary.txt`;
@@ -133,25 +551,33 @@ Reconciliation Summary
 =====================
 
 Date: ${new Date().toISOString()}
-Total BigCommerce Products: ${bcProducts.length}
-Total Avalara Items: ${avalaraItems.length}
+Total BigCommerce Products: ${totalProducts}
+  - of which variant SKUs: ${variantSkus}
+${selecting ? `Selected BigCommerce Products: ${selectedCount}\n` : ''}Total Avalara Items: ${totalAvalaraItems}
+
+Catalog Scope: ${scopeDescription}
+  - BigCommerce products out of scope: ${outOfScopeCount} (see bc-out-of-scope.csv)
+  - BigCommerce products in no channel: ${unassignedCount}
 
 Results:
 - Products missing from Avalara: ${missingInAvalara}
 - Products with missing data: ${missingData}
+- Products with field drift: ${withDrift}
 - Products complete in Avalara: ${complete}
-- Total products to update: ${productsToUpdate.length}
+- Total products to update: ${csvWriter.count}
+- Avalara items with no BigCommerce product: ${orphansWriter.count}
+- SKU collisions after normalization: ${collisions.length}
+- Products classified by rules: ${classified}
+- Products no rule classified: ${unclassifiedWriter.count}
+${shippingCountries.length > 0 ? `- Products missing an HS code for ${shippingCountries.join(', ')}: ${missingHSCodesWriter.count}\n` : ''}- Unknown or retired tax codes: ${invalidTaxCodesWriter.count}
 
 Missing Data Breakdown:
-${Object.entries(productsToUpdate
-  .filter(p => p.is_missing_data === 'yes')
-  .reduce((acc, p) => {
-    const fields = p.missing_fields.split(', ');
-    fields.forEach(field => {
-      acc[field] = (acc[field] || 0) + 1;
-    });
-    return acc;
-  }, {}))
+${Object.entries(missingFieldCounts)
+  .map(([field, count]) => `  - ${field}: ${count} products`)
+  .join('\n')}
+
+Field Drift Breakdown:
+${Object.entries(driftFieldCounts)
   .map(([field, count]) => `  - ${field}: ${count} products`)
   .join('\n')}
 
@@ -159,29 +585,64 @@ Next Steps:
 1. Review products-to-update.csv for accuracy
 2. Run update-products.js to trigger sync for flagged products
 3. Monitor webhook logs for sync completion
+4. Review avalara-orphans.csv for discontinued, renamed or mistyped item codes
+5. Resolve any SKU collisions listed in sku-collisions.csv
+6. Run apply-classifications.js to write the proposed itemGroup and category values,
+   and add rules for the products listed in unclassified-products.csv
+7. Classify the items listed in missing-hs-codes.csv before shipping them abroad
+8. Correct the tax codes and tax class mappings listed in invalid-tax-codes.csv
 `;
     
     fs.writeFileSync(summaryFile, summary);
     log(`Summary report written to: ${summaryFile}`);
     
-    return {
-      totalProducts: bcProducts.length,
-      totalAvalaraItems: avalaraItems.length,
+    const result = {
+      totalProducts,
+      selectedProducts: selectedCount,
+      variantSkus,
+      totalAvalaraItems,
       missingInAvalara,
       missingData,
+      withDrift,
       complete,
-      productsToUpdate: productsToUpdate.length
+      productsToUpdate: csvWriter.count,
+      orphans: orphansWriter.count,
+      collisions: collisions.length,
+      classified,
+      unclassified: unclassifiedWriter.count,
+      missingHSCodes: missingHSCodesWriter.count,
+      invalidTaxCodes: invalidTaxCodesWriter.count,
+      outOfScope: outOfScopeCount
     };
     
+    // Keep every reconciliation so later runs can be diffed against it
+    result.runId = recording.finish({
+      ...run,
+      summary: result
+    });
+    log(`Recorded run ${result.runId} in the run history`);
+    const { runId, ...counts } = result;
+    report.finish(counts, { historyRunId: runId });
+    
+    return result;
+    
   } catch (error) {
     log(`Error during reconciliation: ${error.message}`, 'error');
+    recording.finish({ ...run, error });
+    report.fail(error);
     throw error;
+  } finally {
+    index.close();
   }
 }
 
 // Run the script if called directly
 if (require.main === module) {
-  reconcileProducts()
+  reconcileProducts({
+    outputDir: getCliOption('output-dir'),
+    selection: getProductSelection(),
+    profile: getCliOption('profile')
+  })
     .then((summary) => {
       log('Product reconciliation completed successfully');
       process.exit(0);
@@ -192,4 +653,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { reconcileProducts }; 
\ No newline at end of file
+module.exports = { reconcileProducts, findFieldDrift, getBigCommerceTaxCode }; 
\ No newline at end of file
@@ -0,0 +1,217 @@
+const axios = require('axios');
+const fs = require('fs');
+const readline = require('readline');
+const config = require('../config');
+const { applyProfile } = require('../profiles');
+const { startStepReport } = require('../run-report');
+const { startBackup } = require('../backups');
+const { createCsvWriterUtil, readCSVBatches, ensureOutputDir, log, sleep, withRetry, classifyError, getCliOption, assertSnapshotAccount } = require('../utils');
+const { findAvalaraItem } = require('./update-products');
+
+const ORPHAN_MODES = ['flag', 'delete'];
+
+// Ask the operator to type the expected answer before anything is changed
+async function confirm(question, expectedAnswer) {
+  if (!process.stdin.isTTY) {
+    return false;
+  }
+  
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise(resolve => rl.question(question, resolve));
+  rl.close();
+  
+  return answer.trim() === expectedAnswer;
+}
+
+// Soft-flag: tag the item so it can be reviewed or filtered out in Avalara
+async function flagAvalaraItem(avalaraClient, orphan, backup) {
+  const item = await findAvalaraItem(avalaraClient, { avalara_item_id: orphan.avalara_item_id });
+  backup.saveTaggedAvalaraItem(item, config.sync.orphanTag);
+  
+  await withRetry(() => avalaraClient.post(
+    `/api/v2/companies/${config.avalara.companyId}/items/${orphan.avalara_item_id}/tags`,
+    [{ tagName: config.sync.orphanTag }]
+  ), config.retry);
+}
+
+// The whole item is backed up first, so a rollback can create it again
+async function deleteAvalaraItem(avalaraClient, orphan, backup) {
+  const item = await findAvalaraItem(avalaraClient, { avalara_item_id: orphan.avalara_item_id });
+  backup.saveAvalaraItem(item);
+  
+  await withRetry(() => avalaraClient.delete(
+    `/api/v2/companies/${config.avalara.companyId}/items/${orphan.avalara_item_id}`
+  ), config.retry);
+}
+
+async function resolveAvalaraOrphans(options = {}) {
+  const mode = options.mode || 'flag';
+  const profile = applyProfile(options.profile);
+  const outputDir = ensureOutputDir(options.outputDir || (profile && profile.outputDir));
+  const orphansFile = `${outputDir}/avalara-orphans.csv`;
+  const actionLogFile = `${outputDir}/avalara-orphan-actions.csv`;
+  
+  if (!ORPHAN_MODES.includes(mode)) {
+    throw new Error(`Unknown orphan mode: ${mode}. Expected one of: ${ORPHAN_MODES.join(', ')}`);
+  }
+  
+  const report = startStepReport('resolve-orphans', outputDir);
+  
+  log(`Starting Avalara orphan resolution (mode: ${mode})...`);
+  
+  // Check if input file exists
+  if (!fs.existsSync(orphansFile)) {
+    throw new Error(`Avalara orphans file not found: ${orphansFile}. Please run reconcile-products.js first.`);
+  }
+  
+  // Orphans were found for one company; never act on them in another
+  assertSnapshotAccount('avalara', config.avalara.companyId, outputDir);
+  
+  try {
+    log('Reading orphaned Avalara items...');
+    const orphans = [];
+    for await (const rows of readCSVBatches(orphansFile)) {
+      orphans.push(...rows.filter(orphan => orphan.avalara_item_id));
+    }
+    
+    log(`Found ${orphans.length} orphaned Avalara items`);
+    
+    if (orphans.length === 0) {
+      log('No orphaned Avalara items to resolve.');
+      report.finish({ total: 0, success: 0, errors: 0, mode });
+      return { total: 0, success: 0, errors: 0 };
+    }
+    
+    // Nothing is changed in Avalara without an explicit confirmation
+    const actionDescription = mode === 'delete'
+      ? `permanently DELETE ${orphans.length} items from Avalara company ${config.avalara.companyId}`
+      : `tag ${orphans.length} items in Avalara company ${config.avalara.companyId} with "${config.sync.orphanTag}"`;
+    
+    const confirmed = options.yes || await confirm(
+      `This will ${actionDescription}. Type ${orphans.length} to continue: `,
+      String(orphans.length)
+    );
+    
+    if (!confirmed) {
+      log('Orphan resolution not confirmed. No Avalara items were changed.', 'error');
+      report.finish({ total: orphans.length, success: 0, errors: 0, mode, confirmed: false });
+      return { total: orphans.length, success: 0, errors: 0, confirmed: false };
+    }
+    
+    const avalaraClient = axios.create({
+      baseURL: config.avalara.baseUrl,
+      headers: config.avalara.headers,
+      timeout: 30000
+    });
+    
+    const backup = startBackup('resolve-orphans', outputDir);
+    
+    const csvWriter = createCsvWriterUtil(actionLogFile, [
+      'avalara_item_id',
+      'item_code',
+      'action',
+      'status',
+      'timestamp',
+      'error_message'
+    ]);
+    
+    const actionLog = [];
+    let successCount = 0;
+    let errorCount = 0;
+    
+    for (let i = 0; i < orphans.length; i++) {
+      const orphan = orphans[i];
+      const timestamp = new Date().toISOString();
+      
+      log(`Processing item ${i + 1}/${orphans.length}: ${orphan.item_code}`, 'info', { sku: orphan.item_code });
+      
+      try {
+        if (mode === 'delete') {
+          await deleteAvalaraItem(avalaraClient, orphan, backup);
+          log(`  Deleted Avalara item ${orphan.avalara_item_id}`);
+        } else {
+          await flagAvalaraItem(avalaraClient, orphan, backup);
+          log(`  Tagged Avalara item ${orphan.avalara_item_id} with ${config.sync.orphanTag}`);
+        }
+        
+        actionLog.push({
+          avalara_item_id: orphan.avalara_item_id,
+          item_code: orphan.item_code,
+          action: mode,
+          status: 'success',
+          timestamp,
+          error_message: ''
+        });
+        successCount++;
+        
+        // Rate limiting - wait 100ms between requests
+        await sleep(100);
+      
+      } catch (error) {
+        const errorMessage = error.response
+          ? `${error.response.status}: ${error.response.data?.error?.message || error.message}`
+          : error.message;
+        
+        log(`  Error: ${errorMessage}`, 'error', { sku: orphan.item_code });
+        report.recordError(classifyError(error));
+        
+        actionLog.push({
+          avalara_item_id: orphan.avalara_item_id,
+          item_code: orphan.item_code,
+          action: mode,
+          status: 'error',
+          timestamp,
+          error_message: errorMessage
+        });
+        errorCount++;
+      }
+    }
+    
+    await csvWriter.writeRecords(actionLog);
+    
+    log(`Avalara orphan resolution completed`);
+    log(`Results written to: ${actionLogFile}`);
+    log(`Summary:`);
+    log(`  - Items ${mode === 'delete' ? 'deleted' : 'flagged'}: ${successCount}`);
+    log(`  - Errors: ${errorCount}`);
+    if (fs.existsSync(backup.file)) {
+      log(`Previous state of the ${mode === 'delete' ? 'deleted' : 'flagged'} items backed up to: ${backup.file}`);
+      log(`Undo this run with: bc-avalara-sync rollback --run-id ${backup.runId}`);
+    }
+    
+    const result = {
+      total: orphans.length,
+      success: successCount,
+      errors: errorCount,
+      confirmed: true
+    };
+    report.finish({ ...result, mode }, { backupFile: fs.existsSync(backup.file) ? backup.file : null });
+    
+    return result;
+  
+  } catch (error) {
+    log(`Error during Avalara orphan resolution: ${error.message}`, 'error');
+    report.fail(error);
+    throw error;
+  }
+}
+
+// Run the script if called directly
+if (require.main === module) {
+  resolveAvalaraOrphans({
+    mode: getCliOption('mode'),
+    yes: process.argv.includes('--yes'),
+    outputDir: getCliOption('output-dir'),
+    profile: getCliOption('profile')
+  })
+    .then(() => {
+      log('Avalara orphan resolution completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      log(`Avalara orphan resolution failed: ${error.message}`, 'error');
+      process.exit(1);
+    });
+}
+
+module.exports = { resolveAvalaraOrphans };
@@ -0,0 +1,270 @@
+const axios = require('axios');
+const fs = require('fs');
+const config = require('../config');
+const { applyProfile } = require('../profiles');
+const { startStepReport } = require('../run-report');
+const { startBackup, readBackup } = require('../backups');
+const { createCsvWriterUtil, ensureOutputDir, log, withRetry, classifyError, applyRateLimiter, getCliOption } = require('../utils');
+const { findAvalaraItem, getExistingCustomFields } = require('./update-products');
+
+// Item fields compared to decide whether an item still has its backed up state
+const ITEM_FIELDS = ['itemCode', 'description', 'itemGroup', 'category', 'taxCode', 'upc'];
+
+// Changes that bring a product's custom fields back to the backed up list. Fields are
+// matched by id; one deleted since then is recreated under a new id.
+function planCustomFieldChanges(backedUpFields, currentFields) {
+  const backedUpIds = new Set(backedUpFields.map(field => String(field.id)));
+  const currentById = new Map(currentFields.map(field => [String(field.id), field]));
+  
+  return [
+    ...currentFields
+      .filter(field => !backedUpIds.has(String(field.id)))
+      .map(field => ({ action: 'delete', field })),
+    ...backedUpFields
+      .filter(field => !currentById.has(String(field.id)))
+      .map(field => ({ action: 'recreate', field })),
+    ...backedUpFields
+      .filter(field => {
+        const current = currentById.get(String(field.id));
+        return current && (current.name !== field.name || current.value !== field.value);
+      })
+      .map(field => ({ action: 'revert', field }))
+  ];
+}
+
+function describeFieldChange({ action, field }) {
+  return `${action} ${field.name}${action === 'delete' ? '' : `=${field.value}`}`;
+}
+
+async function restoreProduct(bcClient, entry, { backup, dryRun }) {
+  const endpoint = `/v3/catalog/products/${entry.productId}/custom-fields`;
+  const currentFields = await getExistingCustomFields(bcClient, entry.productId);
+  const changes = planCustomFieldChanges(entry.customFields, currentFields);
+  
+  if (changes.length === 0 || dryRun) {
+    return changes.map(describeFieldChange);
+  }
+  
+  // The rollback is a change like any other and can be undone the same way
+  backup.saveProductCustomFields(entry.productId, currentFields);
+  
+  for (const { action, field } of changes) {
+    if (action === 'delete') {
+      await withRetry(() => bcClient.delete(`${endpoint}/${field.id}`), config.retry);
+    } else if (action === 'recreate') {
+      await withRetry(() => bcClient.post(endpoint, { name: field.name, value: field.value }), config.retry);
+    } else {
+      await withRetry(() => bcClient.put(`${endpoint}/${field.id}`, { name: field.name, value: field.value }), config.retry);
+    }
+  }
+  
+  return changes.map(describeFieldChange);
+}
+
+// Tags of an item with the given name, e.g. the orphan tag added by resolve-orphans
+async function findItemTags(avalaraClient, itemId, tagName) {
+  const response = await withRetry(() => avalaraClient.get(
+    `/api/v2/companies/${config.avalara.companyId}/items/${itemId}/tags`
+  ), config.retry);
+  return (response.data.value || []).filter(tag => tag.tagName === tagName);
+}
+
+// Delete an item the run created, or put an item it changed back the way it was and
+// remove the tag it added. An item deleted since the backup is created again from its
+// backed up state.
+async function restoreItem(avalaraClient, entry, { backup, dryRun }) {
+  const itemsEndpoint = `/api/v2/companies/${config.avalara.companyId}/items`;
+  const currentItem = await findAvalaraItem(avalaraClient, { sku: entry.key });
+  
+  if (entry.created) {
+    if (!currentItem) {
+      return [];
+    }
+    if (!dryRun) {
+      backup.saveAvalaraItem(currentItem);
+      await withRetry(() => avalaraClient.delete(`${itemsEndpoint}/${currentItem.id}`), config.retry);
+    }
+    return ['delete created item'];
+  }
+  
+  const { id, ...previousItem } = entry.item;
+  
+  if (!currentItem) {
+    if (!dryRun) {
+      backup.saveCreatedAvalaraItem(entry.key);
+      await withRetry(() => avalaraClient.post(itemsEndpoint, [previousItem]), config.retry);
+    }
+    return ['recreate deleted item'];
+  }
+  
+  const changedFields = ITEM_FIELDS.filter(field => (currentItem[field] ?? '') !== (previousItem[field] ?? ''));
+  const addedTags = entry.addedTag ? await findItemTags(avalaraClient, currentItem.id, entry.addedTag) : [];
+  
+  if (changedFields.length === 0 && addedTags.length === 0) {
+    return [];
+  }
+  
+  if (!dryRun) {
+    backup.saveAvalaraItem(currentItem);
+    if (changedFields.length > 0) {
+      await withRetry(() => avalaraClient.put(`${itemsEndpoint}/${currentItem.id}`, { ...previousItem, id: currentItem.id }), config.retry);
+    }
+    for (const tag of addedTags) {
+      await withRetry(() => avalaraClient.delete(`${itemsEndpoint}/${currentItem.id}/tags/${tag.id}`), config.retry);
+    }
+  }
+  return [
+    ...changedFields.map(field => `revert ${field}`),
+    ...addedTags.map(tag => `remove tag ${tag.tagName}`)
+  ];
+}
+
+async function rollbackRun(options = {}) {
+  const runId = options.runId;
+  const dryRun = Boolean(options.dryRun);
+  const profile = applyProfile(options.profile);
+  const outputDir = ensureOutputDir(options.outputDir || (profile && profile.outputDir));
+  const logFile = `${outputDir}/rollback-log.csv`;
+  
+  if (!runId) {
+    throw new Error('Pass the run to roll back with --run-id. Run ids are listed in the backups directory and run-report.json.');
+  }
+  
+  const snapshot = readBackup(outputDir, runId);
+  const report = startStepReport('rollback', outputDir);
+  
+  log(`Starting ${dryRun ? 'rollback dry run' : 'rollback'} of run ${runId} (${snapshot.products.length} products, ${snapshot.items.length} Avalara items)...`);
+  
+  // A backup only applies to the store and company it was taken from
+  if (snapshot.run.storeHash && String(snapshot.run.storeHash) !== String(config.bigcommerce.storeHash)) {
+    throw new Error(`Run ${runId} changed store ${snapshot.run.storeHash}, not ${config.bigcommerce.storeHash}. Use the profile it ran with.`);
+  }
+  if (snapshot.run.companyId && String(snapshot.run.companyId) !== String(config.avalara.companyId)) {
+    throw new Error(`Run ${runId} changed Avalara company ${snapshot.run.companyId}, not ${config.avalara.companyId}. Use the profile it ran with.`);
+  }
+  
+  const backup = dryRun ? null : startBackup('rollback', outputDir);
+  
+  try {
+    const bcClient = applyRateLimiter(axios.create({
+      baseURL: config.bigcommerce.baseUrl,
+      headers: config.bigcommerce.headers,
+      timeout: 30000
+    }));
+    
+    const avalaraClient = axios.create({
+      baseURL: config.avalara.baseUrl,
+      headers: config.avalara.headers,
+      timeout: 30000
+    });
+    
+    const csvWriter = createCsvWriterUtil(logFile, [
+      'run_id',
+      'type',
+      'id',
+      'changes',
+      'status',
+      'timestamp',
+      'error_message',
+      'error_type'
+    ]);
+    
+    const targets = [
+      ...snapshot.products.map(entry => ({ type: 'product', id: entry.productId, restore: () => restoreProduct(bcClient, entry, { backup, dryRun }) })),
+      ...snapshot.items.map(entry => ({ type: 'item', id: entry.key, restore: () => restoreItem(avalaraClient, entry, { backup, dryRun }) }))
+    ];
+    
+    const rollbackLog = [];
+    let restoredCount = 0;
+    let unchangedCount = 0;
+    let errorCount = 0;
+    
+    for (let i = 0; i < targets.length; i++) {
+      const target = targets[i];
+      const fields = target.type === 'product' ? { productId: target.id } : { sku: target.id };
+      const entry = {
+        run_id: runId,
+        type: target.type,
+        id: target.id,
+        changes: '',
+        status: '',
+        timestamp: new Date().toISOString(),
+        error_message: '',
+        error_type: ''
+      };
+      
+      log(`Processing ${target.type} ${i + 1}/${targets.length}: ${target.id}`, 'info', fields);
+      
+      try {
+        const changes = await target.restore();
+        
+        if (changes.length === 0) {
+          log(`  Unchanged: already in its backed up state`, 'info', fields);
+          rollbackLog.push({ ...entry, status: 'unchanged' });
+          unchangedCount++;
+        } else {
+          log(`  ${dryRun ? 'Plan: Would' : 'Restored:'} ${changes.join(', ')}`, 'info', fields);
+          rollbackLog.push({ ...entry, changes: changes.join(', '), status: dryRun ? 'planned' : 'restored' });
+          restoredCount++;
+        }
+      } catch (error) {
+        const errorMessage = error.response
+          ? `${error.response.status}: ${error.response.data?.title || error.response.data?.error?.message || error.message}`
+          : error.message;
+        const errorType = classifyError(error);
+        
+        log(`  Error: ${errorMessage}`, 'error', fields);
+        rollbackLog.push({ ...entry, status: 'error', error_message: errorMessage, error_type: errorType });
+        report.recordError(errorType);
+        errorCount++;
+      }
+    }
+    
+    await csvWriter.writeRecords(rollbackLog);
+    
+    log(`Rollback ${dryRun ? 'dry run ' : ''}of run ${runId} completed`);
+    log(`Results written to: ${logFile}`);
+    log(`Summary:`);
+    log(`  - ${dryRun ? 'Would restore' : 'Restored'}: ${restoredCount}`);
+    log(`  - Already in their backed up state: ${unchangedCount}`);
+    log(`  - Errors: ${errorCount}`);
+    if (backup && fs.existsSync(backup.file)) {
+      log(`State before the rollback backed up to: ${backup.file}`);
+    }
+    
+    const result = {
+      total: targets.length,
+      restored: restoredCount,
+      unchanged: unchangedCount,
+      errors: errorCount
+    };
+    report.finish({ ...result, dryRun }, { rolledBackRunId: runId });
+    
+    return result;
+  
+  } catch (error) {
+    log(`Error during rollback: ${error.message}`, 'error');
+    report.fail(error);
+    throw error;
+  }
+}
+
+// Run the script if called directly
+if (require.main === module) {
+  rollbackRun({
+    runId: getCliOption('run-id'),
+    dryRun: process.argv.includes('--dry-run'),
+    outputDir: getCliOption('output-dir'),
+    profile: getCliOption('profile')
+  })
+    .then(() => {
+      log('Rollback completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      log(`Rollback failed: ${error.message}`, 'error');
+      process.exit(1);
+    });
+}
+
+module.exports = { rollbackRun };
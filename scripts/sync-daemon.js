@@ -0,0 +1,153 @@
+const { randomUUID } = require('crypto');
+const config = require('../config');
+const { applyProfile } = require('../profiles');
+const { getRun, getLatestReconcileRun } = require('../run-history');
+const { startStepReport } = require('../run-report');
+const { parseCronExpression, getNextRun } = require('../scheduler');
+const { ensureOutputDir, log, startRun } = require('../utils');
+
+// setTimeout can't wait longer than about 24 days, so long waits are split up
+const MAX_WAIT_MS = 60 * 60 * 1000;
+
+function percentOf(part, total) {
+  return total > 0 ? (part / total) * 100 : 0;
+}
+
+function formatPercent(value) {
+  return `${value.toFixed(1)}%`;
+}
+
+// Counts of a reconciliation that suggest a truncated fetch rather than a real change:
+// a jump in the share of the catalog missing from Avalara, or either catalog shrinking
+function findReconciliationAnomalies(current, previous, thresholds = config.daemon) {
+  const anomalies = [];
+  
+  const missingShare = percentOf(current.missingInAvalara, current.totalProducts);
+  const previousMissingShare = percentOf(previous.missingInAvalara, previous.totalProducts);
+  if (missingShare - previousMissingShare > thresholds.maxMissingIncreasePercent) {
+    anomalies.push(`${formatPercent(missingShare)} of the catalog is missing from Avalara, up from ${formatPercent(previousMissingShare)}`);
+  }
+  
+  [
+    ['BigCommerce products', current.totalProducts, previous.totalProducts],
+    ['Avalara items', current.totalAvalaraItems, previous.totalAvalaraItems]
+  ].forEach(([label, count, previousCount]) => {
+    const shrink = 100 - percentOf(count, previousCount);
+    if (previousCount > 0 && shrink > thresholds.maxShrinkPercent) {
+      anomalies.push(`${label} dropped by ${formatPercent(shrink)}, from ${previousCount} to ${count}`);
+    }
+  });
+  
+  return anomalies;
+}
+
+// Guard step of a guarded sync-all: compare the reconciliation with the previous full one
+// and return the anomalies found. The update only runs when there are none.
+function checkReconciliation(reconciliation, options = {}) {
+  const profile = applyProfile(options.profile);
+  const outputDir = ensureOutputDir(options.outputDir || (profile && profile.outputDir));
+  const report = startStepReport('guard', outputDir);
+  
+  log('Checking the reconciliation for anomalies before updating...');
+  
+  // A reconciliation of selected products can't be compared with one of the whole catalog
+  if (getRun(outputDir, reconciliation.runId).partial) {
+    log('  Reconciliation covers selected products only, nothing to compare');
+    report.finish({ anomalies: 0 });
+    return [];
+  }
+  
+  const previous = getLatestReconcileRun(outputDir, reconciliation.runId);
+  if (!previous) {
+    log('  No earlier full reconciliation to compare with');
+    report.finish({ anomalies: 0 });
+    return [];
+  }
+  
+  const anomalies = findReconciliationAnomalies(reconciliation, previous.summary);
+  
+  anomalies.forEach(anomaly => {
+    log(`  Anomaly: ${anomaly} (compared with run ${previous.id})`, 'error');
+    report.recordError('anomalous_reconciliation');
+  });
+  
+  if (anomalies.length === 0) {
+    log(`  Counts are in line with run ${previous.id}`);
+  }
+  
+  report.finish({ anomalies: anomalies.length }, { comparedWithRunId: previous.id, anomalies });
+  return anomalies;
+}
+
+// Resolve at `time`, or as soon as the signal is aborted
+function waitUntil(time, signal) {
+  return new Promise(resolve => {
+    if (signal?.aborted) {
+      resolve();
+      return;
+    }
+    
+    let timer;
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const wait = () => {
+      const remaining = time - Date.now();
+      if (remaining <= 0) {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+        return;
+      }
+      timer = setTimeout(wait, Math.min(remaining, MAX_WAIT_MS));
+    };
+    
+    signal?.addEventListener('abort', onAbort, { once: true });
+    wait();
+  });
+}
+
+// Call runSync on the cron schedule until the signal is aborted. Each run gets its own run
+// id. A failed run is logged and the daemon carries on with the next one; runs that come
+// due while one is still going are skipped rather than queued.
+async function runDaemon(options = {}) {
+  const schedule = parseCronExpression(options.schedule || config.daemon.schedule);
+  const { runSync, signal } = options;
+  let runs = 0;
+  let failures = 0;
+  
+  log(`Sync daemon started with schedule "${schedule.expression}" (pid ${process.pid})`);
+  
+  let nextRun = options.runNow ? new Date() : getNextRun(schedule);
+  
+  while (!signal?.aborted) {
+    log(`Next sync at ${nextRun.toISOString()}`);
+    await waitUntil(nextRun, signal);
+    
+    if (signal?.aborted) {
+      break;
+    }
+    
+    const runId = startRun(randomUUID());
+    runs++;
+    
+    try {
+      await runSync();
+      log(`Scheduled sync ${runId} completed`);
+    } catch (error) {
+      failures++;
+      log(`Scheduled sync ${runId} failed: ${error.message}`, 'error');
+    }
+    
+    nextRun = getNextRun(schedule);
+  }
+  
+  log(`Sync daemon stopped after ${runs} runs (${failures} failed)`);
+  return { runs, failures };
+}
+
+module.exports = {
+  runDaemon,
+  checkReconciliation,
+  findReconciliationAnomalies
+};
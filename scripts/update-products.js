@@ -1,23 +1,17 @@
 const axios = require('axios');
 const fs = require('fs');
-const csv = require('csv-parser');
+const crypto = require('crypto');
 const config = require('../config');
-const { createCsvWriterUtil, ensureOutputDir, log, sleep } = require('../utils');
+const { applyProfile } = require('../profiles');
+const { startStepReport } = require('../run-report');
+const { startBackup } = require('../backups');
+const { createCsvWriterUtil, createBatchedCsvWriter, readCSVBatches, ensureOutputDir, log, withRetry, classifyError, createRateLimiter, applyRateLimiter, runWithConcurrency, getCliOption, buildItemDescription, getProductSelection, hasProductSelection, createSelectionFilter, assertSnapshotAccount } = require('../utils');
 
-async function readCSVFile(filePath) {
-  return new Promise((resolve, reject) => {
-    const results = [];
-    fs.createReadStream(filePath)
-      .pipe(csv())
-      .on('data', (data) => results.push(data))
-      .on('end', () => resolve(results))
-      .on('error', (error) => reject(error));
-  });
-}
+const SYNC_STRATEGIES = ['custom-field', 'direct'];
 
 async function getExistingCustomFields(bcClient, productId) {
   try {
-    const response = await bcClient.get(`/v3/catalog/products/${productId}/custom-fields`);
+    const response = await withRetry(() => bcClient.get(`/v3/catalog/products/${productId}/custom-fields`), config.retry);
     return response.data.data || [];
   } catch (error) {
     if (error.response && error.response.status === 404) {
@@ -29,163 +23,592 @@ async function getExistingCustomFields(bcClient, productId) {
 
 async function addCustomField(bcClient, productId, fieldName, fieldValue) {
   try {
-    const response = await bcClient.post(`/v3/catalog/products/${productId}/custom-fields`, {
+    const response = await withRetry(() => bcClient.post(`/v3/catalog/products/${productId}/custom-fields`, {
       name: fieldName,
       value: fieldValue
-    });
+    }), config.retry);
     return response.data.data;
   } catch (error) {
     throw error;
   }
 }
 
-async function updateProducts() {
-  const outputDir = ensureOutputDir();
-  const productsToUpdateFile = `${outputDir}/products-to-update.csv`;
+// Custom field strategy: add the sync field so the store/product/updated
+// webhook pushes the product to Avalara
+async function triggerCustomFieldSync(bcClient, product, { logger = log, dryRun = false, backup = null } = {}) {
+  // Check existing custom fields
+  const existingFields = await getExistingCustomFields(bcClient, product.product_id);
+  
+  // Check if sync field already exists
+  const existingSyncField = existingFields.find(field => 
+    field.name === config.sync.fieldName
+  );
+  
+  if (existingSyncField) {
+    logger(`  Skipping: ${config.sync.fieldName} custom field already exists`);
+    return {
+      status: 'skipped',
+      error_message: 'Custom field already exists',
+      custom_field_added: 'no'
+    };
+  }
+  
+  // Check if we're at the custom field limit (50 max)
+  if (existingFields.length >= 50) {
+    logger(`  Error: Product has maximum number of custom fields (50)`, 'error');
+    return {
+      status: 'error',
+      error_message: 'Maximum custom fields limit reached (50)',
+      error_type: 'custom_field_limit',
+      custom_field_added: 'no'
+    };
+  }
+  
+  if (dryRun) {
+    logger(`  Plan: Would add ${config.sync.fieldName} custom field`);
+    return {
+      status: 'success',
+      error_message: '',
+      custom_field_added: 'no',
+      plan: `Add ${config.sync.fieldName} custom field (${existingFields.length} existing fields)`
+    };
+  }
+  
+  // Add custom field to trigger sync, once the fields it had are backed up
+  backup?.saveProductCustomFields(product.product_id, existingFields);
+  await addCustomField(bcClient, product.product_id, config.sync.fieldName, '1');
+  
+  logger(`  Success: Added ${config.sync.fieldName} custom field`);
+  
+  return {
+    status: 'success',
+    error_message: '',
+    custom_field_added: 'yes'
+  };
+}
+
+async function findAvalaraItem(avalaraClient, product) {
+  const itemsEndpoint = `/api/v2/companies/${config.avalara.companyId}/items`;
+  
+  if (product.avalara_item_id) {
+    const response = await withRetry(() => avalaraClient.get(`${itemsEndpoint}/${product.avalara_item_id}`), config.retry);
+    return response.data;
+  }
+  
+  const response = await withRetry(() => avalaraClient.get(itemsEndpoint, {
+    params: {
+      $filter: `itemCode eq '${product.sku.replace(/'/g, "''")}'`
+    }
+  }), config.retry);
+  return (response.data.value || [])[0];
+}
+
+// Direct strategy: create missing items and fill in incomplete ones
+// through the Avalara items API. Classifications proposed by reconcile and
+// BigCommerce tax codes take precedence over the configured defaults.
+async function registerAvalaraItem(avalaraClient, product, { logger = log, dryRun = false, backup = null } = {}) {
+  const itemsEndpoint = `/api/v2/companies/${config.avalara.companyId}/items`;
+  const defaults = config.sync.defaults;
+  
+  if (product.exists_in_avalara === 'no') {
+    if (dryRun) {
+      logger(`  Plan: Would create Avalara item ${product.sku}`);
+      return {
+        status: 'success',
+        error_message: '',
+        custom_field_added: 'no',
+        plan: 'Create Avalara item'
+      };
+    }
+    
+    backup?.saveCreatedAvalaraItem(product.sku);
+    await withRetry(() => avalaraClient.post(itemsEndpoint, [{
+      itemCode: product.sku,
+      description: buildItemDescription(product),
+      itemGroup: product.proposed_item_group || defaults.itemGroup,
+      category: product.proposed_category || defaults.category,
+      taxCode: product.tax_code_after || defaults.taxCode
+    }]), config.retry);
+    
+    logger(`  Success: Created Avalara item ${product.sku}`);
+    
+    return {
+      status: 'success',
+      error_message: '',
+      custom_field_added: 'no'
+    };
+  }
+  
+  const existingItem = await findAvalaraItem(avalaraClient, product);
+  
+  if (!existingItem) {
+    throw new Error(`Avalara item not found for SKU ${product.sku}`);
+  }
+  
+  // Fill fields that are empty in Avalara, never overwrite existing values
+  // except where reconciliation found they drifted from BigCommerce
+  const patch = {
+    itemGroup: existingItem.itemGroup || product.proposed_item_group || defaults.itemGroup,
+    category: existingItem.category || product.proposed_category || defaults.category,
+    description: existingItem.description || buildItemDescription(product),
+    taxCode: existingItem.taxCode || defaults.taxCode
+  };
+  
+  if (product.has_drift === 'yes') {
+    const driftFields = product.drift_fields.split(', ');
+    if (driftFields.includes('description')) {
+      patch.description = product.description_after;
+    }
+    if (driftFields.includes('taxCode')) {
+      patch.taxCode = product.tax_code_after;
+    }
+    if (driftFields.includes('upc')) {
+      patch.upc = product.upc_after;
+    }
+  }
+  
+  const changedFields = Object.keys(patch).filter(field => patch[field] && patch[field] !== existingItem[field]);
+  const unfilledFields = ['itemGroup', 'category'].filter(field => !patch[field]);
+  
+  if (changedFields.length === 0) {
+    logger(`  Error: No values available for missing fields: ${unfilledFields.join(', ')}`, 'error');
+    return {
+      status: 'error',
+      error_message: `No values available for missing fields: ${unfilledFields.join(', ')}`,
+      error_type: 'missing_values',
+      custom_field_added: 'no'
+    };
+  }
+  
+  if (dryRun) {
+    logger(`  Plan: Would update Avalara item ${product.sku} (${changedFields.join(', ')})`);
+    return {
+      status: 'success',
+      error_message: '',
+      custom_field_added: 'no',
+      plan: `Update Avalara item fields: ${changedFields.join(', ')}`
+    };
+  }
+  
+  backup?.saveAvalaraItem(existingItem);
+  await withRetry(() => avalaraClient.put(`${itemsEndpoint}/${existingItem.id}`, {
+    ...existingItem,
+    ...patch
+  }), config.retry);
+  
+  logger(`  Success: Updated Avalara item ${product.sku} (${changedFields.join(', ')})`);
+  
+  return {
+    status: 'success',
+    error_message: '',
+    custom_field_added: 'no'
+  };
+}
+
+// Columns of product-sync-log.csv, shared with the webhook receiver
+const SYNC_LOG_HEADERS = [
+  'product_id',
+  'variant_id',
+  'sku',
+  'exists_in_avalara',
+  'is_missing_data',
+  'status',
+  'timestamp',
+  'error_message',
+  'error_type',
+  'custom_field_added'
+];
+
+const CUSTOM_FIELD_NEXT_STEPS = `Next Steps:
+1. Monitor BigCommerce webhook logs for product/updated events
+2. Run verify-sync.js to confirm products appear in Avalara within 24-48 hours
+3. Run reconciliation again to confirm sync completion
+4. Run cleanup-custom-fields.js to remove custom fields after successful sync
+
+Note: Custom fields trigger the store/product/updated webhook which sends
+product data to Avalara for registration and classification.
+`;
+
+const DIRECT_NEXT_STEPS = `Next Steps:
+1. Re-run fetch-avalara and reconciliation to confirm sync completion
+2. Review items created with default itemGroup/category values in Avalara
+
+Note: Items were created and updated directly through the Avalara items API.
+`;
+
+const DRY_RUN_NEXT_STEPS = `Next Steps:
+1. Review update-plan.csv with whoever approves the run
+2. Run update-products.js without --dry-run to apply the plan
+
+Note: This was a dry run. No products or items were modified.
+`;
+
+// Text report shared by real and dry runs
+function buildUpdateSummary({ title, strategy, total, successLabel, successCount, errorCount, skippedCount, errorBreakdown, nextSteps }) {
+  return `
+${title}
+=====================
+
+Date: ${new Date().toISOString()}
+Strategy: ${strategy}
+Total Products Processed: ${total}
+
+Results:
+- ${successLabel}: ${successCount}
+- Errors: ${errorCount}
+- Skipped: ${skippedCount}
+
+Error Breakdown:
+${Object.entries(errorBreakdown)
+  .map(([errorType, count]) => `  - ${errorType}: ${count} products`)
+  .join('\n')}
+
+${nextSteps}`;
+}
+
+// Planned action for one product, as shown in update-plan.csv
+function buildPlanRow(product, outcome) {
+  const actions = { success: 'update', skipped: 'skip', error: 'fail' };
+  return {
+    product_id: product.product_id,
+    variant_id: product.variant_id || '',
+    sku: product.sku,
+    name: product.name,
+    exists_in_avalara: product.exists_in_avalara,
+    is_missing_data: product.is_missing_data,
+    action: actions[outcome.status],
+    reason: outcome.plan || outcome.error_message
+  };
+}
+
+async function updateProducts(options = {}) {
+  const strategy = options.strategy || config.sync.strategy;
+  const concurrency = parseInt(options.concurrency, 10) || config.sync.concurrency;
+  const dryRun = Boolean(options.dryRun);
+  const profile = applyProfile(options.profile);
+  const outputDir = ensureOutputDir(options.outputDir || (profile && profile.outputDir));
+  const productsToUpdateFile = options.input || `${outputDir}/products-to-update.csv`;
+  const selection = options.selection || {};
   const logFile = `${outputDir}/product-sync-log.csv`;
+  const checkpointFile = `${outputDir}/update-checkpoint.json`;
+  const planFile = `${outputDir}/update-plan.csv`;
+  const planSummaryFile = `${outputDir}/update-plan-summary.txt`;
   
-  log('Starting product update process...');
+  if (dryRun && options.resume) {
+    throw new Error('--dry-run and --resume cannot be used together');
+  }
+  
+  if (!SYNC_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown sync strategy: ${strategy}. Expected one of: ${SYNC_STRATEGIES.join(', ')}`);
+  }
+  
+  const report = startStepReport('update', outputDir);
+  
+  // Everything the run changes is backed up first, so it can be rolled back
+  const backup = dryRun ? null : startBackup('update', outputDir);
+  
+  log(`Starting product update ${dryRun ? 'dry run' : 'process'} (strategy: ${strategy}, concurrency: ${concurrency})...`);
   
   // Check if input file exists
   if (!fs.existsSync(productsToUpdateFile)) {
     throw new Error(`Products to update file not found: ${productsToUpdateFile}. Please run reconcile-products.js first.`);
   }
   
+  // Product ids and item ids are only meaningful in the store and company they were reconciled for
+  assertSnapshotAccount('bigcommerce', config.bigcommerce.storeHash, outputDir);
+  assertSnapshotAccount('avalara', config.avalara.companyId, outputDir);
+  
   try {
-    // Read products to update
+    // Read the products that need updating, limited to the selected products if any
     log('Reading products to update...');
-    const productsToUpdate = await readCSVFile(productsToUpdateFile);
+    const selectProduct = createSelectionFilter(selection, 'product_id');
+    const productsNeedingUpdate = [];
+    for await (const products of readCSVBatches(productsToUpdateFile)) {
+      // Only the direct strategy writes drifted values, the webhook sends what Avalara lacks
+      productsNeedingUpdate.push(...products.filter(product => selectProduct(product) && (
+        product.exists_in_avalara === 'no' ||
+        product.is_missing_data === 'yes' ||
+        (strategy === 'direct' && product.has_drift === 'yes')
+      )));
+    }
     
-    // Filter products that need updating
-    const productsNeedingUpdate = productsToUpdate.filter(product => 
-      product.exists_in_avalara === 'no' || product.is_missing_data === 'yes'
-    );
+    if (hasProductSelection(selection)) {
+      log(`Limited to ${productsNeedingUpdate.length} selected products`);
+    }
     
     log(`Found ${productsNeedingUpdate.length} products that need updating`);
     
     if (productsNeedingUpdate.length === 0) {
       log('No products need updating. All products are already in sync with Avalara.');
+      report.finish({ total: 0, success: 0, errors: 0, skipped: 0, dryRun }, { strategy });
       return { updated: 0, errors: 0, skipped: 0 };
     }
     
-    // Create BigCommerce client
-    const bcClient = axios.create({
+    // The checkpoint is only valid for the exact input, selection and strategy it was written for
+    const inputFingerprint = crypto.createHash('sha256')
+      .update(fs.readFileSync(productsToUpdateFile))
+      .update(JSON.stringify(selection))
+      .digest('hex');
+    
+    const checkpoint = {
+      startedAt: new Date().toISOString(),
+      strategy,
+      inputFingerprint,
+      processed: 0
+    };
+    const previousLog = [];
+    
+    if (options.resume) {
+      if (!fs.existsSync(checkpointFile)) {
+        throw new Error(`Checkpoint file not found: ${checkpointFile}. There is no interrupted run to resume.`);
+      }
+      
+      const savedCheckpoint = JSON.parse(fs.readFileSync(checkpointFile, 'utf8'));
+      
+      if (savedCheckpoint.inputFingerprint !== inputFingerprint || savedCheckpoint.strategy !== strategy) {
+        throw new Error(`Checkpoint in ${checkpointFile} was written for a different products-to-update.csv, selection or strategy. Run without --resume to start over.`);
+      }
+      
+      checkpoint.startedAt = savedCheckpoint.startedAt;
+      checkpoint.processed = savedCheckpoint.processed;
+      for await (const entries of readCSVBatches(logFile)) {
+        previousLog.push(...entries.slice(0, checkpoint.processed - previousLog.length));
+      }
+      
+      log(`Resuming run started at ${checkpoint.startedAt}: ${checkpoint.processed}/${productsNeedingUpdate.length} products already processed`);
+    }
+    
+    const resumeFrom = checkpoint.processed;
+    
+    // Create BigCommerce client, paced for all workers by the rate limit headers
+    const bcClient = applyRateLimiter(axios.create({
       baseURL: config.bigcommerce.baseUrl,
       headers: config.bigcommerce.headers,
       timeout: 30000
+    }), createRateLimiter({ reserve: concurrency }));
+    
+    // Create Avalara client for the direct strategy
+    const avalaraClient = axios.create({
+      baseURL: config.avalara.baseUrl,
+      headers: config.avalara.headers,
+      timeout: 30000
     });
     
+    if (strategy === 'direct' && (!config.sync.defaults.itemGroup || !config.sync.defaults.category)) {
+      log('Warning: AVALARA_DEFAULT_ITEM_GROUP or AVALARA_DEFAULT_CATEGORY is not set, items no classification rule matched will still be missing data', 'error');
+    }
+    
     // Create CSV writer for sync log
-    const csvWriter = createCsvWriterUtil(logFile, [
+    const csvWriter = createCsvWriterUtil(logFile, SYNC_LOG_HEADERS);
+    
+    const errorBreakdown = {};
+    let successCount = 0;
+    let errorCount = 0;
+    let skippedCount = 0;
+    
+    const addLogEntry = (entry) => {
+      if (entry.status === 'success') {
+        successCount++;
+      } else if (entry.status === 'error') {
+        const errorType = entry.error_type || 'unexpected';
+        errorCount++;
+        errorBreakdown[errorType] = (errorBreakdown[errorType] || 0) + 1;
+        report.recordError(errorType);
+      } else {
+        skippedCount++;
+      }
+      
+      return entry;
+    };
+    
+    const recordOutcome = (product, timestamp, outcome) => {
+      return addLogEntry({
+        product_id: product.product_id,
+        variant_id: product.variant_id || '',
+        sku: product.sku,
+        exists_in_avalara: product.exists_in_avalara,
+        is_missing_data: product.is_missing_data,
+        status: outcome.status,
+        timestamp,
+        error_message: outcome.error_message,
+        error_type: outcome.error_type || '',
+        custom_field_added: outcome.custom_field_added
+      });
+    };
+    
+    // Rows already processed by the interrupted run are kept as they were written
+    previousLog.forEach(addLogEntry);
+    
+    // The sync log is appended as results come in and the checkpoint follows it,
+    // so a crash loses at most the products still in flight
+    let writeQueue = previousLog.length > 0
+      ? csvWriter.writeRecords(previousLog)
+      : Promise.resolve();
+    
+    const appendToLog = (entries, processed) => {
+      writeQueue = writeQueue.then(async () => {
+        await csvWriter.writeRecords(entries);
+        checkpoint.processed = processed;
+        fs.writeFileSync(checkpointFile, JSON.stringify(checkpoint, null, 2));
+      });
+    };
+    
+    // A dry run writes its plan the same way instead
+    const planWriter = dryRun ? createBatchedCsvWriter(planFile, [
       'product_id',
+      'variant_id',
       'sku',
+      'name',
       'exists_in_avalara',
       'is_missing_data',
-      'status',
-      'timestamp',
-      'error_message',
-      'custom_field_added'
-    ]);
+      'action',
+      'reason'
+    ]) : null;
     
-    const syncLog = [];
-    let successCount = 0;
-    let errorCount = 0;
-    let skippedCount = 0;
+    const appendToPlan = (planRows) => {
+      writeQueue = writeQueue.then(() => planWriter.write(planRows));
+    };
     
-    // Process each product
-    for (let i = 0; i < productsNeedingUpdate.length; i++) {
-      const product = productsNeedingUpdate[i];
-      const timestamp = new Date().toISOString();
+    // Results are kept by position and flushed in input order, so progress
+    // output and the sync log read the same whichever worker finishes first
+    const total = productsNeedingUpdate.length;
+    const results = new Array(total);
+    let nextToFlush = resumeFrom;
+    
+    const flushResults = () => {
+      const entries = [];
+      const planRows = [];
+      while (nextToFlush < total && results[nextToFlush]) {
+        const { product, timestamp, outcome, messages } = results[nextToFlush];
+        messages.forEach(([message, type]) => log(message, type, { productId: product.product_id, sku: product.sku }));
+        entries.push(recordOutcome(product, timestamp, outcome));
+        planRows.push(buildPlanRow(product, outcome));
+        // Flushed results aren't needed any more
+        results[nextToFlush] = null;
+        nextToFlush++;
+      }
       
-      log(`Processing product ${i + 1}/${productsNeedingUpdate.length}: ${product.sku} (${product.name})`);
+      // A dry run leaves the sync log and checkpoint of real runs alone
+      if (entries.length > 0) {
+        if (dryRun) {
+          appendToPlan(planRows);
+        } else {
+          appendToLog(entries, nextToFlush);
+        }
+      }
+    };
+    
+    // Variants share their parent's custom fields, so the custom field strategy
+    // processes each parent product once and skips its other SKUs
+    const units = [];
+    const unitsByParent = new Map();
+    productsNeedingUpdate.forEach((product, index) => {
+      if (index < resumeFrom) {
+        return;
+      }
+      if (strategy === 'custom-field' && unitsByParent.has(product.product_id)) {
+        unitsByParent.get(product.product_id).push(index);
+        return;
+      }
+      const unit = [index];
+      units.push(unit);
+      unitsByParent.set(product.product_id, unit);
+    });
+    
+    const processUnit = async ([index, ...variantIndexes]) => {
+      const product = productsNeedingUpdate[index];
+      const timestamp = new Date().toISOString();
+      const messages = [[`Processing product ${index + 1}/${total}: ${product.sku} (${product.name})`]];
+      const logger = (message, type) => messages.push([message, type]);
+      let outcome;
       
       try {
-        // Check existing custom fields
-        const existingFields = await getExistingCustomFields(bcClient, product.product_id);
-        
-        // Check if sync field already exists
-        const existingSyncField = existingFields.find(field => 
-          field.name === config.sync.fieldName
-        );
-        
-        if (existingSyncField) {
-          log(`  Skipping: ${config.sync.fieldName} custom field already exists`);
-          syncLog.push({
-            product_id: product.product_id,
-            sku: product.sku,
-            exists_in_avalara: product.exists_in_avalara,
-            is_missing_data: product.is_missing_data,
-            status: 'skipped',
-            timestamp,
-            error_message: 'Custom field already exists',
-            custom_field_added: 'no'
-          });
-          skippedCount++;
-          continue;
-        }
-        
-        // Check if we're at the custom field limit (50 max)
-        if (existingFields.length >= 50) {
-          log(`  Error: Product has maximum number of custom fields (50)`);
-          syncLog.push({
-            product_id: product.product_id,
-            sku: product.sku,
-            exists_in_avalara: product.exists_in_avalara,
-            is_missing_data: product.is_missing_data,
-            status: 'error',
-            timestamp,
-            error_message: 'Maximum custom fields limit reached (50)',
-            custom_field_added: 'no'
-          });
-          errorCount++;
-          continue;
-        }
-        
-        // Add custom field to trigger sync
-        await addCustomField(bcClient, product.product_id, config.sync.fieldName, '1');
-        
-        log(`  Success: Added ${config.sync.fieldName} custom field`);
-        
-        syncLog.push({
-          product_id: product.product_id,
-          sku: product.sku,
-          exists_in_avalara: product.exists_in_avalara,
-          is_missing_data: product.is_missing_data,
-          status: 'success',
-          timestamp,
-          error_message: '',
-          custom_field_added: 'yes'
-        });
-        
-        successCount++;
-        
-        // Rate limiting - wait 100ms between requests
-        await sleep(100);
-        
+        outcome = strategy === 'direct'
+          ? await registerAvalaraItem(avalaraClient, product, { logger, dryRun, backup })
+          : await triggerCustomFieldSync(bcClient, product, { logger, dryRun, backup });
       } catch (error) {
         const errorMessage = error.response 
-          ? `${error.response.status}: ${error.response.data?.message || error.message}`
+          ? `${error.response.status}: ${error.response.data?.message || error.response.data?.error?.message || error.message}`
           : error.message;
         
-        log(`  Error: ${errorMessage}`, 'error');
+        logger(`  Error: ${errorMessage}`, 'error');
         
-        syncLog.push({
-          product_id: product.product_id,
-          sku: product.sku,
-          exists_in_avalara: product.exists_in_avalara,
-          is_missing_data: product.is_missing_data,
+        outcome = {
           status: 'error',
-          timestamp,
           error_message: errorMessage,
+          error_type: classifyError(error),
           custom_field_added: 'no'
-        });
-        
-        errorCount++;
+        };
       }
+      
+      results[index] = { product, timestamp, outcome, messages };
+      
+      variantIndexes.forEach(variantIndex => {
+        const variant = productsNeedingUpdate[variantIndex];
+        results[variantIndex] = {
+          product: variant,
+          timestamp: new Date().toISOString(),
+          outcome: {
+            status: 'skipped',
+            error_message: `Handled by parent product ${variant.product_id}`,
+            custom_field_added: 'no'
+          },
+          messages: [
+            [`Processing product ${variantIndex + 1}/${total}: ${variant.sku} (${variant.name})`],
+            [`  Skipping: sync already handled via parent product ${variant.product_id} (${outcome.status})`]
+          ]
+        };
+      });
+      
+      flushResults();
+    };
+    
+    // Process products through a bounded worker pool
+    await runWithConcurrency(units, concurrency, processUnit);
+    
+    // Wait for the last sync log rows to be written
+    await writeQueue;
+    
+    if (dryRun) {
+      await planWriter.end();
+      
+      log(`Product update dry run completed`);
+      log(`Plan written to: ${planFile}`);
+      log(`Summary:`);
+      log(`  - Would update: ${successCount}`);
+      log(`  - Would fail: ${errorCount}`);
+      log(`  - Would skip: ${skippedCount}`);
+      log(`  - Total processed: ${productsNeedingUpdate.length}`);
+      
+      const planSummary = buildUpdateSummary({
+        title: 'Product Update Plan (Dry Run)',
+        strategy,
+        total: productsNeedingUpdate.length,
+        successLabel: 'Would update',
+        successCount,
+        errorCount,
+        skippedCount,
+        errorBreakdown,
+        nextSteps: DRY_RUN_NEXT_STEPS
+      });
+      
+      fs.writeFileSync(planSummaryFile, planSummary);
+      log(`Plan summary written to: ${planSummaryFile}`);
+      report.finish({ total: productsNeedingUpdate.length, success: successCount, errors: errorCount, skipped: skippedCount, dryRun }, { strategy });
+      
+      return {
+        total: productsNeedingUpdate.length,
+        wouldUpdate: successCount,
+        errors: errorCount,
+        skipped: skippedCount,
+        dryRun: true
+      };
     }
     
-    // Write sync log to CSV
-    await csvWriter.writeRecords(syncLog);
+    // The run finished, nothing is left to resume
+    if (fs.existsSync(checkpointFile)) {
+      fs.unlinkSync(checkpointFile);
+    }
     
     log(`Product update process completed`);
     log(`Results written to: ${logFile}`);
@@ -194,44 +617,31 @@ async function updateProducts() {
     log(`  - Errors: ${errorCount}`);
     log(`  - Skipped: ${skippedCount}`);
     log(`  - Total processed: ${productsNeedingUpdate.length}`);
+    if (backup && fs.existsSync(backup.file)) {
+      log(`Previous state of the changed products backed up to: ${backup.file}`);
+      log(`Undo this run with: bc-avalara-sync rollback --run-id ${backup.runId}`);
+    }
     
     // Create summary report
     const summaryFile = `${outputDir}/update-summary.txt`;
-    const summary = `
-Product Update Summary
-=====================
-
-Date: ${new Date().toISOString()}
-Total Products Processed: ${productsNeedingUpdate.length}
-
-Results:
-- Successfully updated: ${successCount}
-- Errors: ${errorCount}
-- Skipped: ${skippedCount}
-
-Error Breakdown:
-${syncLog
-  .filter(log => log.status === 'error')
-  .reduce((acc, log) => {
-    const errorType = log.error_message.split(':')[0] || 'Unknown';
-    acc[errorType] = (acc[errorType] || 0) + 1;
-    return acc;
-  }, {})
-  .map(([errorType, count]) => `  - ${errorType}: ${count} products`)
-  .join('\n')}
-
-Next Steps:
-1. Monitor BigCommerce webhook logs for product/updated events
-2. Verify products appear in Avalara within 24-48 hours
-3. Run reconciliation again to confirm sync completion
-4. Consider removing custom fields after successful sync
-
-Note: Custom fields trigger the store/product/updated webhook which sends
-product data to Avalara for registration and classification.
-`;
+    const summary = buildUpdateSummary({
+      title: 'Product Update Summary',
+      strategy,
+      total: productsNeedingUpdate.length,
+      successLabel: 'Successfully updated',
+      successCount,
+      errorCount,
+      skippedCount,
+      errorBreakdown,
+      nextSteps: strategy === 'direct' ? DIRECT_NEXT_STEPS : CUSTOM_FIELD_NEXT_STEPS
+    });
     
     fs.writeFileSync(summaryFile, summary);
     log(`Summary report written to: ${summaryFile}`);
+    report.finish({ total: productsNeedingUpdate.length, success: successCount, errors: errorCount, skipped: skippedCount, dryRun }, {
+      strategy,
+      backupFile: backup && fs.existsSync(backup.file) ? backup.file : null
+    });
     
     return {
       total: productsNeedingUpdate.length,
@@ -242,13 +652,23 @@ product data to Avalara for registration and classification.
     
   } catch (error) {
     log(`Error during product update: ${error.message}`, 'error');
+    report.fail(error);
     throw error;
   }
 }
 
 // Run the script if called directly
 if (require.main === module) {
-  updateProducts()
+  updateProducts({
+    strategy: getCliOption('strategy'),
+    concurrency: getCliOption('concurrency'),
+    resume: process.argv.includes('--resume'),
+    dryRun: process.argv.includes('--dry-run'),
+    outputDir: getCliOption('output-dir'),
+    input: getCliOption('input'),
+    selection: getProductSelection(),
+    profile: getCliOption('profile')
+  })
     .then((summary) => {
       log('Product update process completed successfully');
       process.exit(0);
@@ -259,4 +679,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { updateProducts }; 
\ No newline at end of file
+module.exports = { updateProducts, registerAvalaraItem, findAvalaraItem, getExistingCustomFields, SYNC_LOG_HEADERS }; 
\ No newline at end of file
@@ -0,0 +1,279 @@
+const axios = require('axios');
+const fs = require('fs');
+const config = require('../config');
+const { applyProfile } = require('../profiles');
+const { startStepReport } = require('../run-report');
+const { createCsvWriterUtil, readCSVBatches, ensureOutputDir, log, sleep, classifyError, runWithConcurrency, getCliOption, assertSnapshotAccount } = require('../utils');
+const { findAvalaraItem } = require('./update-products');
+
+const VERIFICATION_HEADERS = [
+  'sku',
+  'product_id',
+  'variant_id',
+  'triggered_at',
+  'status',
+  'first_seen_at',
+  'confirmed_at',
+  'latency_minutes',
+  'checks',
+  'last_checked_at',
+  'issue'
+];
+
+function entryKey(entry) {
+  return `${entry.sku}|${entry.triggered_at}`;
+}
+
+function minutesBetween(from, to) {
+  return (Date.parse(to) - Date.parse(from)) / 60000;
+}
+
+// Nearest-rank percentile of sorted values
+function percentile(sortedValues, fraction) {
+  if (sortedValues.length === 0) {
+    return null;
+  }
+  return sortedValues[Math.max(0, Math.ceil(fraction * sortedValues.length) - 1)];
+}
+
+function formatMinutes(minutes) {
+  if (minutes === null) {
+    return 'n/a';
+  }
+  return minutes >= 120 ? `${(minutes / 60).toFixed(1)} hours` : `${minutes.toFixed(1)} minutes`;
+}
+
+// One verification row per SKU the last update run synced. Rows of an earlier check of
+// the same run are carried over, so first-seen times survive restarts of the poller.
+async function loadVerificationEntries(syncLogFile, verificationFile) {
+  const triggered = [];
+  for await (const rows of readCSVBatches(syncLogFile)) {
+    triggered.push(...rows.filter(row => row.status === 'success'));
+  }
+  
+  const previous = new Map();
+  if (fs.existsSync(verificationFile)) {
+    for await (const entries of readCSVBatches(verificationFile)) {
+      entries.forEach(entry => previous.set(entryKey(entry), entry));
+    }
+  }
+  
+  return triggered.map(row => {
+    const entry = {
+      sku: row.sku,
+      product_id: row.product_id,
+      variant_id: row.variant_id || '',
+      triggered_at: row.timestamp,
+      status: 'pending',
+      first_seen_at: '',
+      confirmed_at: '',
+      latency_minutes: '',
+      checks: 0,
+      last_checked_at: '',
+      issue: ''
+    };
+    const carriedOver = previous.get(entryKey(entry));
+    return carriedOver ? { ...entry, ...carriedOver, checks: parseInt(carriedOver.checks, 10) || 0 } : entry;
+  });
+}
+
+// Look one pending SKU up in Avalara. It is confirmed once its item has an itemGroup and
+// a category, and escalated when that hasn't happened by the deadline.
+async function checkEntry(avalaraClient, entry, deadlineHours) {
+  const checkedAt = new Date().toISOString();
+  const item = await findAvalaraItem(avalaraClient, { sku: entry.sku });
+  const missingFields = item ? ['itemGroup', 'category'].filter(field => !item[field] || item[field].trim() === '') : null;
+  
+  entry.checks++;
+  entry.last_checked_at = checkedAt;
+  
+  if (item && !entry.first_seen_at) {
+    entry.first_seen_at = checkedAt;
+  }
+  
+  if (item && missingFields.length === 0) {
+    entry.status = 'confirmed';
+    entry.confirmed_at = checkedAt;
+    entry.latency_minutes = minutesBetween(entry.triggered_at, checkedAt).toFixed(1);
+    entry.issue = '';
+    return;
+  }
+  
+  entry.issue = item ? `Missing ${missingFields.join(', ')}` : 'Not in Avalara';
+  
+  if (minutesBetween(entry.triggered_at, checkedAt) >= deadlineHours * 60) {
+    entry.status = 'escalated';
+  }
+}
+
+function buildVerificationSummary(entries, deadlineHours) {
+  const count = (status) => entries.filter(entry => entry.status === status).length;
+  const escalated = entries.filter(entry => entry.status === 'escalated');
+  const latencies = entries
+    .filter(entry => entry.status === 'confirmed')
+    .map(entry => parseFloat(entry.latency_minutes))
+    .sort((a, b) => a - b);
+  
+  // Nothing arriving at all points at the integration rather than at individual products
+  let verdict = 'Every product that was checked arrived in Avalara within the deadline.';
+  if (escalated.length > 0 && latencies.length === 0) {
+    verdict = 'No synced product arrived in Avalara within the deadline. The BigCommerce to Avalara\nintegration is most likely not processing product webhooks; check it before syncing again.';
+  } else if (escalated.length > 0) {
+    verdict = 'Some synced products did not arrive in time. Review sync-escalations.csv; products\nthat appeared without an itemGroup or category need classifying in Avalara.';
+  } else if (count('pending') > 0) {
+    verdict = 'Some products are still within the deadline. Run verify again to finish checking them.';
+  }
+  
+  return `
+Sync Verification Summary
+=====================
+
+Date: ${new Date().toISOString()}
+Synced SKUs: ${entries.length}
+Deadline: ${deadlineHours} hours after the sync
+
+Results:
+- Confirmed in Avalara: ${count('confirmed')}
+- Still pending: ${count('pending')}
+- Escalated: ${escalated.length}
+  - never appeared in Avalara: ${escalated.filter(entry => !entry.first_seen_at).length}
+  - appeared without itemGroup or category: ${escalated.filter(entry => entry.first_seen_at).length}
+
+Latency from sync to complete Avalara item:
+- Fastest: ${formatMinutes(percentile(latencies, 0))}
+- Median: ${formatMinutes(percentile(latencies, 0.5))}
+- 90th percentile: ${formatMinutes(percentile(latencies, 0.9))}
+- Slowest: ${formatMinutes(percentile(latencies, 1))}
+
+${verdict}
+`;
+}
+
+async function verifySync(options = {}) {
+  const profile = applyProfile(options.profile);
+  const outputDir = ensureOutputDir(options.outputDir || (profile && profile.outputDir));
+  const syncLogFile = options.input || `${outputDir}/product-sync-log.csv`;
+  const verificationFile = `${outputDir}/sync-verification.csv`;
+  const escalationsFile = `${outputDir}/sync-escalations.csv`;
+  const summaryFile = `${outputDir}/sync-verification-summary.txt`;
+  const intervalMinutes = parseFloat(options.interval) || config.verify.intervalMinutes;
+  const deadlineHours = parseFloat(options.deadline) || config.verify.deadlineHours;
+  const report = startStepReport('verify', outputDir);
+  
+  log(`Starting sync verification (${options.once ? 'single check' : `every ${intervalMinutes} minutes`}, deadline ${deadlineHours} hours)...`);
+  
+  // Check if input file exists
+  if (!fs.existsSync(syncLogFile)) {
+    throw new Error(`Product sync log not found: ${syncLogFile}. Please run update-products.js first.`);
+  }
+  
+  // The SKUs were synced to the company of this output directory
+  assertSnapshotAccount('avalara', config.avalara.companyId, outputDir);
+  
+  try {
+    const entries = await loadVerificationEntries(syncLogFile, verificationFile);
+    log(`Verifying ${entries.length} synced SKUs from ${syncLogFile}`);
+    
+    const avalaraClient = axios.create({
+      baseURL: config.avalara.baseUrl,
+      headers: config.avalara.headers,
+      timeout: 30000
+    });
+    
+    let pass = 0;
+    
+    while (true) {
+      const pending = entries.filter(entry => entry.status === 'pending');
+      pass++;
+      
+      log(`Check ${pass}: looking up ${pending.length} pending SKUs in Avalara...`);
+      
+      await runWithConcurrency(pending, config.sync.concurrency, async (entry) => {
+        const fields = { productId: entry.product_id, sku: entry.sku };
+        
+        try {
+          await checkEntry(avalaraClient, entry, deadlineHours);
+        } catch (error) {
+          // A failed lookup leaves the SKU pending for the next check
+          const errorMessage = error.response
+            ? `${error.response.status}: ${error.response.data?.error?.message || error.message}`
+            : error.message;
+          log(`  Error looking up ${entry.sku}: ${errorMessage}`, 'error', fields);
+          report.recordError(classifyError(error));
+          return;
+        }
+        
+        if (entry.status === 'confirmed') {
+          log(`  Confirmed: ${entry.sku} is complete in Avalara after ${formatMinutes(parseFloat(entry.latency_minutes))}`, 'info', fields);
+        } else if (entry.status === 'escalated') {
+          log(`  Escalated: ${entry.sku} is not complete in Avalara ${deadlineHours} hours after the sync (${entry.issue})`, 'error', fields);
+          report.recordError('not_synced');
+        }
+      });
+      
+      // Rewritten after every check, so the report is current while the poller waits
+      await createCsvWriterUtil(verificationFile, VERIFICATION_HEADERS).writeRecords(entries);
+      
+      const stillPending = entries.filter(entry => entry.status === 'pending').length;
+      if (options.once || stillPending === 0) {
+        break;
+      }
+      
+      log(`${stillPending} SKUs still pending, checking again in ${intervalMinutes} minutes`);
+      await sleep(intervalMinutes * 60 * 1000);
+    }
+    
+    const escalated = entries.filter(entry => entry.status === 'escalated');
+    const escalationsWriter = createCsvWriterUtil(escalationsFile, VERIFICATION_HEADERS);
+    await escalationsWriter.writeRecords(escalated);
+    
+    const summary = buildVerificationSummary(entries, deadlineHours);
+    fs.writeFileSync(summaryFile, summary);
+    
+    const result = {
+      total: entries.length,
+      confirmed: entries.filter(entry => entry.status === 'confirmed').length,
+      pending: entries.filter(entry => entry.status === 'pending').length,
+      escalated: escalated.length
+    };
+    
+    log(`Sync verification completed`);
+    log(`Results written to: ${verificationFile}`);
+    log(`Summary:`);
+    log(`  - Confirmed in Avalara: ${result.confirmed}`);
+    log(`  - Still pending: ${result.pending}`);
+    log(`  - Escalated: ${result.escalated}`);
+    log(`Escalated SKUs written to: ${escalationsFile}`);
+    log(`Summary report written to: ${summaryFile}`);
+    report.finish(result);
+    
+    return result;
+  
+  } catch (error) {
+    log(`Error during sync verification: ${error.message}`, 'error');
+    report.fail(error);
+    throw error;
+  }
+}
+
+// Run the script if called directly
+if (require.main === module) {
+  verifySync({
+    once: process.argv.includes('--once'),
+    interval: getCliOption('interval'),
+    deadline: getCliOption('deadline'),
+    input: getCliOption('input'),
+    outputDir: getCliOption('output-dir'),
+    profile: getCliOption('profile')
+  })
+    .then(() => {
+      log('Sync verification completed successfully');
+      process.exit(0);
+    })
+    .catch((error) => {
+      log(`Sync verification failed: ${error.message}`, 'error');
+      process.exit(1);
+    });
+}
+
+module.exports = { verifySync };
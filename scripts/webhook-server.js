@@ -0,0 +1,323 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const config = require('../config');
+const { applyProfile } = require('../profiles');
+const { startBackup } = require('../backups');
+const { createCsvWriterUtil, ensureOutputDir, log, withRetry, classifyError, applyRateLimiter, getCliOption, getRunId } = require('../utils');
+const { buildProductRows, normalizeCatalogScope, getScopeExclusion, fetchChannelAssignments } = require('./fetch-bc-products');
+const { findFieldDrift, getBigCommerceTaxCode } = require('./reconcile-products');
+const { registerAvalaraItem, findAvalaraItem, SYNC_LOG_HEADERS } = require('./update-products');
+
+const HANDLED_SCOPES = ['store/product/created', 'store/product/updated'];
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Verify a signed BigCommerce webhook: HMAC-SHA256 of "<webhook-id>.<webhook-timestamp>.<body>"
+// keyed with the app client secret, sent as one or more "v1,<base64>" entries in webhook-signature
+function verifyWebhookSignature(headers, rawBody, secret = config.bigcommerce.clientSecret) {
+  const webhookId = headers['webhook-id'];
+  const timestamp = headers['webhook-timestamp'];
+  const signatureHeader = headers['webhook-signature'];
+  
+  if (!secret || !webhookId || !timestamp || !signatureHeader) {
+    return false;
+  }
+  
+  // Reject stale or replayed deliveries
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (isNaN(age) || age > SIGNATURE_TOLERANCE_SECONDS) {
+    return false;
+  }
+  
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${webhookId}.${timestamp}.${rawBody}`)
+    .digest();
+  
+  return signatureHeader.split(' ').some(entry => {
+    const [version, signature] = entry.split(',');
+    if (version !== 'v1' || !signature) {
+      return false;
+    }
+    const received = Buffer.from(signature, 'base64');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  });
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function readRequestBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// Look up the Avalara item for one BigCommerce row and create or update it
+async function upsertAvalaraItem(avalaraClient, productRow, { logger, backup }) {
+  const existingItem = await findAvalaraItem(avalaraClient, { sku: productRow.sku });
+  
+  const row = {
+    product_id: productRow.id,
+    variant_id: productRow.variant_id,
+    sku: productRow.sku,
+    name: productRow.name,
+    option_values: productRow.option_values,
+    exists_in_avalara: existingItem ? 'yes' : 'no',
+    is_missing_data: 'no',
+    avalara_item_id: existingItem ? existingItem.id : '',
+    has_drift: 'no',
+    drift_fields: '',
+    tax_code_after: existingItem ? '' : getBigCommerceTaxCode(productRow) || ''
+  };
+  
+  if (existingItem) {
+    const missingFields = ['itemGroup', 'category'].filter(field => !existingItem[field]);
+    const driftFields = findFieldDrift(productRow, existingItem, row);
+    
+    row.is_missing_data = missingFields.length > 0 ? 'yes' : 'no';
+    row.has_drift = driftFields.length > 0 ? 'yes' : 'no';
+    row.drift_fields = driftFields.join(', ');
+    
+    if (missingFields.length === 0 && driftFields.length === 0) {
+      logger(`  Skipping: Avalara item ${row.sku} is already up to date`);
+      return {
+        row,
+        outcome: {
+          status: 'skipped',
+          error_message: 'Avalara item already up to date',
+          custom_field_added: 'no'
+        }
+      };
+    }
+  }
+  
+  const outcome = await registerAvalaraItem(avalaraClient, row, { logger, backup });
+  return { row, outcome };
+}
+
+function createWebhookHandler(options = {}) {
+  const outputDir = ensureOutputDir(options.outputDir);
+  const logFile = `${outputDir}/product-sync-log.csv`;
+  const scope = normalizeCatalogScope(config.catalogScope);
+  
+  // One backup for the life of the server, under its run id: it holds each item as it was
+  // before the server first created or changed it
+  const backup = startBackup('webhook', outputDir);
+  
+  const bcClient = applyRateLimiter(axios.create({
+    baseURL: config.bigcommerce.baseUrl,
+    headers: config.bigcommerce.headers,
+    timeout: 30000
+  }));
+  
+  const avalaraClient = axios.create({
+    baseURL: config.avalara.baseUrl,
+    headers: config.avalara.headers,
+    timeout: 30000
+  });
+  
+  // Rows are appended to the sync log of update runs. An update run starts the file over,
+  // so whether it needs a header is checked on every write.
+  let writeQueue = Promise.resolve();
+  
+  const appendToLog = (entries) => {
+    writeQueue = writeQueue
+      .then(() => createCsvWriterUtil(logFile, SYNC_LOG_HEADERS, { append: fs.existsSync(logFile) }).writeRecords(entries))
+      .catch(error => log(`Error writing ${logFile}: ${error.message}`, 'error'));
+    return writeQueue;
+  };
+  
+  const processProduct = async (productId) => {
+    const response = await withRetry(() => bcClient.get(`/v3/catalog/products/${productId}`, {
+      params: { include: 'variants' }
+    }), config.retry);
+    const product = response.data.data;
+    
+    // Channel assignments are only looked up when the scope is limited to channels
+    const channelIds = scope.channelIds.length > 0
+      ? (await fetchChannelAssignments(bcClient, [product.id])).get(String(product.id)) || []
+      : [];
+    const exclusion = getScopeExclusion(product, scope, channelIds);
+    if (exclusion) {
+      log(`Product ${productId} is outside the catalog scope (${exclusion}), skipping`);
+      return;
+    }
+    
+    const entries = [];
+    for (const productRow of buildProductRows(product)) {
+      const timestamp = new Date().toISOString();
+      const logger = (message, type) => log(message, type, { productId: productRow.id, sku: productRow.sku });
+      logger(`Processing product ${productId}: ${productRow.sku} (${productRow.name})`);
+      
+      let row = {
+        product_id: productRow.id,
+        variant_id: productRow.variant_id,
+        sku: productRow.sku,
+        exists_in_avalara: '',
+        is_missing_data: ''
+      };
+      let outcome;
+      
+      try {
+        ({ row, outcome } = await upsertAvalaraItem(avalaraClient, productRow, { logger, backup }));
+      } catch (error) {
+        const errorMessage = error.response
+          ? `${error.response.status}: ${error.response.data?.message || error.response.data?.error?.message || error.message}`
+          : error.message;
+        
+        logger(`  Error: ${errorMessage}`, 'error');
+        
+        outcome = {
+          status: 'error',
+          error_message: errorMessage,
+          error_type: classifyError(error),
+          custom_field_added: 'no'
+        };
+      }
+      
+      entries.push({
+        product_id: row.product_id,
+        variant_id: row.variant_id || '',
+        sku: row.sku,
+        exists_in_avalara: row.exists_in_avalara,
+        is_missing_data: row.is_missing_data,
+        status: outcome.status,
+        timestamp,
+        error_message: outcome.error_message,
+        error_type: outcome.error_type || '',
+        custom_field_added: outcome.custom_field_added
+      });
+    }
+    
+    await appendToLog(entries);
+  };
+  
+  // Deliveries for the same product are processed one after another, so two quick updates
+  // can't both find the item missing and create it twice
+  const productQueues = new Map();
+  
+  const enqueueProduct = (productId) => {
+    const key = String(productId);
+    const queued = (productQueues.get(key) || Promise.resolve())
+      .catch(() => {})
+      .then(() => processProduct(productId));
+    productQueues.set(key, queued);
+    
+    const release = () => {
+      if (productQueues.get(key) === queued) {
+        productQueues.delete(key);
+      }
+    };
+    queued.then(release, release);
+    return queued;
+  };
+  
+  return async (req, res) => {
+    if (req.method !== 'POST' || req.url.split('?')[0] !== config.webhook.path) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    
+    let rawBody;
+    try {
+      rawBody = await readRequestBody(req);
+    } catch (error) {
+      res.writeHead(413);
+      res.end();
+      return;
+    }
+    
+    if (!verifyWebhookSignature(req.headers, rawBody)) {
+      log(`Rejected webhook with missing or invalid signature`, 'error');
+      res.writeHead(401);
+      res.end();
+      return;
+    }
+    
+    let payload;
+    try {
+      payload = JSON.parse(rawBody);
+    } catch (error) {
+      res.writeHead(400);
+      res.end();
+      return;
+    }
+    
+    // Acknowledge right away so BigCommerce doesn't retry while Avalara is updated
+    res.writeHead(200);
+    res.end();
+    
+    // Any JSON value parses, so a signed body can still be null or an array
+    if (!isPlainObject(payload)) {
+      log(`Ignoring webhook without a JSON object body`);
+      return;
+    }
+    
+    if (!HANDLED_SCOPES.includes(payload.scope) || !isPlainObject(payload.data) || !payload.data.id) {
+      log(`Ignoring webhook ${payload.scope}`);
+      return;
+    }
+    
+    log(`Received ${payload.scope} for product ${payload.data.id}`);
+    
+    try {
+      await enqueueProduct(payload.data.id);
+    } catch (error) {
+      log(`Error handling ${payload.scope} for product ${payload.data.id}: ${error.message}`, 'error');
+    }
+  };
+}
+
+async function startWebhookServer(options = {}) {
+  const port = parseInt(options.port, 10) || config.webhook.port;
+  const profile = applyProfile(options.profile);
+  
+  if (!config.bigcommerce.clientSecret) {
+    throw new Error('BC_CLIENT_SECRET is required to verify webhooks');
+  }
+  
+  const server = http.createServer(createWebhookHandler({
+    outputDir: options.outputDir || (profile && profile.outputDir)
+  }));
+  
+  return new Promise((resolve, reject) => {
+    server.on('error', reject);
+    server.listen(port, () => {
+      log(`Webhook server listening on port ${server.address().port}, path ${config.webhook.path}`);
+      log(`Items it creates or changes are backed up under run id ${getRunId()}`);
+      resolve(server);
+    });
+  });
+}
+
+// Run the script if called directly
+if (require.main === module) {
+  startWebhookServer({
+    port: getCliOption('port'),
+    outputDir: getCliOption('output-dir'),
+    profile: getCliOption('profile')
+  })
+    .catch((error) => {
+      log(`Webhook server failed to start: ${error.message}`, 'error');
+      process.exit(1);
+    });
+}
+
+module.exports = { startWebhookServer, createWebhookHandler, verifyWebhookSignature };
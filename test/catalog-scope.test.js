@@ -0,0 +1,109 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { readCSVFile, product, item, useMockApis } = require('./helpers');
+
+describe('catalog scope', () => {
+  const suite = useMockApis({
+    name: 'scope',
+    bigcommerce: {
+      products: [
+        product(1, 'SHIRT-1', { inventory_tracking: 'product', inventory_level: 5 }),
+        product(2, 'EBOOK-1', { type: 'digital' }),
+        product(3, 'OLD-1', { is_visible: false }),
+        product(4, 'WEB-1'),
+        product(5, 'LOOSE-1'),
+        product(6, 'SOLDOUT-1', { inventory_tracking: 'product', inventory_level: 0 }),
+        product(7, 'PREORDER-1', { availability: 'preorder' })
+      ],
+      channelAssignments: [
+        { product_id: 1, channel_id: 1 },
+        { product_id: 1, channel_id: 2 },
+        { product_id: 2, channel_id: 2 },
+        { product_id: 3, channel_id: 2 },
+        { product_id: 4, channel_id: 1 },
+        { product_id: 6, channel_id: 2 },
+        { product_id: 7, channel_id: 2 }
+      ]
+    },
+    avalara: {
+      items: [item(1, 'SHIRT-1'), item(2, 'EBOOK-1'), item(3, 'OLD-1'), item(4, 'GONE-1')]
+    },
+    env: {
+      BC_CHANNEL_IDS: '2',
+      BC_PRODUCT_TYPES: 'physical',
+      BC_INVENTORY_STATUS: 'in_stock',
+      SYNC_PROFILES_FILE: 'profiles.json'
+    },
+    // A profile of another company, so it doesn't take part in this company's orphan check
+    setup: ({ bigcommerceUrl, avalaraUrl }) => fs.writeFileSync('profiles.json', JSON.stringify({
+      invalid: {
+        bigcommerce: { baseUrl: `${bigcommerceUrl}/stores/teststore` },
+        avalara: { companyId: '8', baseUrl: avalaraUrl },
+        catalogScope: { visibility: 'everything' }
+      }
+    }))
+  });
+  
+  it('fetches only the products in the configured channels, types and stock', async () => {
+    await suite.runCli(['fetch-avalara']);
+    await suite.runCli(['fetch-bc']);
+    
+    const bcProducts = await readCSVFile('output/bc-products.csv');
+    assert.deepEqual(
+      bcProducts.map(row => [row.sku, row.channel_ids, row.inventory_status, row.availability]),
+      [['SHIRT-1', '1;2', 'in_stock', 'available'], ['PREORDER-1', '2', 'not_tracked', 'preorder']]
+    );
+    assert.equal(bcProducts[0].catalog_scope, 'channels 2; visible; any availability; physical; in stock');
+    
+    // Visibility and type are left to the API, and the products it leaves out listed after the others
+    const catalogRequest = suite.bigcommerce.requests.find(request => request.query.include === 'variants,custom_fields');
+    assert.equal(catalogRequest.query.is_visible, 'true');
+    assert.equal(catalogRequest.query.type, 'physical');
+    
+    const outOfScope = await readCSVFile('output/bc-out-of-scope.csv');
+    assert.deepEqual(
+      outOfScope.map(row => [row.sku, row.reason]),
+      [
+        ['WEB-1', 'not in channel 2'],
+        ['LOOSE-1', 'not assigned to any channel'],
+        ['SOLDOUT-1', 'out of stock'],
+        ['OLD-1', 'hidden'],
+        ['EBOOK-1', 'type digital']
+      ]
+    );
+  });
+  
+  it('records the scope in the reconciliation and keeps out of scope items from the orphans', async () => {
+    const summary = await suite.runCli(['reconcile']);
+    
+    assert.equal(summary.totalProducts, 2);
+    assert.equal(summary.outOfScope, 5);
+    
+    // Items of products outside the scope still have a BigCommerce product
+    const orphans = await readCSVFile('output/avalara-orphans.csv');
+    assert.deepEqual(orphans.map(row => row.item_code), ['GONE-1']);
+    
+    const report = fs.readFileSync('output/reconciliation-summary.txt', 'utf8');
+    assert.match(report, /Catalog Scope: channels 2; visible; any availability; physical; in stock/);
+    assert.match(report, /BigCommerce products out of scope: 5/);
+    assert.match(report, /BigCommerce products in no channel: 1/);
+  });
+  
+  it('fetches a new snapshot when the scope changes', async () => {
+    Object.assign(require('../config').catalogScope, { productTypes: [] });
+    const result = await suite.runCli(['fetch-bc', '--incremental']);
+    
+    assert.equal(result.skus, 3);
+    const snapshot = await readCSVFile('output/bc-products.csv');
+    assert.deepEqual(snapshot.map(row => row.sku), ['SHIRT-1', 'EBOOK-1', 'PREORDER-1']);
+    
+    const [run] = await suite.runCli(['history']);
+    assert.equal(run.mode, 'full');
+    assert.equal(run.summary.scope, 'channels 2; visible; any availability; physical and digital; in stock');
+  });
+  
+  it('rejects unknown scope values', async () => {
+    await assert.rejects(suite.runCli(['fetch-bc', '--profile', 'invalid']), /Invalid catalog scope visibility: everything/);
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { readCSVFile, product, item, useMockApis } = require('./helpers');
+const { createClassifier } = require('../utils');
+
+const UNCLASSIFIED = { itemGroup: '', category: '' };
+
+const RULES = [
+  { name: 'gift-cards', priority: 100, match: { name: 'gift ?card' }, itemGroup: 'Gift Cards', category: 'Gift Cards' },
+  { name: 'digital', priority: 50, match: { productType: 'digital' }, itemGroup: 'Digital Goods', category: 'Digital Products' },
+  { name: 'organic-cotton', priority: 20, match: { categoryPath: 'Apparel', customField: { name: 'material', value: 'organic cotton' } }, category: 'Organic Clothing' },
+  { name: 'apparel', priority: 10, match: { categoryPath: 'Apparel' }, itemGroup: 'Clothing', category: 'Clothing' },
+  { name: 'acme', priority: 10, match: { brand: 'Acme' }, itemGroup: 'Hardware', category: 'Tools' }
+];
+
+describe('classification rules', () => {
+  const suite = useMockApis({
+    name: 'classification',
+    bigcommerce: {
+      categories: [
+        { id: 1, parent_id: 0, name: 'Apparel' },
+        { id: 2, parent_id: 1, name: 'Shirts' },
+        { id: 3, parent_id: 0, name: 'Tools' }
+      ],
+      brands: [{ id: 5, name: 'Acme' }],
+      products: [
+        product(1, 'SHIRT-1', { categories: [2] }),
+        product(2, 'HAMMER-1', { categories: [3], brand_id: 5 }),
+        product(3, 'EBOOK-1', { type: 'digital' }),
+        product(4, 'MYSTERY-1'),
+        product(5, 'GIFTCARD-1', { name: 'Holiday Gift Card', categories: [2] }),
+        product(6, 'ORGANIC-1', { categories: [2] })
+      ],
+      customFields: { 6: [{ id: 1, name: 'material', value: 'Organic Cotton' }] }
+    },
+    avalara: {
+      items: [
+        item(1, 'HAMMER-1', { itemGroup: 'Hardware', category: '' }),
+        item(2, 'EBOOK-1', UNCLASSIFIED),
+        item(3, 'GIFTCARD-1', UNCLASSIFIED),
+        item(4, 'ORGANIC-1', UNCLASSIFIED)
+      ]
+    },
+    env: { CLASSIFICATION_RULES_FILE: 'classification-rules.json' },
+    setup: () => fs.writeFileSync('classification-rules.json', JSON.stringify(RULES))
+  });
+  
+  it('proposes the missing itemGroup and category in priority order', async () => {
+    await suite.runCli(['fetch-avalara']);
+    await suite.runCli(['fetch-bc']);
+    const summary = await suite.runCli(['reconcile']);
+    
+    const bcProducts = await readCSVFile('output/bc-products.csv');
+    assert.equal(bcProducts.find(row => row.sku === 'SHIRT-1').category_paths, 'Apparel > Shirts');
+    assert.equal(bcProducts.find(row => row.sku === 'HAMMER-1').brand_name, 'Acme');
+    assert.equal(bcProducts.find(row => row.sku === 'ORGANIC-1').custom_fields, 'material: Organic Cotton');
+    
+    const proposals = await readCSVFile('output/products-to-update.csv');
+    assert.deepEqual(
+      proposals.map(row => [row.sku, row.proposed_item_group, row.proposed_category, row.classification_rule]),
+      [
+        ['SHIRT-1', 'Clothing', 'Clothing', 'apparel'],
+        // Only the missing category is proposed
+        ['HAMMER-1', '', 'Tools', 'acme'],
+        ['EBOOK-1', 'Digital Goods', 'Digital Products', 'digital'],
+        ['MYSTERY-1', '', '', ''],
+        ['GIFTCARD-1', 'Gift Cards', 'Gift Cards', 'gift-cards'],
+        ['ORGANIC-1', 'Clothing', 'Organic Clothing', 'apparel, organic-cotton']
+      ]
+    );
+    
+    const unclassified = await readCSVFile('output/unclassified-products.csv');
+    assert.deepEqual(unclassified.map(row => [row.sku, row.unclassified_fields]), [['MYSTERY-1', 'itemGroup, category']]);
+    assert.equal(summary.classified, 5);
+    assert.equal(summary.unclassified, 1);
+  });
+  
+  it('plans the classification without changing items on a dry run', async () => {
+    const result = await suite.runCli(['classify', '--dry-run']);
+    
+    assert.deepEqual(result, { total: 4, success: 4, skipped: 0, errors: 0, unregistered: 1 });
+    assert.equal(suite.avalara.state.items.find(existing => existing.itemCode === 'EBOOK-1').itemGroup, '');
+    assert.equal(fs.existsSync('output/backups'), false);
+  });
+  
+  it('leaves items classified or deleted since the reconciliation out of a dry run', async () => {
+    const items = suite.avalara.state.items;
+    suite.avalara.state.items = items
+      .filter(existing => existing.itemCode !== 'ORGANIC-1')
+      .map(existing => existing.itemCode === 'GIFTCARD-1' ? { ...existing, itemGroup: 'Gift Cards', category: 'Gift Cards' } : existing);
+    
+    const result = await suite.runCli(['classify', '--dry-run']);
+    suite.avalara.state.items = items;
+    
+    assert.deepEqual(result, { total: 4, success: 2, skipped: 1, errors: 1, unregistered: 1 });
+    const classificationLog = await readCSVFile('output/classification-log.csv');
+    assert.deepEqual(
+      classificationLog.map(row => [row.sku, row.status, row.error_type]),
+      [['HAMMER-1', 'planned', ''], ['EBOOK-1', 'planned', ''], ['GIFTCARD-1', 'skipped', ''], ['ORGANIC-1', 'error', 'not_found']]
+    );
+  });
+  
+  it('fills in empty itemGroup and category values in Avalara', async () => {
+    const result = await suite.runCli(['classify']);
+    assert.deepEqual(result, { total: 4, success: 4, skipped: 0, errors: 0, unregistered: 1 });
+    
+    const classification = (itemCode) => {
+      const { itemGroup, category } = suite.avalara.state.items.find(existing => existing.itemCode === itemCode);
+      return [itemGroup, category];
+    };
+    
+    assert.deepEqual(classification('HAMMER-1'), ['Hardware', 'Tools']);
+    assert.deepEqual(classification('EBOOK-1'), ['Digital Goods', 'Digital Products']);
+    assert.deepEqual(classification('GIFTCARD-1'), ['Gift Cards', 'Gift Cards']);
+    assert.deepEqual(classification('ORGANIC-1'), ['Clothing', 'Organic Clothing']);
+  });
+  
+  it('rejects rules it cannot evaluate', () => {
+    assert.throws(() => createClassifier([{ match: { color: 'red' }, category: 'Red' }]), /Unknown condition in classification rule 1: color/);
+    assert.throws(() => createClassifier([{ name: 'empty', match: { brand: 'Acme' } }]), /rule "empty" sets neither itemGroup nor category/);
+  });
+});
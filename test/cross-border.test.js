@@ -0,0 +1,74 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { readCSVFile, product, item, useMockApis } = require('./helpers');
+
+describe('cross-border classification', () => {
+  // SHIRT-1 is ready for both countries, MUG-1 only for Canada and LAMP-1 has no item
+  const suite = useMockApis({
+    name: 'cross-border',
+    bigcommerce: {
+      products: [product(1, 'SHIRT-1', { price: 25 }), product(2, 'MUG-1', { price: 12.5 }), product(3, 'LAMP-1', { price: 40 })]
+    },
+    avalara: {
+      items: [
+        item(1, 'SHIRT-1', {
+          description: 'SHIRT-1 description',
+          classifications: [{ systemCode: 'CA', productCode: '6109100010' }, { systemCode: 'GB', productCode: '6109100000' }, { systemCode: 'AVATAXCODE', productCode: 'PC040100' }],
+          parameters: [{ name: 'CountryOfOrigin', value: 'PT' }, { name: 'NetWeight', value: '0.2', unit: 'kg' }]
+        }),
+        item(2, 'MUG-1', { classifications: [{ systemCode: 'CA', productCode: '6912000000' }], parameters: [] })
+      ]
+    },
+    env: { CROSS_BORDER_COUNTRIES: 'ca, gb' }
+  });
+  
+  it('fetches HS codes and parameters and flags items missing a destination', async () => {
+    await suite.runCli(['fetch-avalara']);
+    await suite.runCli(['fetch-bc']);
+    const summary = await suite.runCli(['reconcile']);
+    
+    const items = await readCSVFile('output/avalara-items.csv');
+    const shirt = items.find(row => row.itemCode === 'SHIRT-1');
+    assert.equal(shirt.hs_codes, 'CA: 6109100010; GB: 6109100000');
+    assert.equal(shirt.parameters, 'CountryOfOrigin: PT; NetWeight: 0.2 kg');
+    
+    const missing = await readCSVFile('output/missing-hs-codes.csv');
+    assert.deepEqual(missing.map(row => [row.sku, row.missing_countries]), [['MUG-1', 'GB']]);
+    assert.equal(summary.missingHSCodes, 1);
+  });
+  
+  it('exports one row per SKU and destination country for the broker', async () => {
+    const result = await suite.runCli(['export-cross-border']);
+    assert.deepEqual(result, { skus: 3, rows: 6, ready: 3, missingByCountry: { CA: 1, GB: 2 } });
+    
+    const rows = await readCSVFile('output/cross-border-export.csv');
+    assert.deepEqual(
+      rows.map(row => [row.sku, row.destination_country, row.hs_code, row.ready]),
+      [
+        ['SHIRT-1', 'CA', '6109100010', 'yes'],
+        ['SHIRT-1', 'GB', '6109100000', 'yes'],
+        ['MUG-1', 'CA', '6912000000', 'yes'],
+        ['MUG-1', 'GB', '', 'no'],
+        ['LAMP-1', 'CA', '', 'no'],
+        ['LAMP-1', 'GB', '', 'no']
+      ]
+    );
+    
+    const shirt = rows[0];
+    assert.equal(shirt.description, 'SHIRT-1 description');
+    assert.equal(shirt.country_of_origin, 'PT');
+    assert.equal(shirt.weight, '0.2 kg');
+    assert.equal(shirt.unit_value, '25');
+    assert.equal(rows[4].issue, 'Not registered in Avalara');
+    
+    const exportStep = JSON.parse(fs.readFileSync('output/run-report.json', 'utf8')).steps.find(step => step.step === 'export-cross-border');
+    assert.equal(exportStep.status, 'success');
+    assert.deepEqual(exportStep.counts, result);
+  });
+  
+  it('exports only the countries asked for', async () => {
+    const result = await suite.runCli(['export-cross-border', '--countries', 'GB']);
+    assert.deepEqual(result, { skus: 3, rows: 3, ready: 1, missingByCountry: { GB: 2 } });
+  });
+});
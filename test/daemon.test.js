@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const { product, item, useMockApis } = require('./helpers');
+const { parseCronExpression, getNextRun } = require('../scheduler');
+
+function readReport() {
+  return JSON.parse(fs.readFileSync('output/run-report.json', 'utf8'));
+}
+
+describe('cron schedules', () => {
+  it('finds the next matching minute in local time', () => {
+    // Saturday 6 January 2024, 12:00
+    const saturday = new Date(2024, 0, 6, 12, 0);
+    
+    assert.deepEqual(getNextRun('*/15 8-18 * * 1-5', saturday), new Date(2024, 0, 8, 8, 0));
+    assert.deepEqual(getNextRun('0 2 * * *', saturday), new Date(2024, 0, 7, 2, 0));
+    assert.deepEqual(getNextRun('30 12 1,15 * *', saturday), new Date(2024, 0, 15, 12, 30));
+    assert.deepEqual(getNextRun('0 0 * * 7', saturday), new Date(2024, 0, 7, 0, 0));
+  });
+  
+  it('rejects expressions it cannot read or that never match', () => {
+    assert.throws(() => parseCronExpression('0 2 * *'), /expected 5 fields/);
+    assert.throws(() => parseCronExpression('61 * * * *'), /minute "61" is outside 0-59/);
+    assert.throws(() => parseCronExpression('0 noon * * *'), /cannot read hour "noon"/);
+    assert.throws(() => getNextRun('0 0 30 2 *'), /never matches/);
+  });
+});
+
+describe('guarded and scheduled sync-all', () => {
+  const logLines = [];
+  const suite = useMockApis({
+    name: 'daemon',
+    bigcommerce: { products: Array.from({ length: 10 }, (_, i) => product(i + 1, `P-${i + 1}`, { name: `Product ${i + 1}` })) },
+    avalara: { items: Array.from({ length: 8 }, (_, i) => item(i + 1, `P-${i + 1}`, { description: `Product ${i + 1}` })) },
+    onLog: (line) => logLines.push(line)
+  });
+  
+  it('updates when there is no earlier reconciliation to compare with', async () => {
+    const result = await suite.runCli(['sync-all', '--guard']);
+    
+    assert.equal(result.reconciliation.missingInAvalara, 2);
+    assert.equal(result.update.success, 2);
+    assert.deepEqual(readReport().steps.map(step => step.step), ['fetch-avalara', 'fetch-bc', 'reconcile', 'guard', 'update']);
+    assert.equal(fs.existsSync('output/sync.lock'), false);
+  });
+  
+  it('skips the update when the Avalara fetch comes back truncated', async () => {
+    // Only the first page came back
+    const items = suite.avalara.state.items;
+    suite.avalara.state.items = items.slice(0, 2);
+    
+    const result = await suite.runCli(['sync-all', '--guard']);
+    suite.avalara.state.items = items;
+    
+    assert.equal(result.update.guarded, true);
+    assert.deepEqual(result.update.anomalies, [
+      '80.0% of the catalog is missing from Avalara, up from 20.0%',
+      'Avalara items dropped by 75.0%, from 8 to 2'
+    ]);
+    
+    const report = readReport();
+    assert.deepEqual(report.steps.map(step => step.step), ['fetch-avalara', 'fetch-bc', 'reconcile', 'guard']);
+    assert.deepEqual(report.errors.byType, { anomalous_reconciliation: 2 });
+  });
+  
+  it('refuses to start while another sync holds the lock', async () => {
+    fs.writeFileSync('output/sync.lock', JSON.stringify({ pid: process.pid, host: os.hostname(), runId: 'other-run', startedAt: '2024-01-01T02:00:00Z' }));
+    
+    await assert.rejects(suite.runCli(['sync-all']), /Another sync holds .*sync.lock \(pid \d+ on .*, run other-run/);
+    fs.unlinkSync('output/sync.lock');
+  });
+  
+  it('takes over a lock left behind by a process that has exited', async () => {
+    const exited = require('child_process').spawnSync(process.execPath, ['-e', '0']).pid;
+    fs.writeFileSync('output/sync.lock', JSON.stringify({ pid: exited, host: os.hostname(), runId: 'crashed-run', startedAt: '2024-01-01T02:00:00Z' }));
+    
+    await suite.runCli(['sync-all', '--dry-run']);
+    assert.equal(fs.existsSync('output/sync.lock'), false);
+  });
+  
+  it('runs sync-all on schedule until it is stopped', async () => {
+    logLines.length = 0;
+    
+    // Stop once the first run is done, as a SIGTERM from the process manager would
+    console.log.mock.mockImplementation((line) => {
+      logLines.push(line);
+      if (/Scheduled sync .* completed/.test(line)) {
+        process.emit('SIGTERM');
+      }
+    });
+    
+    const result = await suite.runCli(['daemon', '--run-now', '--schedule', '0 3 * * *']);
+    
+    assert.deepEqual(result, { runs: 1, failures: 0 });
+    assert.ok(logLines.some(line => /Sync daemon started with schedule "0 3 \* \* \*"/.test(line)));
+    assert.ok(logLines.some(line => /Next sync at/.test(line)));
+    assert.deepEqual(readReport().steps.map(step => step.step), ['fetch-avalara', 'fetch-bc', 'reconcile', 'guard', 'update']);
+    assert.equal(process.listenerCount('SIGTERM'), 0);
+  });
+  
+  it('rejects an invalid schedule', async () => {
+    await assert.rejects(suite.runCli(['daemon', '--schedule', '0 25 * * *']), /hour "25" is outside 0-23/);
+  });
+});
@@ -0,0 +1,233 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { readCSVFile, product, item, useMockApis } = require('./helpers');
+
+const COMPANY_ID = '42';
+const PRODUCT_COUNT = 260; // More than one BigCommerce page of 250
+const REGISTERED_COUNT = 120; // More than one Avalara page of 100
+
+function skuFor(index) {
+  return `P-${String(index).padStart(3, '0')}`;
+}
+
+function buildFixtures() {
+  const products = [];
+  const items = [];
+  
+  for (let i = 1; i <= PRODUCT_COUNT; i++) {
+    products.push(product(i, skuFor(i), { name: `Product ${i}`, categories: [i > 250 ? 7 : 1], brand_id: 3 }));
+  }
+  
+  // Hidden products are only listed as out of scope
+  products.push(product(900, 'HIDDEN-1', { name: 'Hidden', is_visible: false }));
+  
+  products.push(product(901, 'SHIRT', {
+    name: 'Shirt',
+    variants: [
+      { id: 9011, sku: 'SHIRT-RED', option_values: [{ option_display_name: 'Color', label: 'Red' }] },
+      { id: 9012, sku: 'SHIRT-BLU', option_values: [{ option_display_name: 'Color', label: 'Blue' }] }
+    ]
+  }));
+  
+  for (let i = 1; i <= REGISTERED_COUNT; i++) {
+    items.push(item(i, skuFor(i), { description: `Product ${i}` }));
+  }
+  
+  // Incomplete item, drifted description, variant SKU and an item no product matches
+  items[1].category = '';
+  items[2].description = 'Old name';
+  items.push(item(500, 'SHIRT-RED', { description: 'Shirt (Color: Red)' }));
+  items.push(item(501, 'ORPHAN-1', { description: 'Discontinued' }));
+  
+  return { products, items };
+}
+
+describe('fetch → reconcile → update against mock APIs', () => {
+  const { products, items } = buildFixtures();
+  const suite = useMockApis({
+    name: 'sync',
+    bigcommerce: { products },
+    avalara: { companyId: COMPANY_ID, items },
+    env: {
+      AVALARA_DEFAULT_ITEM_GROUP: 'Goods',
+      AVALARA_DEFAULT_CATEGORY: 'General',
+      API_MAX_RETRIES: '2',
+      API_RETRY_BASE_DELAY_MS: '5',
+      API_RETRY_MAX_DELAY_MS: '20'
+    }
+  });
+  let scripts;
+  
+  // Config reads the environment when first required
+  before(() => {
+    scripts = {
+      ...require('../scripts/fetch-avalara-items'),
+      ...require('../scripts/fetch-bc-products'),
+      ...require('../scripts/reconcile-products'),
+      ...require('../scripts/update-products')
+    };
+  });
+  
+  it('fetches every page of both catalogs', async () => {
+    const fetchedItems = await scripts.fetchAvalaraItems();
+    const fetchedProducts = await scripts.fetchBigCommerceProducts();
+    
+    const avalaraItems = await readCSVFile('output/avalara-items.csv');
+    const bcProducts = await readCSVFile('output/bc-products.csv');
+    
+    // The rows are returned as well as written
+    assert.deepEqual(fetchedItems.map(row => row.itemCode), avalaraItems.map(row => row.itemCode));
+    assert.deepEqual(fetchedProducts.map(row => row.sku), bcProducts.map(row => row.sku));
+    assert.equal(avalaraItems.length, REGISTERED_COUNT + 2);
+    assert.equal(bcProducts.length, PRODUCT_COUNT + 3);
+    assert.ok(!bcProducts.some(row => row.sku === 'HIDDEN-1'));
+    assert.deepEqual(
+      bcProducts.filter(row => row.id === '901').map(row => row.sku),
+      ['SHIRT', 'SHIRT-RED', 'SHIRT-BLU']
+    );
+    assert.ok(suite.bigcommerce.requests.some(request => request.query.page === '2'));
+    assert.ok(suite.avalara.requests.some(request => request.query.$skip === '100'));
+  });
+  
+  it('reconciles missing products, missing data, drift and orphans', async () => {
+    await scripts.reconcileProducts();
+    
+    const toUpdate = await readCSVFile('output/products-to-update.csv');
+    const bySku = new Map(toUpdate.map(row => [row.sku, row]));
+    
+    assert.equal(bySku.get(skuFor(PRODUCT_COUNT)).exists_in_avalara, 'no');
+    assert.equal(bySku.get('SHIRT-BLU').exists_in_avalara, 'no');
+    assert.equal(bySku.get(skuFor(2)).is_missing_data, 'yes');
+    assert.equal(bySku.get(skuFor(2)).missing_fields, 'category');
+    assert.equal(bySku.get(skuFor(3)).has_drift, 'yes');
+    assert.equal(bySku.get(skuFor(3)).description_before, 'Old name');
+    assert.equal(bySku.get(skuFor(3)).description_after, 'Product 3');
+    
+    const needingUpdate = toUpdate.filter(row =>
+      row.exists_in_avalara === 'no' || row.is_missing_data === 'yes' || row.has_drift === 'yes'
+    );
+    // Unregistered products, both fixes, SHIRT and SHIRT-BLU
+    assert.equal(needingUpdate.length, (PRODUCT_COUNT - REGISTERED_COUNT) + 2 + 2);
+    
+    const orphans = await readCSVFile('output/avalara-orphans.csv');
+    assert.deepEqual(orphans.map(orphan => orphan.item_code), ['ORPHAN-1']);
+    assert.equal(fs.existsSync('output/reconcile-index.db'), false);
+  });
+  
+  it('limits an update to the selected SKUs', async () => {
+    const result = await suite.runCli(['update', '--dry-run', '--sku', `${skuFor(PRODUCT_COUNT)},SHIRT-BLU`]);
+    
+    assert.equal(result.total, 2);
+    const plan = await readCSVFile('output/update-plan.csv');
+    assert.deepEqual(plan.map(row => row.sku).sort(), [skuFor(PRODUCT_COUNT), 'SHIRT-BLU']);
+  });
+  
+  it('adds the sync custom field once per product with the custom-field strategy', async () => {
+    const result = await scripts.updateProducts({ strategy: 'custom-field' });
+    
+    assert.equal(result.errors, 0);
+    assert.deepEqual(suite.bigcommerce.state.customFields['2'].map(field => field.name), ['avalara_sync']);
+    assert.equal(suite.bigcommerce.state.customFields['901'].length, 1);
+    assert.equal(suite.bigcommerce.state.customFields['1'], undefined);
+    // Drift alone is left to the direct strategy
+    assert.equal(suite.bigcommerce.state.customFields['3'], undefined);
+    
+    const syncLog = await readCSVFile('output/product-sync-log.csv');
+    assert.equal(syncLog.length, result.total);
+    
+    // The variant is logged as skipped rather than repeating its parent's outcome
+    const bySku = new Map(syncLog.map(row => [row.sku, row]));
+    assert.equal(bySku.get('SHIRT').custom_field_added, 'yes');
+    assert.equal(bySku.get('SHIRT-BLU').status, 'skipped');
+    assert.equal(bySku.get('SHIRT-BLU').custom_field_added, 'no');
+    assert.equal(bySku.get('SHIRT-BLU').error_message, 'Handled by parent product 901');
+  });
+  
+  it('creates and repairs Avalara items with the direct strategy', async () => {
+    const result = await scripts.updateProducts({ strategy: 'direct' });
+    
+    assert.equal(result.errors, 0);
+    
+    const items = new Map(suite.avalara.state.items.map(item => [item.itemCode, item]));
+    assert.equal(items.size, PRODUCT_COUNT + 4);
+    assert.equal(items.get('SHIRT-BLU').description, 'Shirt (Color: Blue)');
+    assert.equal(items.get(skuFor(2)).category, 'General');
+    assert.equal(items.get(skuFor(3)).description, 'Product 3');
+    
+    // A fresh reconciliation finds nothing left to do
+    await scripts.fetchAvalaraItems();
+    await scripts.reconcileProducts();
+    const toUpdate = await readCSVFile('output/products-to-update.csv');
+    assert.deepEqual(
+      toUpdate.filter(row => row.exists_in_avalara === 'no' || row.is_missing_data === 'yes' || row.has_drift === 'yes'),
+      []
+    );
+  });
+  
+  it('retries 429 and 5xx responses without losing pages', async () => {
+    suite.bigcommerce.injectFailure({
+      path: '/v3/catalog/products',
+      status: 429,
+      headers: { 'X-Rate-Limit-Time-Reset-Ms': '10' }
+    });
+    suite.bigcommerce.injectFailure({ path: '/v3/catalog/products', status: 503 });
+    suite.avalara.injectFailure({ path: '/items', status: 429, headers: { 'Retry-After': '0' } });
+    suite.avalara.injectFailure({ path: '/items', status: 500 });
+    
+    const productListRequests = () => suite.bigcommerce.requests.filter(request => request.path.endsWith('/v3/catalog/products')).length;
+    const bigcommerceRequests = productListRequests();
+    await scripts.fetchBigCommerceProducts();
+    await scripts.fetchAvalaraItems();
+    
+    const bcProducts = await readCSVFile('output/bc-products.csv');
+    const avalaraItems = await readCSVFile('output/avalara-items.csv');
+    
+    assert.equal(bcProducts.length, PRODUCT_COUNT + 3);
+    assert.equal(avalaraItems.length, PRODUCT_COUNT + 4);
+    // Two pages, the list of hidden products and the two retried requests
+    assert.equal(productListRequests() - bigcommerceRequests, 5);
+  });
+  
+  it('fails instead of writing a partial catalog when retries run out', async () => {
+    const before = fs.readFileSync('output/bc-products.csv', 'utf8');
+    
+    suite.bigcommerce.injectFailure({ path: '/v3/catalog/products', status: 500, times: 3 });
+    
+    await assert.rejects(scripts.fetchBigCommerceProducts(), /500/);
+    assert.equal(fs.readFileSync('output/bc-products.csv', 'utf8'), before);
+    assert.equal(fs.existsSync('output/bc-products.csv.tmp'), false);
+  });
+  
+  it('fetches and reconciles a selection into its own output directory', async () => {
+    await suite.runCli(['fetch-bc', '--output-dir', 'subset', '--category-id', '7', '--limit', '2']);
+    
+    const bcProducts = await readCSVFile('subset/bc-products.csv');
+    assert.deepEqual(bcProducts.map(row => row.sku), [skuFor(251), skuFor(252)]);
+    
+    // The subset snapshot is partial, so the rest of Avalara isn't reported as orphaned
+    fs.copyFileSync('output/avalara-items.csv', 'subset/avalara-items.csv');
+    const summary = await suite.runCli(['reconcile', '--output-dir', 'subset']);
+    
+    assert.equal(summary.totalProducts, 2);
+    assert.equal(summary.orphans, 0);
+  });
+  
+  it('rejects options a command does not use', async () => {
+    await assert.rejects(suite.runCli(['fetch-avalara', '--sku', 'P-001']), /Unknown option for fetch-avalara: --sku/);
+  });
+  
+  it('prints the missing variables without a stack trace when a script runs without a .env', () => {
+    const { spawnSync } = require('child_process');
+    const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'reconcile-products.js')], {
+      cwd: suite.workDir,
+      env: { PATH: process.env.PATH },
+      encoding: 'utf8'
+    });
+    
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Missing required environment variables: BC_STORE_HASH, BC_ACCESS_TOKEN, AVALARA_TOKEN, AVALARA_COMPANY_ID. Please copy env.example to .env/);
+    assert.doesNotMatch(result.stderr, /^\s+at /m);
+  });
+});
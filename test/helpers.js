@@ -0,0 +1,97 @@
+const { before, after, mock } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const csv = require('csv-parser');
+const { createBigCommerceMock } = require('./mocks/bigcommerce-server');
+const { createAvalaraMock } = require('./mocks/avalara-server');
+
+function readCSVFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const results = [];
+    fs.createReadStream(filePath)
+      .pipe(csv())
+      .on('data', (data) => results.push(data))
+      .on('end', () => resolve(results))
+      .on('error', (error) => reject(error));
+  });
+}
+
+// A visible physical BigCommerce product without variants, named after its SKU
+function product(id, sku, fields = {}) {
+  return { id, name: sku, sku, type: 'physical', is_visible: true, date_modified: '2024-01-01T00:00:00Z', variants: [], ...fields };
+}
+
+// A classified Avalara item described by its itemCode
+function item(id, itemCode, fields = {}) {
+  return { id, itemCode, description: itemCode, itemGroup: 'Goods', category: 'General', modifiedDate: '2024-01-01T00:00:00Z', ...fields };
+}
+
+// Run the suite this is called in from a scratch directory, since the scripts write to
+// ./output. Before its tests, `setup` writes fixture files into the directory, `env` (an
+// object, or a function of the suite) is set and the CLI is loaded, so config reads the
+// test environment. Console output goes to `onLog` instead of the terminal.
+function useTestDirectory(name, { env = {}, setup, onLog = () => {} } = {}, suite = {}) {
+  const originalCwd = process.cwd();
+  
+  before(async () => {
+    suite.workDir = fs.mkdtempSync(path.join(os.tmpdir(), `bc-avalara-${name}-`));
+    process.chdir(suite.workDir);
+    
+    if (setup) {
+      await setup(suite);
+    }
+    
+    Object.assign(process.env, typeof env === 'function' ? env(suite) : env);
+    
+    ({ runCli: suite.runCli } = require('../bin/bc-avalara-sync'));
+    
+    mock.method(console, 'log', onLog);
+    mock.method(console, 'error', onLog);
+  });
+  
+  after(() => {
+    mock.restoreAll();
+    require('../run-history').closeHistory();
+    process.chdir(originalCwd);
+    fs.rmSync(suite.workDir, { recursive: true, force: true });
+  });
+  
+  return suite;
+}
+
+// Like useTestDirectory, against a BigCommerce store and an Avalara company served by the
+// mock APIs. `bigcommerce` and `avalara` are the fixtures of the mocks; the suite holds
+// the mocks and their URLs.
+function useMockApis({ name, bigcommerce = {}, avalara = {}, env = {}, setup, onLog } = {}) {
+  const suite = {};
+  const companyId = avalara.companyId || '7';
+  
+  before(async () => {
+    suite.bigcommerce = createBigCommerceMock(bigcommerce);
+    suite.avalara = createAvalaraMock({ ...avalara, companyId });
+    suite.bigcommerceUrl = await suite.bigcommerce.listen();
+    suite.avalaraUrl = await suite.avalara.listen();
+  });
+  
+  useTestDirectory(name, {
+    env: () => ({
+      BC_STORE_HASH: 'teststore',
+      BC_ACCESS_TOKEN: 'test-token',
+      BC_API_BASE_URL: `${suite.bigcommerceUrl}/stores/teststore`,
+      AVALARA_TOKEN: 'test-token',
+      AVALARA_COMPANY_ID: companyId,
+      AVALARA_BASE_URL: suite.avalaraUrl,
+      API_MAX_RETRIES: '0',
+      ...(typeof env === 'function' ? env(suite) : env)
+    }),
+    setup,
+    onLog
+  }, suite);
+  
+  after(() => Promise.all([suite.bigcommerce.close(), suite.avalara.close()]));
+  
+  return suite;
+}
+
+module.exports = { readCSVFile, product, item, useTestDirectory, useMockApis };
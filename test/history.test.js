@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { readCSVFile, product, item, useMockApis } = require('./helpers');
+
+describe('run history', () => {
+  // COMPLETE-1 is fine, INCOMPLETE-1 has no category and MISSING-1 has no item
+  const suite = useMockApis({
+    name: 'history',
+    bigcommerce: {
+      products: [product(1, 'COMPLETE-1'), product(2, 'INCOMPLETE-1'), product(3, 'MISSING-1')]
+    },
+    avalara: {
+      items: [item(1, 'COMPLETE-1'), item(2, 'INCOMPLETE-1', { category: '' })]
+    }
+  });
+  
+  const syncAndReconcile = async () => {
+    await suite.runCli(['fetch-avalara']);
+    await suite.runCli(['fetch-bc']);
+    return suite.runCli(['reconcile']);
+  };
+  
+  it('records every fetch and reconcile run', async () => {
+    const reconciliation = await syncAndReconcile();
+    
+    const runs = await suite.runCli(['history']);
+    assert.deepEqual(
+      runs.map(run => [run.id, run.type, run.status]),
+      [[3, 'reconcile', 'success'], [2, 'fetch-bc', 'success'], [1, 'fetch-avalara', 'success']]
+    );
+    assert.equal(reconciliation.runId, 3);
+    assert.equal(runs[0].summary.productsToUpdate, 2);
+    assert.equal(runs[1].summary.skus, 3);
+  });
+  
+  it('diffs the latest reconciliation against the previous one', async () => {
+    // INCOMPLETE-1 gets its category, NEW-1 is added without an Avalara item
+    suite.avalara.state.items.find(existing => existing.itemCode === 'INCOMPLETE-1').category = 'General';
+    suite.bigcommerce.state.products.push(product(4, 'NEW-1'));
+    
+    await syncAndReconcile();
+    const diff = await suite.runCli(['diff']);
+    
+    assert.deepEqual(diff, { fromRunId: 3, toRunId: 6, newlyMissing: 1, fixed: 1, stillMissing: 1 });
+    
+    const rows = await readCSVFile('output/reconciliation-diff.csv');
+    assert.deepEqual(
+      rows.map(row => [row.change, row.sku, row.first_flagged_run]),
+      [['newly_missing', 'NEW-1', '6'], ['fixed', 'INCOMPLETE-1', ''], ['still_missing', 'MISSING-1', '3']]
+    );
+  });
+  
+  it('rejects runs that are not reconciliations', async () => {
+    await assert.rejects(suite.runCli(['diff', '--from', '1']), /Run 1 is a fetch-avalara run, not a reconciliation/);
+    await assert.rejects(suite.runCli(['diff', '--to', '99']), /Run 99 not found/);
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { readCSVFile, product, item, useMockApis } = require('./helpers');
+
+const IDS = [1, 2, 3, 4];
+
+async function readSkus() {
+  return {
+    products: (await readCSVFile('output/bc-products.csv')).map(row => row.sku),
+    items: (await readCSVFile('output/avalara-items.csv')).map(row => row.itemCode)
+  };
+}
+
+describe('incremental fetches', () => {
+  const suite = useMockApis({
+    name: 'incremental',
+    bigcommerce: { products: IDS.map(id => product(id, `P-${id}`, { name: `Product ${id}` })) },
+    avalara: { items: IDS.map(id => item(id, `P-${id}`, { description: `Product ${id}` })) },
+    env: { SYNC_FULL_FETCH_EVERY: '2' }
+  });
+  
+  before(async () => {
+    await suite.runCli(['fetch-avalara']);
+    await suite.runCli(['fetch-bc']);
+  });
+  
+  it('drops deleted products and items in the full fetch that follows SYNC_FULL_FETCH_EVERY incremental ones', async () => {
+    const later = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const fetchIncremental = async () => {
+      await suite.runCli(['fetch-avalara', '--incremental']);
+      await suite.runCli(['fetch-bc', '--incremental']);
+      return JSON.parse(fs.readFileSync('output/sync-state.json', 'utf8'));
+    };
+    
+    await fetchIncremental();
+    
+    // Deleted between two incremental runs: the changes alone don't show it
+    suite.bigcommerce.state.products = suite.bigcommerce.state.products.filter(existing => existing.id !== 2);
+    suite.avalara.state.items = suite.avalara.state.items.filter(existing => existing.id !== 3);
+    Object.assign(suite.bigcommerce.state.products[0], { name: 'Renamed 1', date_modified: later });
+    
+    let state = await fetchIncremental();
+    assert.deepEqual([state.bigcommerce.mode, state.bigcommerce.incrementalRuns], ['incremental', 2]);
+    assert.deepEqual(await readSkus(), { products: ['P-2', 'P-3', 'P-4', 'P-1'], items: ['P-1', 'P-2', 'P-3', 'P-4'] });
+    
+    state = await fetchIncremental();
+    assert.deepEqual([state.bigcommerce.mode, state.bigcommerce.incrementalRuns], ['full', 0]);
+    assert.deepEqual([state.avalara.mode, state.avalara.incrementalRuns], ['full', 0]);
+    assert.deepEqual(await readSkus(), { products: ['P-1', 'P-3', 'P-4'], items: ['P-1', 'P-2', 'P-4'] });
+    
+    const reconciliation = await suite.runCli(['reconcile']);
+    assert.equal(reconciliation.missingInAvalara, 1);
+    const orphans = await readCSVFile('output/avalara-orphans.csv');
+    assert.deepEqual(orphans.map(orphan => orphan.item_code), ['P-2']);
+    
+    // The count starts again after the full fetch
+    state = await fetchIncremental();
+    assert.deepEqual([state.bigcommerce.mode, state.bigcommerce.incrementalRuns], ['incremental', 1]);
+  });
+});
@@ -0,0 +1,137 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { readCSVFile, product, item, useMockApis } = require('./helpers');
+
+// Enough products, variants and items that every CSV, page and index crosses the
+// 1000-row batches the scripts stream in
+const PRODUCT_COUNT = 1300;
+
+function skuFor(id) {
+  return `L-${String(id).padStart(4, '0')}`;
+}
+
+// Every 100th product has two variants; product 1250 reuses the SKU of product 5 in lower case
+function catalogProduct(id) {
+  const sku = id === 1250 ? 'l-0005' : skuFor(id);
+  return product(id, sku, {
+    name: `Product ${id}`,
+    variants: id % 100 === 0
+      ? ['A', 'B'].map((label, i) => ({ id: id * 10 + i, sku: `${sku}-${label}`, option_values: [{ option_display_name: 'Size', label }] }))
+      : []
+  });
+}
+
+function catalogItem(id, itemCode, fields = {}) {
+  return item(id, itemCode, { description: `Product ${id}`, ...fields });
+}
+
+// Every 7th product is unregistered and every 11th lacks a category. Orphans sit at the
+// start, on the 1000-item page boundary and at the end, and L-0003 is registered again
+// at the end without a category.
+function items() {
+  const registered = [];
+  for (let id = 1; id <= PRODUCT_COUNT; id++) {
+    if (id % 7 !== 0 && id !== 1250) {
+      registered.push(catalogItem(id, skuFor(id), { category: id % 11 === 0 ? '' : 'General' }));
+    }
+  }
+  registered.unshift(catalogItem(2001, 'GONE-1'));
+  registered.splice(999, 0, catalogItem(2002, 'GONE-2'));
+  registered.push(catalogItem(2003, 'GONE-3'), catalogItem(2004, 'l-0003', { description: 'Product 3', category: '' }));
+  return registered;
+}
+
+// The SKU rows of the catalog in order, with the product whose item they match
+function catalogRows(products) {
+  return products.flatMap(({ id, name, sku, variants }) => [
+    { sku, name, itemId: id === 1250 ? 5 : id },
+    ...variants.map(variant => ({ sku: variant.sku, name, itemId: null }))
+  ]);
+}
+
+describe('catalogs larger than a batch', () => {
+  const products = Array.from({ length: PRODUCT_COUNT }, (_, i) => catalogProduct(i + 1));
+  const suite = useMockApis({
+    name: 'large',
+    bigcommerce: {
+      products,
+      // Every product is in channel 1 and every 3rd in channel 2 as well, listed after all of channel 1
+      channelAssignments: [
+        ...products.map(({ id }) => ({ product_id: id, channel_id: 1 })),
+        ...products.filter(({ id }) => id % 3 === 0).map(({ id }) => ({ product_id: id, channel_id: 2 }))
+      ]
+    },
+    avalara: { items: items() }
+  });
+  
+  it('writes every page of both catalogs in order', async () => {
+    const avalaraFetch = await suite.runCli(['fetch-avalara']);
+    const bcFetch = await suite.runCli(['fetch-bc']);
+    
+    const avalaraItems = await readCSVFile('output/avalara-items.csv');
+    assert.equal(avalaraFetch.items, suite.avalara.state.items.length);
+    assert.deepEqual(avalaraItems.map(row => row.itemCode), suite.avalara.state.items.map(existing => existing.itemCode));
+    
+    const bcProducts = await readCSVFile('output/bc-products.csv');
+    assert.equal(bcFetch.skus, PRODUCT_COUNT + 26);
+    assert.deepEqual(bcProducts.map(row => row.sku), catalogRows(suite.bigcommerce.state.products).map(row => row.sku));
+    assert.deepEqual(
+      ['1', '3', '1200', '1298'].map(id => bcProducts.find(row => row.id === id).channel_ids),
+      ['1', '1;2', '1;2', '1']
+    );
+    
+    assert.deepEqual(fs.readdirSync('output').filter(name => /\.(tmp|jsonl|db)$/.test(name) && name !== 'history.db'), []);
+  });
+  
+  it('reconciles across batch boundaries', async () => {
+    const reconciliation = await suite.runCli(['reconcile']);
+    
+    const expected = catalogRows(suite.bigcommerce.state.products).filter(({ name, itemId }) =>
+      !itemId || itemId % 7 === 0 || itemId % 11 === 0 || itemId === 3 || name !== `Product ${itemId}`
+    );
+    const toUpdate = await readCSVFile('output/products-to-update.csv');
+    assert.deepEqual(toUpdate.map(row => row.sku), expected.map(row => row.sku));
+    assert.equal(reconciliation.productsToUpdate, expected.length);
+    
+    // The later of the two L-0003 items is the one matched
+    assert.equal(toUpdate.find(row => row.sku === 'L-0003').avalara_item_id, '2004');
+    assert.equal(toUpdate.find(row => row.sku === 'l-0005').drift_fields, 'description');
+    
+    const orphans = await readCSVFile('output/avalara-orphans.csv');
+    assert.deepEqual(orphans.map(orphan => orphan.item_code), ['GONE-1', 'GONE-2', 'GONE-3']);
+    
+    const collisions = await readCSVFile('output/sku-collisions.csv');
+    assert.deepEqual(
+      collisions.map(row => [row.normalized_sku, row.source, row.skus, row.ids]),
+      [['l-0005', 'bigcommerce', 'L-0005 | l-0005', '5 | 1250'], ['l-0003', 'avalara', 'L-0003 | l-0003', '3 | 2004']]
+    );
+    
+    assert.equal(fs.existsSync('output/reconcile-index.db'), false);
+  });
+  
+  it('plans an update of every flagged row', async () => {
+    const toUpdate = await readCSVFile('output/products-to-update.csv');
+    const result = await suite.runCli(['update', '--dry-run', '--strategy', 'direct']);
+    
+    const plan = await readCSVFile('output/update-plan.csv');
+    assert.equal(result.total, toUpdate.length);
+    assert.deepEqual(plan.map(row => row.sku).sort(), toUpdate.map(row => row.sku).sort());
+  });
+  
+  it('merges changed products into a snapshot larger than a batch', async () => {
+    const later = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    [5, 1200].forEach(id => Object.assign(suite.bigcommerce.state.products[id - 1], { name: `Changed ${id}`, date_modified: later }));
+    
+    await suite.runCli(['fetch-bc', '--incremental']);
+    
+    // Rows of changed products move to the end of the snapshot
+    const rows = catalogRows(suite.bigcommerce.state.products);
+    const changed = rows.filter(row => row.name.startsWith('Changed'));
+    const bcProducts = await readCSVFile('output/bc-products.csv');
+    assert.deepEqual(
+      bcProducts.map(row => [row.sku, row.name]),
+      [...rows.filter(row => !changed.includes(row)), ...changed].map(row => [row.sku, row.name])
+    );
+  });
+});
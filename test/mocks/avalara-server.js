@@ -0,0 +1,190 @@
+const { createMockServer } = require('./mock-server');
+
+const MAX_PAGE_SIZE = 1000;
+
+// A few of the AvaTax system tax codes, served by the definitions endpoint
+const DEFAULT_TAX_CODES = [
+  { id: 1, taxCode: 'P0000000', taxCodeTypeId: 'P', description: 'Tangible personal property', parentTaxCode: '', isActive: true },
+  { id: 2, taxCode: 'PC040100', taxCodeTypeId: 'P', description: 'Clothing and related products (B2C)', parentTaxCode: 'PC040000', isActive: true },
+  { id: 3, taxCode: 'D0000000', taxCodeTypeId: 'D', description: 'Digital goods', parentTaxCode: '', isActive: true }
+];
+
+// Parse the small subset of OData $filter expressions the sync scripts send
+function matchesFilter(item, filter) {
+  if (!filter) {
+    return true;
+  }
+  
+  return filter.split(/\s+and\s+/i).every(clause => {
+    const match = clause.match(/^(\w+)\s+(eq|gt)\s+'((?:[^']|'')*)'$/);
+    if (!match) {
+      throw new Error(`Unsupported $filter clause: ${clause}`);
+    }
+    
+    const [, field, operator, rawValue] = match;
+    const value = rawValue.replace(/''/g, "'");
+    
+    if (operator === 'eq') {
+      return String(item[field] ?? '') === value;
+    }
+    return new Date(item[field]) > new Date(value);
+  });
+}
+
+function errorBody(code, message) {
+  return { error: { code, message } };
+}
+
+// Stand-in for the AvaTax items endpoints of one company and the tax code definitions.
+// Point AVALARA_BASE_URL at the returned base URL.
+function createAvalaraMock({ companyId = '1', items = [], taxCodes = DEFAULT_TAX_CODES } = {}) {
+  const state = {
+    items,
+    taxCodes,
+    nextItemId: Math.max(0, ...items.map(item => item.id)) + 1,
+    nextTagId: 1
+  };
+  
+  const findItem = (id) => state.items.find(item => String(item.id) === String(id));
+  
+  // Every route is scoped to /api/v2/companies/{companyId}
+  const forCompany = (handler) => ({ params: [company, ...params], ...request }) => {
+    if (company !== String(companyId)) {
+      return { status: 404, body: errorBody('EntityNotFoundError', `Company ${company} not found`) };
+    }
+    return handler({ params, ...request });
+  };
+  
+  const listItems = ({ query }) => {
+    let results;
+    try {
+      results = state.items.filter(item => matchesFilter(item, query.$filter));
+    } catch (error) {
+      return { status: 400, body: errorBody('FilterSyntaxError', error.message) };
+    }
+    
+    const top = Math.min(parseInt(query.$top, 10) || MAX_PAGE_SIZE, MAX_PAGE_SIZE);
+    const skip = parseInt(query.$skip, 10) || 0;
+    
+    // Classifications and parameters are only returned when asked for with $include
+    const includes = (query.$include || '').toLowerCase().split(',');
+    const withIncludes = ({ classifications, parameters, ...item }) => ({
+      ...item,
+      ...(includes.includes('classifications') ? { classifications: classifications || [] } : {}),
+      ...(includes.includes('parameters') ? { parameters: parameters || [] } : {})
+    });
+    
+    return {
+      body: {
+        '@recordsetCount': results.length,
+        value: results.slice(skip, skip + top).map(withIncludes)
+      }
+    };
+  };
+  
+  const listTaxCodes = ({ query }) => {
+    const top = Math.min(parseInt(query.$top, 10) || MAX_PAGE_SIZE, MAX_PAGE_SIZE);
+    const skip = parseInt(query.$skip, 10) || 0;
+    
+    return {
+      body: {
+        '@recordsetCount': state.taxCodes.length,
+        value: state.taxCodes.slice(skip, skip + top)
+      }
+    };
+  };
+  
+  const createItems = ({ body }) => {
+    const created = [];
+    for (const item of body) {
+      if (state.items.some(existing => existing.itemCode === item.itemCode)) {
+        return { status: 400, body: errorBody('DuplicateEntry', `Item ${item.itemCode} already exists`) };
+      }
+      created.push({ ...item, id: state.nextItemId++, modifiedDate: new Date().toISOString() });
+    }
+    state.items.push(...created);
+    return { status: 201, body: created };
+  };
+  
+  const getItem = ({ params: [id] }) => {
+    const item = findItem(id);
+    if (!item) {
+      return { status: 404, body: errorBody('EntityNotFoundError', `Item ${id} not found`) };
+    }
+    return { body: item };
+  };
+  
+  const updateItem = ({ params: [id], body }) => {
+    const item = findItem(id);
+    if (!item) {
+      return { status: 404, body: errorBody('EntityNotFoundError', `Item ${id} not found`) };
+    }
+    Object.assign(item, body, { id: item.id, modifiedDate: new Date().toISOString() });
+    return { body: item };
+  };
+  
+  const deleteItem = ({ params: [id] }) => {
+    const item = findItem(id);
+    if (!item) {
+      return { status: 404, body: errorBody('EntityNotFoundError', `Item ${id} not found`) };
+    }
+    state.items = state.items.filter(existing => existing !== item);
+    return { body: [{ id: item.id, code: 'EntityDeleted' }] };
+  };
+  
+  const createTags = ({ params: [id], body }) => {
+    const item = findItem(id);
+    if (!item) {
+      return { status: 404, body: errorBody('EntityNotFoundError', `Item ${id} not found`) };
+    }
+    const created = body.map(tag => ({ id: state.nextTagId++, itemId: item.id, tagName: tag.tagName }));
+    item.tags = [...(item.tags || []), ...created];
+    return { status: 201, body: created };
+  };
+  
+  const listTags = ({ params: [id] }) => {
+    const item = findItem(id);
+    if (!item) {
+      return { status: 404, body: errorBody('EntityNotFoundError', `Item ${id} not found`) };
+    }
+    return { body: { '@recordsetCount': (item.tags || []).length, value: item.tags || [] } };
+  };
+  
+  const deleteTag = ({ params: [id, tagId] }) => {
+    const item = findItem(id);
+    const tag = item && (item.tags || []).find(existing => String(existing.id) === String(tagId));
+    if (!tag) {
+      return { status: 404, body: errorBody('EntityNotFoundError', `Tag ${tagId} of item ${id} not found`) };
+    }
+    item.tags = item.tags.filter(existing => existing !== tag);
+    return { body: [{ id: tag.id, code: 'EntityDeleted' }] };
+  };
+  
+  const mock = createMockServer([
+    ['GET', /^\/api\/v2\/companies\/([^/]+)\/items$/, forCompany(listItems)],
+    ['POST', /^\/api\/v2\/companies\/([^/]+)\/items$/, forCompany(createItems)],
+    ['GET', /^\/api\/v2\/companies\/([^/]+)\/items\/(\d+)$/, forCompany(getItem)],
+    ['PUT', /^\/api\/v2\/companies\/([^/]+)\/items\/(\d+)$/, forCompany(updateItem)],
+    ['DELETE', /^\/api\/v2\/companies\/([^/]+)\/items\/(\d+)$/, forCompany(deleteItem)],
+    ['POST', /^\/api\/v2\/companies\/([^/]+)\/items\/(\d+)\/tags$/, forCompany(createTags)],
+    ['GET', /^\/api\/v2\/companies\/([^/]+)\/items\/(\d+)\/tags$/, forCompany(listTags)],
+    ['DELETE', /^\/api\/v2\/companies\/([^/]+)\/items\/(\d+)\/tags\/(\d+)$/, forCompany(deleteTag)],
+    ['GET', /^\/api\/v2\/definitions\/taxcodes$/, listTaxCodes]
+  ]);
+  
+  return { ...mock, state };
+}
+
+// Run the mock on its own for manual testing
+if (require.main === module) {
+  const port = parseInt(process.env.PORT, 10) || 4011;
+  createAvalaraMock({
+    items: [
+      { id: 1, itemCode: 'SAMPLE-1', description: 'Sample Product', itemGroup: '', category: '', modifiedDate: new Date().toISOString() }
+    ]
+  })
+    .listen(port)
+    .then(baseUrl => console.log(`Avalara mock listening on ${baseUrl} (company 1)`));
+}
+
+module.exports = { createAvalaraMock };
@@ -0,0 +1,173 @@
+const { createMockServer } = require('./mock-server');
+
+const MAX_PAGE_SIZE = 250;
+
+// Stand-in for the BigCommerce catalog endpoints used by the sync scripts.
+// Serves any store hash; point BC_API_BASE_URL at `${baseUrl}/stores/<hash>`.
+function createBigCommerceMock({ products = [], customFields = {}, categories = [], brands = [], taxClasses = [], channelAssignments = null } = {}) {
+  const state = {
+    products,
+    categories,
+    brands,
+    taxClasses,
+    // { product_id, channel_id } pairs; without them every product is in channel 1
+    channelAssignments,
+    // Custom fields keyed by product id
+    customFields,
+    nextCustomFieldId: 1000
+  };
+  
+  const findProduct = (id) => state.products.find(product => String(product.id) === String(id));
+  
+  const withoutVariants = ({ variants, ...product }) => product;
+  
+  // Variants are part of the fixture, custom fields live in their own collection
+  const withIncludes = (product, query) => {
+    const includes = (query.include || '').split(',');
+    const result = includes.includes('variants') ? product : withoutVariants(product);
+    return includes.includes('custom_fields')
+      ? { ...result, custom_fields: state.customFields[product.id] || [] }
+      : result;
+  };
+  
+  const paginate = (results, query) => {
+    const limit = Math.min(parseInt(query.limit, 10) || 50, MAX_PAGE_SIZE);
+    const page = parseInt(query.page, 10) || 1;
+    const data = results.slice((page - 1) * limit, page * limit);
+    
+    return {
+      body: {
+        data,
+        meta: {
+          pagination: {
+            total: results.length,
+            count: data.length,
+            per_page: limit,
+            current_page: page,
+            total_pages: Math.ceil(results.length / limit)
+          }
+        }
+      }
+    };
+  };
+  
+  // The v2 API pages with the same parameters but returns a bare array
+  const listTaxClasses = ({ query }) => ({ body: paginate(state.taxClasses, query).body.data });
+  
+  const listProducts = ({ query }) => {
+    let results = state.products;
+    
+    if (query.is_visible !== undefined) {
+      results = results.filter(product => String(product.is_visible !== false) === query.is_visible);
+    }
+    if (query.availability) {
+      results = results.filter(product => (product.availability || 'available') === query.availability);
+    }
+    if (query.type) {
+      results = results.filter(product => product.type === query.type);
+    }
+    if (query['date_modified:min']) {
+      const since = new Date(query['date_modified:min']);
+      results = results.filter(product => new Date(product.date_modified) >= since);
+    }
+    if (query['id:in']) {
+      const ids = query['id:in'].split(',');
+      results = results.filter(product => ids.includes(String(product.id)));
+    }
+    if (query['categories:in']) {
+      const categories = query['categories:in'].split(',');
+      results = results.filter(product => (product.categories || []).some(id => categories.includes(String(id))));
+    }
+    if (query.brand_id) {
+      results = results.filter(product => String(product.brand_id) === query.brand_id);
+    }
+    
+    return paginate(results.map(product => withIncludes(product, query)), query);
+  };
+  
+  const listChannelAssignments = ({ query }) => {
+    let results = state.channelAssignments || state.products.map(product => ({ product_id: product.id, channel_id: 1 }));
+    
+    if (query['product_id:in']) {
+      const ids = query['product_id:in'].split(',');
+      results = results.filter(assignment => ids.includes(String(assignment.product_id)));
+    }
+    if (query['channel_id:in']) {
+      const ids = query['channel_id:in'].split(',');
+      results = results.filter(assignment => ids.includes(String(assignment.channel_id)));
+    }
+    
+    return paginate(results, query);
+  };
+  
+  const getProduct = ({ params: [id], query }) => {
+    const product = findProduct(id);
+    if (!product) {
+      return { status: 404, body: { status: 404, title: 'The requested product was not found.' } };
+    }
+    return { body: { data: withIncludes(product, query) } };
+  };
+  
+  const listCustomFields = ({ params: [id] }) => {
+    if (!findProduct(id)) {
+      return { status: 404, body: { status: 404, title: 'The requested product was not found.' } };
+    }
+    return { body: { data: state.customFields[id] || [] } };
+  };
+  
+  const createCustomField = ({ params: [id], body }) => {
+    if (!findProduct(id)) {
+      return { status: 404, body: { status: 404, title: 'The requested product was not found.' } };
+    }
+    const field = { id: state.nextCustomFieldId++, name: body.name, value: body.value };
+    state.customFields[id] = [...(state.customFields[id] || []), field];
+    return { body: { data: field } };
+  };
+  
+  const updateCustomField = ({ params: [id, fieldId], body }) => {
+    const field = (state.customFields[id] || []).find(field => String(field.id) === fieldId);
+    if (!field) {
+      return { status: 404, body: { status: 404, title: 'The requested custom field was not found.' } };
+    }
+    Object.assign(field, { name: body.name ?? field.name, value: body.value ?? field.value });
+    return { body: { data: field } };
+  };
+  
+  const deleteCustomField = ({ params: [id, fieldId] }) => {
+    const fields = state.customFields[id] || [];
+    if (!fields.some(field => String(field.id) === fieldId)) {
+      return { status: 404, body: { status: 404, title: 'The requested custom field was not found.' } };
+    }
+    state.customFields[id] = fields.filter(field => String(field.id) !== fieldId);
+    return { status: 204 };
+  };
+  
+  const mock = createMockServer([
+    ['GET', /\/v3\/catalog\/products$/, listProducts],
+    ['GET', /\/v3\/catalog\/products\/channel-assignments$/, listChannelAssignments],
+    ['GET', /\/v3\/catalog\/categories$/, ({ query }) => paginate(state.categories, query)],
+    ['GET', /\/v3\/catalog\/brands$/, ({ query }) => paginate(state.brands, query)],
+    ['GET', /\/v2\/tax_classes$/, listTaxClasses],
+    ['GET', /\/v3\/catalog\/products\/(\d+)$/, getProduct],
+    ['GET', /\/v3\/catalog\/products\/(\d+)\/custom-fields$/, listCustomFields],
+    ['POST', /\/v3\/catalog\/products\/(\d+)\/custom-fields$/, createCustomField],
+    ['PUT', /\/v3\/catalog\/products\/(\d+)\/custom-fields\/(\d+)$/, updateCustomField],
+    ['DELETE', /\/v3\/catalog\/products\/(\d+)\/custom-fields\/(\d+)$/, deleteCustomField]
+  ]);
+  
+  return { ...mock, state };
+}
+
+// Run the mock on its own for manual testing
+if (require.main === module) {
+  const port = parseInt(process.env.PORT, 10) || 4010;
+  createBigCommerceMock({
+    products: [
+      { id: 1, name: 'Sample Product', sku: 'SAMPLE-1', is_visible: true, date_modified: new Date().toISOString(), variants: [] }
+    ]
+  })
+    .listen(port)
+    .then(baseUrl => console.log(`BigCommerce mock listening on ${baseUrl}/stores/mock`));
+}
+
+module.exports = { createBigCommerceMock };
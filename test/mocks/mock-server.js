@@ -0,0 +1,89 @@
+const http = require('http');
+const { URL } = require('url');
+
+// Minimal HTTP server shared by the BigCommerce and Avalara stand-ins.
+// Routes are [method, pattern, handler] entries; handlers receive
+// { params, query, body } and return { status, body, headers }.
+function createMockServer(routes, options = {}) {
+  const requests = [];
+  const failures = [];
+  const defaultHeaders = options.headers || {};
+  
+  // Queue an injected failure for the next matching requests
+  const injectFailure = ({ method, path, status = 500, times = 1, headers = {}, body } = {}) => {
+    failures.push({ method, path, status, remaining: times, headers, body });
+  };
+  
+  const takeFailure = (method, pathname) => {
+    const failure = failures.find(rule =>
+      rule.remaining > 0 &&
+      (!rule.method || rule.method === method) &&
+      (!rule.path || (rule.path instanceof RegExp ? rule.path.test(pathname) : pathname.includes(rule.path)))
+    );
+    if (failure) {
+      failure.remaining--;
+    }
+    return failure;
+  };
+  
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      ...defaultHeaders,
+      ...headers
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+  };
+  
+  const server = http.createServer((req, res) => {
+    let rawBody = '';
+    req.on('data', (chunk) => { rawBody += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const query = Object.fromEntries(url.searchParams);
+      const body = rawBody ? JSON.parse(rawBody) : undefined;
+      
+      requests.push({ method: req.method, path: url.pathname, query, body });
+      
+      const failure = takeFailure(req.method, url.pathname);
+      if (failure) {
+        send(res, failure.status, failure.body || { message: `Injected ${failure.status}` }, failure.headers);
+        return;
+      }
+      
+      for (const [method, pattern, handler] of routes) {
+        const match = req.method === method && url.pathname.match(pattern);
+        if (match) {
+          try {
+            const result = handler({ params: match.slice(1), query, body });
+            send(res, result.status || 200, result.body, result.headers);
+          } catch (error) {
+            send(res, 500, { message: error.message });
+          }
+          return;
+        }
+      }
+      
+      send(res, 404, { message: `No mock route for ${req.method} ${url.pathname}` });
+    });
+  });
+  
+  return {
+    requests,
+    injectFailure,
+    // Resolves with the base URL; port 0 picks a free port
+    listen(port = 0) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+          resolve(`http://127.0.0.1:${server.address().port}`);
+        });
+      });
+    },
+    close() {
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+module.exports = { createMockServer };
@@ -0,0 +1,98 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { createBigCommerceMock } = require('./mocks/bigcommerce-server');
+const { createAvalaraMock } = require('./mocks/avalara-server');
+const { readCSVFile, product, item, useTestDirectory } = require('./helpers');
+
+describe('store/company profiles', () => {
+  const servers = {
+    storeA: createBigCommerceMock({ products: [product(1, 'A-1'), product(2, 'SHARED-1')] }),
+    storeB: createBigCommerceMock({ products: [product(1, 'B-1'), product(2, 'SHARED-1')] }),
+    storeC: createBigCommerceMock({ products: [product(1, 'C-1')] }),
+    company1: createAvalaraMock({ companyId: '1', items: [item(1, 'A-1'), item(2, 'B-1'), item(3, 'OLD-1')] }),
+    company2: createAvalaraMock({ companyId: '2', items: [item(1, 'C-1'), item(2, 'A-1')] })
+  };
+  const urls = {};
+  
+  before(async () => {
+    for (const [name, server] of Object.entries(servers)) {
+      urls[name] = await server.listen();
+    }
+  });
+  
+  const suite = useTestDirectory('profiles', {
+    // No store or company in the environment, only in the profiles
+    env: {
+      SYNC_PROFILES_FILE: 'profiles.json',
+      BC_TEST_TOKEN: 'test-token',
+      AVALARA_TOKEN: 'test-token',
+      API_MAX_RETRIES: '0'
+    },
+    setup: () => {
+      const storeProfile = (storeHash, storeUrl, companyId, avalaraUrl) => ({
+        bigcommerce: { storeHash, accessToken: '${BC_TEST_TOKEN}', baseUrl: `${storeUrl}/stores/${storeHash}` },
+        avalara: { companyId, baseUrl: avalaraUrl }
+      });
+      
+      fs.writeFileSync('profiles.json', JSON.stringify({
+        a: storeProfile('store-a', urls.storeA, '1', urls.company1),
+        b: storeProfile('store-b', urls.storeB, '1', urls.company1),
+        c: storeProfile('store-c', urls.storeC, '2', urls.company2)
+      }));
+    }
+  });
+  
+  after(() => Promise.all(Object.values(servers).map(server => server.close())));
+  
+  it('syncs every profile into its own output directory and rolls up the results', async () => {
+    await suite.runCli(['sync-all', '--all-profiles', '--dry-run']);
+    
+    const summary = await readCSVFile('output/profiles-summary.csv');
+    assert.deepEqual(
+      summary.map(row => [row.profile, row.company_id, row.status, row.products_to_update]),
+      [['a', '1', 'success', '1'], ['b', '1', 'success', '1'], ['c', '2', 'success', '0']]
+    );
+    
+    const toUpdate = await readCSVFile('output/a/products-to-update.csv');
+    assert.deepEqual(toUpdate.map(row => row.sku), ['SHARED-1']);
+  });
+  
+  it('only reports items no store of a shared company sells as orphans', async () => {
+    const orphansA = await readCSVFile('output/a/avalara-orphans.csv');
+    const orphansC = await readCSVFile('output/c/avalara-orphans.csv');
+    
+    // B-1 belongs to store b, which shares company 1 with store a
+    assert.deepEqual(orphansA.map(orphan => orphan.item_code), ['OLD-1']);
+    assert.deepEqual(orphansC.map(orphan => orphan.item_code), ['A-1']);
+  });
+  
+  it('locks the output directory of the profile a sync-all runs for', async () => {
+    // A sync of profile a is under way
+    const release = require('../scheduler').acquireLock('output/a', { runId: 'sync-of-a' });
+    
+    try {
+      const result = await suite.runCli(['sync-all', '--profile', 'b', '--dry-run']);
+      assert.equal(result.reconciliation.productsToUpdate, 1);
+      assert.equal(fs.existsSync('output/b/sync.lock'), false);
+      
+      await assert.rejects(suite.runCli(['sync-all', '--profile', 'a', '--dry-run']), /Another sync holds output\/a\/sync.lock .*run sync-of-a/);
+      await assert.rejects(suite.runCli(['sync-all', '--all-profiles', '--dry-run']), /Another sync holds output\/a\/sync.lock/);
+      assert.equal(fs.existsSync('output/sync.lock'), false);
+    } finally {
+      release();
+    }
+  });
+  
+  it('refuses to reconcile snapshots of another store or company', async () => {
+    await assert.rejects(
+      suite.runCli(['reconcile', '--profile', 'c', '--output-dir', 'output/a']),
+      /bigcommerce snapshot in output\/a was fetched from store-a, not store-c/
+    );
+  });
+  
+  it('requires a profile when the environment has no store', async () => {
+    await assert.rejects(suite.runCli(['reconcile']), /Missing required environment variables: BC_STORE_HASH/);
+    await assert.rejects(suite.runCli(['reconcile', '--profile', 'd']), /Unknown profile: d. Defined profiles: a, b, c/);
+  });
+});
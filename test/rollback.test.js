@@ -0,0 +1,120 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { readCSVFile, product, item, useMockApis } = require('./helpers');
+
+// The run id of the most recent backup, as printed by the mutating step
+function latestRunId() {
+  return require('../backups').listBackups('output')[0].runId;
+}
+
+describe('backups and rollback', () => {
+  const suite = useMockApis({
+    name: 'rollback',
+    bigcommerce: {
+      products: [product(1, 'NEW-1'), product(2, 'HALF-1')],
+      customFields: { 1: [{ id: 1, name: 'color', value: 'red' }] }
+    },
+    avalara: { items: [item(1, 'HALF-1', { category: '' })] },
+    env: { AVALARA_DEFAULT_CATEGORY: 'General' }
+  });
+  
+  before(async () => {
+    await suite.runCli(['fetch-avalara']);
+    await suite.runCli(['fetch-bc']);
+    await suite.runCli(['reconcile']);
+  });
+  
+  it('backs up the custom fields of every product an update changes', async () => {
+    await suite.runCli(['update', '--strategy', 'custom-field']);
+    
+    const runId = latestRunId();
+    const backup = fs.readFileSync(`output/backups/${runId}.jsonl`, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    
+    assert.deepEqual(
+      backup.map(entry => [entry.type, entry.key]),
+      [['run', runId], ['product', '1'], ['product', '2']]
+    );
+    assert.equal(backup[0].storeHash, 'teststore');
+    assert.deepEqual(backup[1].customFields, [{ id: 1, name: 'color', value: 'red' }]);
+    assert.deepEqual(backup[2].customFields, []);
+    
+    const report = JSON.parse(fs.readFileSync('output/run-report.json', 'utf8'));
+    assert.equal(report.steps.find(step => step.step === 'update').backupFile, `output/backups/${runId}.jsonl`);
+  });
+  
+  it('restores the custom fields a run changed', async () => {
+    const runId = latestRunId();
+    
+    const plan = await suite.runCli(['rollback', '--run-id', runId, '--dry-run']);
+    assert.deepEqual(plan, { total: 2, restored: 2, unchanged: 0, errors: 0 });
+    assert.equal(suite.bigcommerce.state.customFields[1].length, 2);
+    
+    const result = await suite.runCli(['rollback', '--run-id', runId]);
+    assert.deepEqual(result, { total: 2, restored: 2, unchanged: 0, errors: 0 });
+    assert.deepEqual(suite.bigcommerce.state.customFields[1], [{ id: 1, name: 'color', value: 'red' }]);
+    assert.deepEqual(suite.bigcommerce.state.customFields[2], []);
+    
+    const rollbackLog = await readCSVFile('output/rollback-log.csv');
+    assert.deepEqual(
+      rollbackLog.map(row => [row.id, row.status, row.changes]),
+      [['1', 'restored', 'delete avalara_sync'], ['2', 'restored', 'delete avalara_sync']]
+    );
+    
+    // Nothing left to restore the second time
+    const again = await suite.runCli(['rollback', '--run-id', runId]);
+    assert.deepEqual(again, { total: 2, restored: 0, unchanged: 2, errors: 0 });
+  });
+  
+  it('deletes the items a direct update created and reverts the ones it filled in', async () => {
+    await suite.runCli(['update', '--strategy', 'direct']);
+    const runId = latestRunId();
+    
+    assert.deepEqual(suite.avalara.state.items.map(existing => [existing.itemCode, existing.category]), [['HALF-1', 'General'], ['NEW-1', 'General']]);
+    
+    const result = await suite.runCli(['rollback', '--run-id', runId]);
+    assert.deepEqual(result, { total: 2, restored: 2, unchanged: 0, errors: 0 });
+    assert.deepEqual(suite.avalara.state.items.map(existing => [existing.itemCode, existing.category]), [['HALF-1', '']]);
+    
+    // The rollback backed up what it changed, so it can be undone in turn
+    const undo = await suite.runCli(['rollback', '--run-id', latestRunId()]);
+    assert.deepEqual(undo, { total: 2, restored: 2, unchanged: 0, errors: 0 });
+    assert.deepEqual(suite.avalara.state.items.map(existing => [existing.itemCode, existing.category]).sort(), [['HALF-1', 'General'], ['NEW-1', 'General']]);
+  });
+  
+  it('recreates orphans deleted by resolve-orphans and removes the tag it added', async () => {
+    const { resolveAvalaraOrphans } = require('../scripts/resolve-avalara-orphans');
+    const orphanCodes = () => suite.avalara.state.items.map(existing => existing.itemCode).filter(code => code.startsWith('GONE'));
+    const findOrphan = () => suite.avalara.state.items.find(existing => existing.itemCode === 'GONE-1');
+    
+    suite.avalara.state.items.push(item(90, 'GONE-1', { taxCode: 'P0000000' }));
+    await suite.runCli(['fetch-avalara']);
+    await suite.runCli(['reconcile']);
+    
+    const deletion = await resolveAvalaraOrphans({ mode: 'delete', yes: true });
+    assert.equal(deletion.success, 1);
+    assert.deepEqual(orphanCodes(), []);
+    
+    const restored = await suite.runCli(['rollback', '--run-id', latestRunId()]);
+    assert.deepEqual(restored, { total: 1, restored: 1, unchanged: 0, errors: 0 });
+    assert.deepEqual(orphanCodes(), ['GONE-1']);
+    assert.equal(findOrphan().taxCode, 'P0000000');
+    
+    // The recreated item has a new id
+    await suite.runCli(['fetch-avalara']);
+    await suite.runCli(['reconcile']);
+    await resolveAvalaraOrphans({ mode: 'flag', yes: true });
+    assert.deepEqual(findOrphan().tags.map(tag => tag.tagName), ['bc-orphan']);
+    
+    const untagged = await suite.runCli(['rollback', '--run-id', latestRunId()]);
+    assert.deepEqual(untagged, { total: 1, restored: 1, unchanged: 0, errors: 0 });
+    assert.deepEqual(findOrphan().tags, []);
+    
+    const rollbackLog = await readCSVFile('output/rollback-log.csv');
+    assert.deepEqual(rollbackLog.map(row => row.changes), ['remove tag bc-orphan']);
+  });
+  
+  it('refuses a run without a backup', async () => {
+    await assert.rejects(suite.runCli(['rollback', '--run-id', 'unknown-run']), /No backup found for run unknown-run .* Latest backups: /);
+  });
+});
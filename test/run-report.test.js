@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { product, useMockApis } = require('./helpers');
+
+describe('structured logging and run reports', () => {
+  const lines = [];
+  // FULL-1 already has the maximum number of custom fields, so its update fails
+  const suite = useMockApis({
+    name: 'run-report',
+    bigcommerce: {
+      products: [product(1, 'FULL-1'), product(2, 'NEW-1')],
+      customFields: {
+        1: Array.from({ length: 50 }, (_, i) => ({ id: i + 1, name: `field_${i}`, value: 'x' }))
+      }
+    },
+    onLog: (line) => lines.push(line)
+  });
+  
+  const readReport = () => JSON.parse(fs.readFileSync('output/run-report.json', 'utf8'));
+  
+  it('writes JSON log lines carrying the run id, step, product id and SKU', async () => {
+    await suite.runCli(['sync-all', '--log-format', 'json']);
+    
+    const entries = lines.map(line => JSON.parse(line));
+    const runIds = new Set(entries.map(entry => entry.runId));
+    assert.equal(runIds.size, 1);
+    assert.deepEqual([...new Set(entries.map(entry => entry.step))], ['fetch-avalara', 'fetch-bc', 'reconcile', 'update']);
+    
+    const failure = entries.find(entry => entry.level === 'error' && entry.step === 'update');
+    assert.deepEqual(
+      [failure.productId, failure.sku, failure.message],
+      ['1', 'FULL-1', 'Error: Product has maximum number of custom fields (50)']
+    );
+  });
+  
+  it('rolls the steps of a run up in run-report.json with errors by type', async () => {
+    const report = readReport();
+    
+    assert.equal(report.status, 'success');
+    assert.deepEqual(report.steps.map(step => [step.step, step.status]), [
+      ['fetch-avalara', 'success'],
+      ['fetch-bc', 'success'],
+      ['reconcile', 'success'],
+      ['update', 'success']
+    ]);
+    assert.deepEqual(report.steps[3].counts, { total: 2, success: 1, errors: 1, skipped: 0, dryRun: false });
+    assert.equal(report.steps[2].counts.missingInAvalara, 2);
+    assert.equal(typeof report.steps[2].historyRunId, 'number');
+    assert.deepEqual(report.errors, { total: 1, byType: { custom_field_limit: 1 } });
+  });
+  
+  it('starts a new report for a new run and records the failed step', async () => {
+    const previousRunId = readReport().runId;
+    suite.avalara.injectFailure({ path: '/items', status: 401 });
+    
+    await assert.rejects(suite.runCli(['fetch-avalara']), /401/);
+    
+    const report = readReport();
+    assert.notEqual(report.runId, previousRunId);
+    assert.equal(report.status, 'error');
+    assert.deepEqual(report.steps.map(step => [step.step, step.status, step.error.type]), [['fetch-avalara', 'error', 'auth']]);
+    assert.deepEqual(report.errors, { total: 1, byType: { auth: 1 } });
+  });
+});
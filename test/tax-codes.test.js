@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { readCSVFile, product, item, useMockApis } = require('./helpers');
+
+const TAX_CODES = [
+  { id: 1, taxCode: 'P0000000', taxCodeTypeId: 'P', description: 'Tangible personal property', isActive: true },
+  { id: 2, taxCode: 'PC040100', taxCodeTypeId: 'P', description: 'Clothing and related products (B2C)', isActive: true },
+  { id: 3, taxCode: 'PC040199', taxCodeTypeId: 'P', description: 'Clothing (retired)', isActive: false }
+];
+
+describe('tax code validation', () => {
+  // SHIRT-1 gets its code from the Clothing tax class, HAT-1 has a retired code on
+  // both sides and MUG-1 has an item with a code AvaTax doesn't know
+  const suite = useMockApis({
+    name: 'tax-codes',
+    bigcommerce: {
+      taxClasses: [{ id: 0, name: 'Default Tax Class' }, { id: 1, name: 'Clothing' }, { id: 2, name: 'Books' }],
+      products: [
+        product(1, 'SHIRT-1', { tax_class_id: 1 }),
+        product(2, 'HAT-1', { tax_class_id: 0, product_tax_code: 'PC040199' }),
+        product(3, 'MUG-1', { tax_class_id: 0 })
+      ]
+    },
+    avalara: {
+      taxCodes: TAX_CODES,
+      items: [
+        item(1, 'SHIRT-1', { taxCode: 'P0000000' }),
+        item(2, 'HAT-1', { taxCode: 'PC040199' }),
+        item(3, 'MUG-1', { taxCode: 'X1234567' })
+      ]
+    },
+    env: { TAX_CLASS_MAPPING_FILE: 'tax-class-mapping.json' },
+    setup: () => fs.writeFileSync('tax-class-mapping.json', JSON.stringify({ clothing: 'PC040100', Books: 'PB100000' }))
+  });
+  
+  it('flags unknown and retired tax codes and tax class mappings', async () => {
+    await suite.runCli(['fetch-avalara']);
+    await suite.runCli(['fetch-bc']);
+    const summary = await suite.runCli(['reconcile']);
+    
+    const definitions = await readCSVFile('output/avalara-tax-codes.csv');
+    assert.deepEqual(definitions.map(row => [row.taxCode, row.isActive]), [['P0000000', 'true'], ['PC040100', 'true'], ['PC040199', 'false']]);
+    
+    const bcProducts = await readCSVFile('output/bc-products.csv');
+    assert.equal(bcProducts.find(row => row.sku === 'SHIRT-1').tax_class_name, 'Clothing');
+    
+    const invalid = await readCSVFile('output/invalid-tax-codes.csv');
+    assert.deepEqual(
+      invalid.map(row => [row.source, row.sku, row.tax_class, row.tax_code, row.issue]),
+      [
+        ['tax_class_mapping', '', 'Books', 'PB100000', 'unknown'],
+        ['bigcommerce', 'HAT-1', 'Default Tax Class', 'PC040199', 'retired'],
+        ['avalara', 'HAT-1', 'Default Tax Class', 'PC040199', 'retired'],
+        ['avalara', 'MUG-1', 'Default Tax Class', 'X1234567', 'unknown']
+      ]
+    );
+    assert.equal(summary.invalidTaxCodes, 4);
+  });
+  
+  it('reports a tax code differing from the tax class mapping as drift', async () => {
+    const proposals = await readCSVFile('output/products-to-update.csv');
+    assert.deepEqual(
+      proposals.map(row => [row.sku, row.drift_fields, row.tax_code_before, row.tax_code_after]),
+      [['SHIRT-1', 'taxCode', 'P0000000', 'PC040100']]
+    );
+    
+    await suite.runCli(['update', '--strategy', 'direct']);
+    assert.equal(suite.avalara.state.items.find(existing => existing.itemCode === 'SHIRT-1').taxCode, 'PC040100');
+  });
+  
+  it('creates new items with the tax code of their tax class', async () => {
+    suite.bigcommerce.state.products.push(product(4, 'SCARF-1', { tax_class_id: 1 }));
+    await suite.runCli(['fetch-bc']);
+    await suite.runCli(['reconcile']);
+    
+    await suite.runCli(['update', '--strategy', 'direct']);
+    assert.equal(suite.avalara.state.items.find(existing => existing.itemCode === 'SCARF-1').taxCode, 'PC040100');
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { readCSVFile, item, useMockApis } = require('./helpers');
+
+function minutesAgo(minutes) {
+  return new Date(Date.now() - minutes * 60000).toISOString();
+}
+
+// A product-sync-log.csv as written by the update step
+function writeSyncLog(rows) {
+  const header = 'product_id,variant_id,sku,exists_in_avalara,is_missing_data,status,timestamp,error_message,error_type,custom_field_added';
+  const lines = rows.map(([productId, sku, status, timestamp]) =>
+    `${productId},,${sku},no,no,${status},${timestamp},${status === 'error' ? 'Failed' : ''},${status === 'error' ? 'server_error' : ''},${status === 'success' ? 'yes' : 'no'}`
+  );
+  fs.mkdirSync('output', { recursive: true });
+  fs.writeFileSync('output/product-sync-log.csv', [header, ...lines].join('\n') + '\n');
+}
+
+describe('sync verification', () => {
+  const suite = useMockApis({
+    name: 'verify',
+    avalara: { items: [item(1, 'HALF-1', { category: '' })] },
+    // NEW-1 was synced just now, LATE-1 and HALF-1 three days ago and FAILED-1 not at all
+    setup: () => writeSyncLog([
+      [1, 'NEW-1', 'success', minutesAgo(10)],
+      [2, 'LATE-1', 'success', minutesAgo(3 * 24 * 60)],
+      [3, 'HALF-1', 'success', minutesAgo(3 * 24 * 60)],
+      [4, 'FAILED-1', 'error', minutesAgo(10)]
+    ])
+  });
+  
+  it('escalates synced SKUs that are not complete in Avalara by the deadline', async () => {
+    const result = await suite.runCli(['verify', '--once']);
+    
+    assert.deepEqual(result, { total: 3, confirmed: 0, pending: 1, escalated: 2 });
+    
+    const escalations = await readCSVFile('output/sync-escalations.csv');
+    assert.deepEqual(
+      escalations.map(row => [row.sku, row.issue, Boolean(row.first_seen_at)]),
+      [['LATE-1', 'Not in Avalara', false], ['HALF-1', 'Missing category', true]]
+    );
+    
+    const summary = fs.readFileSync('output/sync-verification-summary.txt', 'utf8');
+    assert.match(summary, /No synced product arrived in Avalara within the deadline/);
+    
+    const report = JSON.parse(fs.readFileSync('output/run-report.json', 'utf8'));
+    assert.deepEqual(report.errors.byType, { not_synced: 2 });
+  });
+  
+  it('records the latency of SKUs that arrive and keeps earlier results', async () => {
+    suite.avalara.state.items.push(item(2, 'NEW-1'));
+    
+    // Polls until every SKU is settled, which is right away
+    const result = await suite.runCli(['verify', '--interval', '1']);
+    assert.deepEqual(result, { total: 3, confirmed: 1, pending: 0, escalated: 2 });
+    
+    const verification = await readCSVFile('output/sync-verification.csv');
+    const newItem = verification.find(row => row.sku === 'NEW-1');
+    assert.equal(newItem.status, 'confirmed');
+    assert.equal(newItem.checks, '2');
+    assert.ok(parseFloat(newItem.latency_minutes) >= 10 && parseFloat(newItem.latency_minutes) < 15);
+    
+    // Escalated SKUs aren't looked up again
+    assert.equal(verification.find(row => row.sku === 'LATE-1').checks, '1');
+    
+    const summary = fs.readFileSync('output/sync-verification-summary.txt', 'utf8');
+    assert.match(summary, /Median: 1\d\.\d minutes/);
+    assert.match(summary, /Some synced products did not arrive in time/);
+  });
+  
+  it('needs the sync log of an update run', async () => {
+    await assert.rejects(suite.runCli(['verify', '--input', 'missing.csv']), /Product sync log not found: missing.csv/);
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { readCSVFile, product, useMockApis } = require('./helpers');
+
+const CLIENT_SECRET = 'test-secret';
+
+// POST a delivery signed the way BigCommerce signs them
+function deliver(url, webhookId, payload) {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto.createHmac('sha256', CLIENT_SECRET).update(`${webhookId}.${timestamp}.${body}`).digest('base64');
+  
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'webhook-id': webhookId,
+        'webhook-timestamp': timestamp,
+        'webhook-signature': `v1,${signature}`
+      }
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+describe('webhook receiver', () => {
+  const suite = useMockApis({
+    name: 'webhook',
+    bigcommerce: { products: [product(1, 'WIDGET-1', { name: 'Widget' })] },
+    env: {
+      BC_CLIENT_SECRET: CLIENT_SECRET,
+      AVALARA_DEFAULT_ITEM_GROUP: 'Goods',
+      AVALARA_DEFAULT_CATEGORY: 'General',
+      API_MAX_RETRIES: '2',
+      API_RETRY_BASE_DELAY_MS: '5'
+    }
+  });
+  let server;
+  let webhookUrl;
+  // The handler resolves once a delivery has been processed, after it has been acknowledged
+  const handled = [];
+  
+  before(async () => {
+    const { createWebhookHandler } = require('../scripts/webhook-server');
+    const handler = createWebhookHandler();
+    server = http.createServer((req, res) => handled.push(handler(req, res)));
+    await new Promise(resolve => server.listen(0, resolve));
+    webhookUrl = `http://localhost:${server.address().port}/webhooks/bigcommerce`;
+  });
+  
+  after(() => new Promise(resolve => server.close(resolve)));
+  
+  it('creates the item once when two deliveries for a new product arrive together', async () => {
+    const payload = { scope: 'store/product/updated', data: { type: 'product', id: 1 } };
+    const statuses = await Promise.all([
+      deliver(webhookUrl, 'delivery-1', payload),
+      deliver(webhookUrl, 'delivery-2', payload)
+    ]);
+    await Promise.all(handled);
+    
+    assert.deepEqual(statuses, [200, 200]);
+    assert.deepEqual(suite.avalara.state.items.map(existing => existing.itemCode), ['WIDGET-1']);
+    
+    const syncLog = await readCSVFile('output/product-sync-log.csv');
+    assert.deepEqual(
+      syncLog.map(row => [row.sku, row.exists_in_avalara, row.status]),
+      [['WIDGET-1', 'no', 'success'], ['WIDGET-1', 'yes', 'skipped']]
+    );
+  });
+  
+  it('does not send an item again when creating it failed on the server', async () => {
+    suite.bigcommerce.state.products.push(product(2, 'GADGET-1', { name: 'Gadget' }));
+    suite.avalara.injectFailure({ method: 'POST', path: '/items', status: 503 });
+    const itemPosts = () => suite.avalara.requests.filter(request => request.method === 'POST' && request.path.endsWith('/items')).length;
+    const postsBefore = itemPosts();
+    
+    const status = await deliver(webhookUrl, 'delivery-3', { scope: 'store/product/updated', data: { type: 'product', id: 2 } });
+    await Promise.all(handled);
+    
+    assert.equal(status, 200);
+    assert.equal(itemPosts() - postsBefore, 1);
+    const syncLog = await readCSVFile('output/product-sync-log.csv');
+    assert.deepEqual(
+      syncLog.filter(row => row.sku === 'GADGET-1').map(row => [row.status, row.error_type]),
+      [['error', 'server_error']]
+    );
+  });
+  
+  it('acknowledges and ignores signed bodies that are not JSON objects', async () => {
+    const statuses = await Promise.all([null, [], 'store/product/updated'].map((payload, index) =>
+      deliver(webhookUrl, `delivery-invalid-${index}`, payload)
+    ));
+    await Promise.all(handled);
+    
+    assert.deepEqual(statuses, [200, 200, 200]);
+  });
+});
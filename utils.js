@@ -1,99 +1,511 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
+const { pipeline } = require('stream');
+const csv = require('csv-parser');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 
-// CSV Writer utility
-function createCsvWriterUtil(filename, headers) {
+// CSV Writer utility. With `append`, rows are added to an existing file without a new header.
+function createCsvWriterUtil(filename, headers, options = {}) {
   return createCsvWriter({
     path: filename,
     header: headers.map(header => ({
       id: header,
       title: header
-    }))
+    })),
+    append: Boolean(options.append)
   });
 }
 
+// CSV writer for files written a batch at a time as rows are produced. Rows are buffered
+// and appended `batchSize` at a time, giving the same file as a single writeRecords call.
+function createBatchedCsvWriter(filename, headers, options = {}) {
+  const csvWriter = createCsvWriterUtil(filename, headers, options);
+  const batchSize = options.batchSize || 1000;
+  let buffered = [];
+  let written = false;
+  let count = 0;
+  
+  // csv-writer adds a line for every call, so empty batches are never written
+  const flush = async () => {
+    if (buffered.length === 0) {
+      return;
+    }
+    const rows = buffered;
+    buffered = [];
+    written = true;
+    await csvWriter.writeRecords(rows);
+  };
+  
+  return {
+    get count() {
+      return count;
+    },
+    async write(rows) {
+      buffered.push(...rows);
+      count += rows.length;
+      if (buffered.length >= batchSize) {
+        await flush();
+      }
+    },
+    async end() {
+      await flush();
+      if (!written) {
+        await csvWriter.writeRecords([]);
+      }
+    }
+  };
+}
+
+// Rows of a CSV file in batches of up to `batchSize`, read from disk as they are consumed
+async function* readCSVBatches(filePath, batchSize = 1000) {
+  let batch = [];
+  // pipeline() passes read errors on to the parser, ending the loop with the error
+  const rows = pipeline(fs.createReadStream(filePath), csv(), () => {});
+  for await (const row of rows) {
+    batch.push(row);
+    if (batch.length >= batchSize) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    yield batch;
+  }
+}
+
+// Rows parked on disk as JSON lines until they can be written in order, such as the
+// changed rows of an incremental fetch that follow the unchanged rows of the snapshot
+function createRowSpool(file) {
+  fs.writeFileSync(file, '');
+  
+  return {
+    add(rows) {
+      if (rows.length > 0) {
+        fs.appendFileSync(file, rows.map(row => `${JSON.stringify(row)}\n`).join(''));
+      }
+    },
+    async* batches(batchSize = 1000) {
+      let batch = [];
+      for await (const line of readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity })) {
+        batch.push(JSON.parse(line));
+        if (batch.length >= batchSize) {
+          yield batch;
+          batch = [];
+        }
+      }
+      if (batch.length > 0) {
+        yield batch;
+      }
+    },
+    remove() {
+      fs.rmSync(file, { force: true });
+    }
+  };
+}
+
 // Ensure output directory exists
-function ensureOutputDir() {
-  const outputDir = './output';
+function ensureOutputDir(outputDir) {
+  outputDir = outputDir || './output';
   if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
   }
   return outputDir;
 }
 
-// Pagination helper for BigCommerce API
-async function paginateBigCommerce(axiosInstance, endpoint, params = {}) {
-  const allResults = [];
+// Default retry policy for API requests
+const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 5,
+  baseDelayMs: 1000,
+  maxDelayMs: 60000
+};
+
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+function isRetryableError(error) {
+  // A POST that failed on the way or on the server may still have been applied, and
+  // sending it again would create a duplicate. Only a rate limited one was turned away.
+  if (error.config && error.config.method === 'post') {
+    return Boolean(error.response) && error.response.status === 429;
+  }
+  
+  // Network errors and timeouts have no response
+  if (!error.response) {
+    return Boolean(error.code || error.request);
+  }
+  return RETRYABLE_STATUS_CODES.includes(error.response.status);
+}
+
+// Error taxonomy of the run report and sync logs, so failures can be counted and
+// alerted on by kind rather than by message
+function classifyError(error) {
+  if (!error.response) {
+    return error.isAxiosError || error.request ? 'network' : 'unexpected';
+  }
+  
+  const status = error.response.status;
+  if (status === 429) {
+    return 'rate_limited';
+  }
+  if (status === 401 || status === 403) {
+    return 'auth';
+  }
+  if (status === 404) {
+    return 'not_found';
+  }
+  if (status === 400 || status === 409 || status === 422) {
+    return 'validation';
+  }
+  return status >= 500 ? 'server_error' : 'client_error';
+}
+
+// Work out how long the server asked us to wait, in milliseconds
+function getServerRetryDelay(headers = {}) {
+  // BigCommerce: milliseconds until the rate limit window resets
+  const resetMs = parseInt(headers['x-rate-limit-time-reset-ms'], 10);
+  if (!isNaN(resetMs)) {
+    return resetMs;
+  }
+  
+  // Avalara and others: Retry-After as seconds or an HTTP date
+  const retryAfter = headers['retry-after'];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) {
+      return seconds * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+  
+  return null;
+}
+
+function getBackoffDelay(attempt, options) {
+  const exponential = options.baseDelayMs * Math.pow(2, attempt);
+  const jitter = Math.random() * options.baseDelayMs;
+  return Math.min(exponential + jitter, options.maxDelayMs);
+}
+
+// Shared pacing for every request made through one client, driven by
+// BigCommerce's X-Rate-Limit-Requests-Left / X-Rate-Limit-Time-Reset-Ms headers.
+// `reserve` is how many requests may still be in flight when the window is checked.
+function createRateLimiter({ reserve = 1 } = {}) {
+  let resumeAt = 0;
+  
+  return {
+    async wait() {
+      const delay = resumeAt - Date.now();
+      if (delay > 0) {
+        await sleep(delay);
+      }
+    },
+    update(headers = {}) {
+      const requestsLeft = parseInt(headers['x-rate-limit-requests-left'], 10);
+      const resetMs = parseInt(headers['x-rate-limit-time-reset-ms'], 10);
+      
+      if (!isNaN(requestsLeft) && !isNaN(resetMs) && requestsLeft <= reserve && Date.now() + resetMs > resumeAt) {
+        log(`Rate limit nearly exhausted (${requestsLeft} left), pausing requests for ${resetMs}ms`, 'warn');
+        resumeAt = Date.now() + resetMs;
+      }
+    }
+  };
+}
+
+// Route every request of an axios instance through a rate limiter
+function applyRateLimiter(axiosInstance, rateLimiter = createRateLimiter()) {
+  axiosInstance.interceptors.request.use(async (requestConfig) => {
+    await rateLimiter.wait();
+    return requestConfig;
+  });
+  axiosInstance.interceptors.response.use(
+    (response) => {
+      rateLimiter.update(response.headers);
+      return response;
+    },
+    (error) => {
+      if (error.response) {
+        rateLimiter.update(error.response.headers);
+      }
+      return Promise.reject(error);
+    }
+  );
+  return axiosInstance;
+}
+
+// Run a worker over items with at most `concurrency` in flight at once
+async function runWithConcurrency(items, concurrency, worker) {
+  let nextIndex = 0;
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  
+  const runners = Array.from({ length: workerCount }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      await worker(items[index], index);
+    }
+  });
+  
+  await Promise.all(runners);
+}
+
+// Run an axios request with retries and exponential backoff on 429, 5xx and network errors
+async function withRetry(requestFn, options = {}) {
+  const retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await requestFn();
+    } catch (error) {
+      if (attempt >= retryOptions.maxRetries || !isRetryableError(error)) {
+        throw error;
+      }
+      
+      const serverDelay = error.response ? getServerRetryDelay(error.response.headers) : null;
+      const delay = serverDelay !== null
+        ? Math.min(serverDelay, retryOptions.maxDelayMs)
+        : getBackoffDelay(attempt, retryOptions);
+      const reason = error.response ? `status ${error.response.status}` : error.message;
+      
+      log(`Request failed (${reason}), retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${retryOptions.maxRetries})`, 'warn');
+      await sleep(delay);
+    }
+  }
+}
+
+// Pages of a BigCommerce list endpoint, one array of results at a time, so callers can
+// process a large catalog without holding all of it
+async function* iterateBigCommercePages(axiosInstance, endpoint, params = {}, retryOptions = {}, maxResults = Infinity) {
   let page = 1;
-  const limit = 250; // BigCommerce max limit
+  let fetched = 0;
+  const limit = Math.min(250, maxResults); // BigCommerce max limit
   
   while (true) {
+    let response;
     try {
-      const response = await axiosInstance.get(endpoint, {
+      response = await withRetry(() => axiosInstance.get(endpoint, {
         params: {
           ...params,
           page,
           limit
         }
-      });
-      
-      const data = response.data.data || response.data;
-      allResults.push(...data);
-      
-      // Check if we've reached the end
-      if (data.length < limit) {
-        break;
-      }
-      
-      page++;
+      }), retryOptions);
     } catch (error) {
-      console.error(`Error fetching page ${page}:`, error.message);
+      // Never return a partial catalog, it would show up as missing products
+      error.message = `Error fetching page ${page} of ${endpoint}: ${error.message}`;
+      throw error;
+    }
+    
+    const data = response.data.data || response.data;
+    yield data.slice(0, maxResults - fetched);
+    fetched += data.length;
+    
+    // Check if we've reached the end
+    if (data.length < limit || fetched >= maxResults) {
       break;
     }
+    
+    page++;
   }
-  
-  return allResults;
 }
 
-// Pagination helper for Avalara API
-async function paginateAvalara(axiosInstance, endpoint, params = {}) {
+// Pagination helper for BigCommerce API
+async function paginateBigCommerce(axiosInstance, endpoint, params = {}, retryOptions = {}, maxResults = Infinity) {
   const allResults = [];
+  for await (const data of iterateBigCommercePages(axiosInstance, endpoint, params, retryOptions, maxResults)) {
+    allResults.push(...data);
+  }
+  return allResults;
+}
+
+// Pages of an Avalara list endpoint, one array of results at a time
+async function* iterateAvalaraPages(axiosInstance, endpoint, params = {}, retryOptions = {}) {
   let skip = 0;
   const top = 100; // Avalara recommended page size
   
   while (true) {
+    let response;
     try {
-      const response = await axiosInstance.get(endpoint, {
+      response = await withRetry(() => axiosInstance.get(endpoint, {
         params: {
           ...params,
           $skip: skip,
           $top: top
         }
-      });
-      
-      const data = response.data.value || response.data;
-      allResults.push(...data);
-      
-      // Check if we've reached the end
-      if (data.length < top) {
-        break;
-      }
-      
-      skip += top;
+      }), retryOptions);
     } catch (error) {
-      console.error(`Error fetching skip ${skip}:`, error.message);
+      // Never return a partial item list, it would show up as missing items
+      error.message = `Error fetching skip ${skip} of ${endpoint}: ${error.message}`;
+      throw error;
+    }
+    
+    const data = response.data.value || response.data;
+    yield data;
+    
+    // Check if we've reached the end
+    if (data.length < top) {
       break;
     }
+    
+    skip += top;
+  }
+}
+
+// Pagination helper for Avalara API
+async function paginateAvalara(axiosInstance, endpoint, params = {}, retryOptions = {}) {
+  const allResults = [];
+  for await (const data of iterateAvalaraPages(axiosInstance, endpoint, params, retryOptions)) {
+    allResults.push(...data);
   }
-  
   return allResults;
 }
 
+// Watermarks for incremental fetches, stored per source in output/sync-state.json
+const WATERMARK_OVERLAP_MS = 5 * 60 * 1000; // Re-fetch a small window to absorb clock skew
+
+function getSyncStateFile(outputDir) {
+  return path.join(ensureOutputDir(outputDir), 'sync-state.json');
+}
+
+// Returns the timestamp to fetch changes from, or null when there is no previous successful run
+function getWatermark(source, outputDir) {
+  const stateFile = getSyncStateFile(outputDir);
+  if (!fs.existsSync(stateFile)) {
+    return null;
+  }
+  
+  const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  if (!state[source] || !state[source].lastSuccessfulRun) {
+    return null;
+  }
+  
+  return new Date(Date.parse(state[source].lastSuccessfulRun) - WATERMARK_OVERLAP_MS).toISOString();
+}
+
+function setWatermark(source, lastSuccessfulRun, mode, outputDir) {
+  const stateFile = getSyncStateFile(outputDir);
+  const state = fs.existsSync(stateFile) ? JSON.parse(fs.readFileSync(stateFile, 'utf8')) : {};
+  const incrementalRuns = mode === 'incremental' ? ((state[source] && state[source].incrementalRuns) || 0) + 1 : 0;
+  
+  state[source] = { ...state[source], lastSuccessfulRun, mode, incrementalRuns };
+  fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+}
+
+// Incremental fetches of a source since its last full one. Deleted products and items only
+// drop out of a snapshot in a full fetch, so incremental mode runs one after `fullFetchEvery`
+// incremental fetches in a row.
+function isFullFetchDue(source, fullFetchEvery, outputDir) {
+  const stateFile = getSyncStateFile(outputDir);
+  if (!fullFetchEvery || !fs.existsSync(stateFile)) {
+    return false;
+  }
+  
+  const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  return ((state[source] && state[source].incrementalRuns) || 0) >= fullFetchEvery;
+}
+
+// Record which store or company a snapshot was fetched from
+function setSnapshotAccount(source, account, outputDir) {
+  const stateFile = getSyncStateFile(outputDir);
+  const state = fs.existsSync(stateFile) ? JSON.parse(fs.readFileSync(stateFile, 'utf8')) : {};
+  
+  state[source] = { ...state[source], account: String(account) };
+  fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+}
+
+// Refuse to use a snapshot fetched from a different store or company than the active one
+function assertSnapshotAccount(source, expectedAccount, outputDir) {
+  const stateFile = getSyncStateFile(outputDir);
+  if (!fs.existsSync(stateFile)) {
+    return;
+  }
+  
+  const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  const account = state[source] && state[source].account;
+  
+  if (account && account !== String(expectedAccount)) {
+    throw new Error(`The ${source} snapshot in ${path.dirname(stateFile)} was fetched from ${account}, not ${expectedAccount}. Fetch it again or use the output directory of the matching profile.`);
+  }
+}
+
+// Record the catalog scope a snapshot was fetched with
+function setSnapshotScope(source, scope, outputDir) {
+  const stateFile = getSyncStateFile(outputDir);
+  const state = fs.existsSync(stateFile) ? JSON.parse(fs.readFileSync(stateFile, 'utf8')) : {};
+  
+  state[source] = { ...state[source], scope };
+  fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+}
+
+// The catalog scope of a snapshot, or null for snapshots fetched before scopes were recorded
+function getSnapshotScope(source, outputDir) {
+  const stateFile = getSyncStateFile(outputDir);
+  if (!fs.existsSync(stateFile)) {
+    return null;
+  }
+  
+  const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  return (state[source] && state[source].scope) || null;
+}
+
+// One line summary of a catalog scope, e.g. "channels 1, 2; visible; any availability; physical; in stock"
+function describeCatalogScope(scope) {
+  const inventory = { all: 'any stock', in_stock: 'in stock', out_of_stock: 'out of stock' };
+  
+  return [
+    scope.channelIds.length > 0 ? `channels ${scope.channelIds.join(', ')}` : 'all channels',
+    scope.visibility === 'all' ? 'visible and hidden' : scope.visibility,
+    scope.availability.length > 0 ? scope.availability.join(', ') : 'any availability',
+    scope.productTypes.length > 0 ? scope.productTypes.join(', ') : 'physical and digital',
+    inventory[scope.inventory] || scope.inventory
+  ].join('; ');
+}
+
+// A snapshot written by a filtered fetch covers only the selected products
+function isPartialSnapshot(source, outputDir) {
+  const stateFile = getSyncStateFile(outputDir);
+  if (!fs.existsSync(stateFile)) {
+    return false;
+  }
+  
+  const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  return Boolean(state[source]) && state[source].mode === 'selection';
+}
+
 // Log utility
-function log(message, type = 'info') {
+// Structured logging context: the format ('text' or 'json', LOG_FORMAT by default),
+// the run id shared by every step of one CLI invocation and the step running now
+const logContext = {
+  format: null,
+  runId: null,
+  step: null
+};
+
+function configureLogging(options = {}) {
+  Object.assign(logContext, options);
+}
+
+// Start a new run with a fresh id. SYNC_RUN_ID lets a scheduler pass in its own.
+function startRun(runId = process.env.SYNC_RUN_ID) {
+  logContext.runId = runId || crypto.randomUUID();
+  logContext.step = null;
+  return logContext.runId;
+}
+
+function getRunId() {
+  return logContext.runId || startRun();
+}
+
+// Log a line of text, or a JSON object per line in json mode. `fields` such as
+// productId and sku are only written to JSON entries.
+function log(message, type = 'info', fields = {}) {
   const timestamp = new Date().toISOString();
-  const logMessage = `[${timestamp}] [${type.toUpperCase()}] ${message}`;
+  const format = logContext.format || process.env.LOG_FORMAT || 'text';
+  const logMessage = format === 'json'
+    ? JSON.stringify({ timestamp, level: type, runId: getRunId(), step: logContext.step, ...fields, message: message.trim() })
+    : `[${timestamp}] [${type.toUpperCase()}] ${message}`;
   
   if (type === 'error') {
     console.error(logMessage);
@@ -110,6 +522,284 @@ function sleep(ms) {
 }
 
 
+// Read a command line option given as --name=value or --name value
+function getCliOption(name, argv = process.argv.slice(2)) {
+  const flag = `--${name}`;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith(`${flag}=`)) {
+      return argv[i].substring(flag.length + 1);
+    }
+    if (argv[i] === flag && argv[i + 1] && !argv[i + 1].startsWith('--')) {
+      return argv[i + 1];
+    }
+  }
+  return undefined;
+}
+
+// Build a SKU normalizer from config rules. Applied in order, to both the
+// BigCommerce SKU and the Avalara itemCode before they are matched.
+function createSkuNormalizer(rules = []) {
+  const steps = rules.map(rule => {
+    switch (rule.type) {
+      case 'trim':
+        return sku => sku.trim();
+      case 'case':
+        return rule.to === 'upper' ? sku => sku.toUpperCase() : sku => sku.toLowerCase();
+      case 'separators': {
+        const separators = new RegExp(`[${(rule.from || ['-', '_', ' ']).map(escapeRegExp).join('')}]`, 'g');
+        return sku => sku.replace(separators, rule.to || '');
+      }
+      case 'stripPrefix':
+        return sku => {
+          const prefix = (rule.values || []).find(value => sku.startsWith(value));
+          return prefix ? sku.substring(prefix.length) : sku;
+        };
+      case 'stripSuffix':
+        return sku => {
+          const suffix = (rule.values || []).find(value => sku.endsWith(value));
+          return suffix ? sku.substring(0, sku.length - suffix.length) : sku;
+        };
+      case 'stripLeadingZeros':
+        return sku => sku.replace(/^0+(?=.)/, '');
+      case 'regex': {
+        const pattern = new RegExp(rule.pattern, rule.flags || 'g');
+        return sku => sku.replace(pattern, rule.replacement || '');
+      }
+      default:
+        throw new Error(`Unknown SKU normalization rule type: ${rule.type}`);
+    }
+  });
+  
+  return sku => steps.reduce((value, step) => step(value), String(sku || ''));
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\\-]/g, '\\$&');
+}
+
+// Avalara item description for a BigCommerce product or variant row
+function buildItemDescription(product) {
+  const description = product.option_values
+    ? `${product.name} (${product.option_values})`
+    : product.name;
+  return (description || product.sku).substring(0, 255);
+}
+
+// Lists stored in a single CSV column as "name: value; name: value", such as
+// custom_fields in bc-products.csv and hs_codes or parameters in avalara-items.csv
+function formatNamedValues(entries = []) {
+  return entries
+    .map(({ name, value }) => `${name}: ${value}`)
+    .join('; ');
+}
+
+function parseNamedValues(value = '') {
+  return value
+    .split('; ')
+    .filter(Boolean)
+    .map(field => {
+      const separator = field.indexOf(': ');
+      return separator === -1
+        ? { name: field, value: '' }
+        : { name: field.substring(0, separator), value: field.substring(separator + 2) };
+    });
+}
+
+const CLASSIFICATION_CONDITIONS = ['categoryPath', 'brand', 'productType', 'customField', 'name'];
+
+// Test one classification rule's conditions against a bc-products.csv row.
+// Every condition must match; list values match when any entry does.
+function buildRuleMatcher(rule, label) {
+  const match = rule.match || {};
+  const toList = (value) => (Array.isArray(value) ? value : [value]).map(entry => String(entry).toLowerCase());
+  const unknown = Object.keys(match).filter(key => !CLASSIFICATION_CONDITIONS.includes(key));
+  
+  if (unknown.length > 0) {
+    throw new Error(`Unknown condition in classification ${label}: ${unknown.join(', ')}. Expected one of: ${CLASSIFICATION_CONDITIONS.join(', ')}`);
+  }
+  
+  if (!rule.itemGroup && !rule.category) {
+    throw new Error(`Classification ${label} sets neither itemGroup nor category`);
+  }
+  
+  const tests = [];
+  
+  // A category path also matches its subcategories
+  if (match.categoryPath !== undefined) {
+    const paths = toList(match.categoryPath);
+    tests.push(row => (row.category_paths || '').toLowerCase().split(';').some(categoryPath =>
+      paths.some(expected => categoryPath === expected || categoryPath.startsWith(`${expected} > `))
+    ));
+  }
+  
+  // Brands match by name or id
+  if (match.brand !== undefined) {
+    const brands = toList(match.brand);
+    tests.push(row => brands.includes((row.brand_name || '').toLowerCase()) || brands.includes(String(row.brand_id)));
+  }
+  
+  if (match.productType !== undefined) {
+    const types = toList(match.productType);
+    tests.push(row => types.includes((row.product_type || '').toLowerCase()));
+  }
+  
+  // A custom field without a value matches whenever the field is set
+  if (match.customField !== undefined) {
+    const name = String(match.customField.name).toLowerCase();
+    const values = match.customField.value === undefined ? null : toList(match.customField.value);
+    tests.push(row => parseNamedValues(row.custom_fields).some(field =>
+      field.name.toLowerCase() === name && (!values || values.includes(field.value.toLowerCase()))
+    ));
+  }
+  
+  if (match.name !== undefined) {
+    const pattern = new RegExp(match.name, 'i');
+    tests.push(row => pattern.test(row.name || ''));
+  }
+  
+  return row => tests.every(test => test(row));
+}
+
+// Build a classifier from config rules. Rules are tried by descending priority, in
+// file order for equal priorities, and each field takes the value of the first
+// matching rule that sets it. Returns the itemGroup and category found, if any,
+// and the name of the rule that supplied each.
+function createClassifier(rules = []) {
+  const orderedRules = rules
+    .map((rule, index) => {
+      const name = rule.name || `rule ${index + 1}`;
+      return { rule, index, name, matches: buildRuleMatcher(rule, rule.name ? `rule "${rule.name}"` : name) };
+    })
+    .sort((a, b) => (b.rule.priority || 0) - (a.rule.priority || 0) || a.index - b.index);
+  
+  return row => {
+    const result = { itemGroup: '', category: '', itemGroupRule: '', categoryRule: '' };
+    
+    for (const { rule, name, matches } of orderedRules) {
+      if (result.itemGroup && result.category) {
+        break;
+      }
+      
+      const fields = ['itemGroup', 'category'].filter(field => rule[field] && !result[field]);
+      if (fields.length > 0 && matches(row)) {
+        fields.forEach(field => {
+          result[field] = rule[field];
+          result[`${field}Rule`] = name;
+        });
+      }
+    }
+    
+    return result;
+  };
+}
+
+// HS code of an avalara-items.csv row for one destination country. Cross-border
+// classifications use the destination's ISO country code as their system code.
+function extractHSCode(item, country) {
+  const classification = parseNamedValues(item.hs_codes)
+    .find(entry => entry.name.toUpperCase() === String(country).toUpperCase());
+  return classification ? classification.value : '';
+}
+
+// Avalara tax code a bc-products.csv row gets through its tax class, looked up by
+// tax class name (case-insensitive) or id in the tax class mapping
+function getMappedTaxCode(product, mapping = {}) {
+  const name = (product.tax_class_name || '').toLowerCase();
+  const key = Object.keys(mapping).find(className =>
+    (name && className.toLowerCase() === name) || className === String(product.tax_class_id ?? '')
+  );
+  return key ? mapping[key] : '';
+}
+
+// Problem with a tax code according to the cached Avalara definitions keyed by
+// upper-case tax code: 'unknown', 'retired' (no longer active) or '' when valid
+function checkTaxCode(taxCode, definitions) {
+  const definition = definitions.get(String(taxCode).trim().toUpperCase());
+  
+  if (!definition) {
+    return 'unknown';
+  }
+  return String(definition.isActive) === 'true' ? '' : 'retired';
+}
+
+// Sync mode requested on the command line with --incremental or --full
+function getSyncModeOption(argv = process.argv.slice(2)) {
+  if (argv.includes('--incremental')) {
+    return 'incremental';
+  }
+  if (argv.includes('--full')) {
+    return 'full';
+  }
+  return undefined;
+}
+
+// Product selection from --sku, --product-id, --category-id and --brand-id
+// (each a comma separated list) and --limit
+function getProductSelection(argv = process.argv.slice(2)) {
+  const getList = (name) => (getCliOption(name, argv) || '')
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean);
+  
+  const limitOption = getCliOption('limit', argv);
+  const limit = limitOption === undefined ? undefined : parseInt(limitOption, 10);
+  
+  if (limitOption !== undefined && !(limit > 0)) {
+    throw new Error(`Invalid --limit: ${limitOption}. Expected a positive number of products.`);
+  }
+  
+  return {
+    skus: getList('sku'),
+    productIds: getList('product-id'),
+    categoryIds: getList('category-id'),
+    brandIds: getList('brand-id'),
+    limit
+  };
+}
+
+function hasProductSelection(selection = {}) {
+  return Boolean(
+    (selection.skus && selection.skus.length) ||
+    (selection.productIds && selection.productIds.length) ||
+    (selection.categoryIds && selection.categoryIds.length) ||
+    (selection.brandIds && selection.brandIds.length) ||
+    selection.limit
+  );
+}
+
+// Row predicate keeping the rows matching every given criterion, then the rows of the
+// first `limit` products. Rows must be passed in order, so it can filter a CSV file
+// as it is read. Categories are stored as a semicolon separated list of ids.
+function createSelectionFilter(selection = {}, idColumn = 'id') {
+  const skus = new Set((selection.skus || []).map(sku => sku.trim().toLowerCase()));
+  const productIds = new Set(selection.productIds || []);
+  const categoryIds = selection.categoryIds || [];
+  const brandIds = new Set(selection.brandIds || []);
+  const selectedIds = new Set();
+  
+  return (row) => {
+    const matches =
+      (skus.size === 0 || skus.has((row.sku || '').trim().toLowerCase())) &&
+      (productIds.size === 0 || productIds.has(String(row[idColumn]))) &&
+      (categoryIds.length === 0 || (row.categories || '').split(';').some(id => categoryIds.includes(id))) &&
+      (brandIds.size === 0 || brandIds.has(String(row.brand_id)));
+    
+    if (!matches || !selection.limit) {
+      return matches;
+    }
+    
+    const id = String(row[idColumn]);
+    if (!selectedIds.has(id) && selectedIds.size < selection.limit) {
+      selectedIds.add(id);
+    }
+    return selectedIds.has(id);
+  };
+}
+
+// Keep the CSV rows matching every given criterion, then the rows of the first `limit` products
+function filterRowsBySelection(rows, selection = {}, idColumn = 'id') {
+  return rows.filter(createSelectionFilter(selection, idColumn));
+}
 
 // Validate SKU format
 function isValidSKU(sku) {
@@ -118,10 +808,46 @@ function isValidSKU(sku) {
 
 module.exports = {
   createCsvWriterUtil,
+  createBatchedCsvWriter,
+  readCSVBatches,
+  createRowSpool,
   ensureOutputDir,
+  withRetry,
+  classifyError,
+  createRateLimiter,
+  applyRateLimiter,
+  runWithConcurrency,
+  iterateBigCommercePages,
   paginateBigCommerce,
+  iterateAvalaraPages,
   paginateAvalara,
+  getWatermark,
+  setWatermark,
+  isFullFetchDue,
+  isPartialSnapshot,
+  setSnapshotAccount,
+  assertSnapshotAccount,
+  setSnapshotScope,
+  getSnapshotScope,
+  describeCatalogScope,
   log,
+  configureLogging,
+  startRun,
+  getRunId,
   sleep,
+  getCliOption,
+  getSyncModeOption,
+  getProductSelection,
+  hasProductSelection,
+  createSelectionFilter,
+  filterRowsBySelection,
+  createSkuNormalizer,
+  createClassifier,
+  formatNamedValues,
+  parseNamedValues,
+  extractHSCode,
+  getMappedTaxCode,
+  checkTaxCode,
+  buildItemDescription,
   isValidSKU
 }; 
\ No newline at end of file